@@ -1,106 +1,61 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
-const crypto = require('crypto');
+const { execFile } = require('child_process');
+const {
+    validateAndSanitizePath,
+    generateSecureRandomId,
+    isValidPackageName,
+    isValidApiKey,
+    isValidBumpType,
+    matchesAnyGlob,
+    readChangesetConfig,
+    applyFixedGroups,
+    getLinkedGroupWarnings,
+    readPreState,
+    writePreState,
+    toYamlString,
+    MAX_SUMMARY_LENGTH,
+    createChangesetFile,
+    buildChangesetContent,
+    unquoteYamlValue,
+    readChangesets,
+    parseChangesetDocument,
+    findClosestMatches,
+    getChangesetProblems,
+    analyzeChangesets,
+    mergeChangesets,
+    replaceChangesetPackage,
+    findPackages,
+    findReferenceablePackages,
+    getPackageForFile,
+    getPackagesMissingChangesets,
+    BUMP_TYPE_ORDER,
+    getReleasePlan,
+    getDependentBumps,
+    CHANGELOG_SECTION_TITLES,
+    getDependencyUpdates,
+    getChangelogSections,
+    buildChangelogEntry,
+    prependChangelogEntry,
+    buildChangesetPrompt,
+    parseAISuggestion,
+    splitChangesetByPackage,
+    splitDiffByFile,
+    groupDiffByPackage,
+    DEFAULT_DIFF_EXCLUDES,
+    summariseLargestDiffs,
+    draftChangesetFromCommits,
+    getPullRequestNumber,
+    compileSummaryRules,
+    normalizeSummaryTemplates,
+    applyTemplateBody,
+    applyTemplateToDraft,
+    getSummaryRuleViolations
+} = require('./src/core');
 
 const SECRET_STORAGE_API_KEY = 'geminiApiKey';
 
-/**
- * Validates and sanitizes a file path to prevent path traversal attacks
- * @param {string} inputPath The path to validate
- * @param {string} basePath The base directory to ensure the path stays within
- * @returns {string|null} The sanitized path or null if invalid
- */
-function validateAndSanitizePath(inputPath, basePath) {
-    if (!inputPath || typeof inputPath !== 'string') {
-        return null;
-    }
-
-    // Normalize the path and resolve it relative to basePath
-    const normalizedPath = path.normalize(inputPath);
-    const resolvedPath = path.resolve(basePath, normalizedPath);
-    const resolvedBasePath = path.resolve(basePath);
-
-    // Ensure the resolved path is within the basePath
-    if (!resolvedPath.startsWith(resolvedBasePath)) {
-        return null;
-    }
-
-    return resolvedPath;
-}
-
-/**
- * Generates a cryptographically secure random string
- * @param {number} length The length of the string to generate
- * @returns {string} A secure random string
- */
-function generateSecureRandomId(length = 5) {
-    return crypto.randomBytes(Math.ceil(length * 0.75))
-        .toString('base64')
-        .replace(/[^a-zA-Z0-9]/g, '')
-        .substring(0, length);
-}
-
-/**
- * Escapes package names and bump types for safe YAML frontmatter
- * @param {string} value The value to escape
- * @returns {string} The escaped value
- */
-function escapeYamlValue(value) {
-    if (typeof value !== 'string') {
-        return String(value);
-    }
-
-    // Escape quotes and special characters
-    return value.replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
-}
-
-/**
- * Validates package name format
- * @param {string} packageName The package name to validate
- * @returns {boolean} True if valid, false otherwise
- */
-function isValidPackageName(packageName) {
-    if (!packageName || typeof packageName !== 'string') {
-        return false;
-    }
-
-    // Package names can be:
-    // - Simple names: alphanumeric with hyphens and underscores
-    // - Scoped names: @scope/package-name
-    const packageNameRegex = /^(@[a-zA-Z0-9][a-zA-Z0-9._-]*\/)?[a-zA-Z0-9][a-zA-Z0-9._-]*$/;
-    return packageNameRegex.test(packageName) && packageName.length <= 214;
-}
-
-/**
- * Validates API key format
- * @param {string} apiKey The API key to validate
- * @returns {boolean} True if valid, false otherwise
- */
-function isValidApiKey(apiKey) {
-    if (!apiKey || typeof apiKey !== 'string') {
-        return false;
-    }
-
-    const trimmedKey = apiKey.trim();
-
-    // Google API keys are alphanumeric and typically between 20-100 characters
-    // This provides reasonable validation while allowing for length variations
-    const apiKeyRegex = /^[A-Za-z0-9]{20,100}$/;
-    return apiKeyRegex.test(trimmedKey);
-}
-
-/**
- * Validates bump type
- * @param {string} bumpType The bump type to validate
- * @returns {boolean} True if valid, false otherwise
- */
-function isValidBumpType(bumpType) {
-    const validBumpTypes = ['major', 'minor', 'patch'];
-    return validBumpTypes.includes(bumpType);
-}
-
 /**
  * @param {vscode.ExtensionContext} context
  */
@@ -111,52 +66,178 @@ function activate(context) {
     let manualCommand = vscode.commands.registerCommand('changeset.add', () => commandHandler('manual'));
     let aiCommand = vscode.commands.registerCommand('changeset.addWithAI', () => commandHandler('ai'));
     let emptyCommand = vscode.commands.registerCommand('changeset.addEmpty', () => commandHandler('empty'));
+    let commitsCommand = vscode.commands.registerCommand('changeset.addFromCommits', () => commandHandler('commits'));
     let clearApiKeyCommand = vscode.commands.registerCommand('changeset.clearApiKey', async () => {
-        await context.secrets.delete(SECRET_STORAGE_API_KEY);
-        vscode.window.showInformationMessage('API Key cleared. You will be prompted for a new key next time.');
+        const provider = getAIProvider();
+        if (!provider.requiresApiKey) {
+            vscode.window.showInformationMessage(`${provider.label} does not use an API key.`);
+            return;
+        }
+        await context.secrets.delete(provider.secretKey);
+        vscode.window.showInformationMessage(`${provider.label} API Key cleared. You will be prompted for a new key next time.`);
     });
 
     let setApiKeyCommand = vscode.commands.registerCommand('changeset.setApiKey', async () => {
-        const apiKey = await vscode.window.showInputBox({
-            prompt: 'Please enter your Google Gemini API Key',
-            placeHolder: 'Enter your Gemini API key here',
-            ignoreFocusOut: true,
-            password: true // Hide the API key for security
-        });
+        const provider = getAIProvider();
+        if (!provider.requiresApiKey) {
+            vscode.window.showInformationMessage(`${provider.label} does not use an API key.`);
+            return;
+        }
 
-        if (apiKey) {
-            // Validate API key format
-            if (!isValidApiKey(apiKey)) {
-                vscode.window.showErrorMessage('Invalid Gemini API key format. Please check your key and try again.');
-                return;
-            }
+        const apiKey = await promptForAIProviderApiKey(context, provider);
+        if (apiKey === undefined) {
+            vscode.window.showInformationMessage(`${provider.label} API Key setting cancelled.`);
+        }
+    });
 
-            await context.secrets.store(SECRET_STORAGE_API_KEY, apiKey);
-            vscode.window.showInformationMessage('Gemini API Key stored securely.');
-        } else {
-            vscode.window.showInformationMessage('Gemini API Key setting cancelled.');
+    context.subscriptions.push(manualCommand, aiCommand, emptyCommand, commitsCommand, clearApiKeyCommand, setApiKeyCommand);
+
+    // Running `changeset version` and `changeset publish`
+    context.subscriptions.push(
+        vscode.workspace.registerTextDocumentContentProvider(VERSION_PREVIEW_SCHEME, {
+            provideTextDocumentContent: uri => versionPreviewContents.get(uri.toString()) || ''
+        }),
+        vscode.commands.registerCommand('changeset.version', versionPackages),
+        vscode.commands.registerCommand('changeset.publish', publishPackages)
+    );
+
+    // Prerelease mode commands and status bar item
+    const prereleaseIndicator = new PrereleaseIndicator();
+    const preStateWatcher = vscode.workspace.createFileSystemWatcher('**/.changeset/pre.json');
+    const onPreStateChanged = () => {
+        prereleaseIndicator.update();
+        if (statusPanel) {
+            showStatusPanel();
         }
+        if (changelogPanel) {
+            showChangelogPanel();
+        }
+    };
+    preStateWatcher.onDidCreate(onPreStateChanged);
+    preStateWatcher.onDidChange(onPreStateChanged);
+    preStateWatcher.onDidDelete(onPreStateChanged);
+    context.subscriptions.push(
+        prereleaseIndicator,
+        preStateWatcher,
+        vscode.commands.registerCommand('changeset.enterPre', enterPrereleaseMode),
+        vscode.commands.registerCommand('changeset.exitPre', exitPrereleaseMode),
+        vscode.workspace.onDidChangeWorkspaceFolders(() => prereleaseIndicator.update())
+    );
+    prereleaseIndicator.update();
+
+    // Status bar item for packages changed on the branch without a changeset
+    const missingChangesetsIndicator = new MissingChangesetsIndicator();
+    context.subscriptions.push(
+        missingChangesetsIndicator,
+        vscode.commands.registerCommand('changeset.addForUncovered', () => missingChangesetsIndicator.addChangeset(context)),
+        vscode.workspace.onDidSaveTextDocument(() => missingChangesetsIndicator.scheduleUpdate()),
+        // Commits and branch switches usually happen outside the editor
+        vscode.window.onDidChangeWindowState(state => state.focused && missingChangesetsIndicator.scheduleUpdate()),
+        vscode.workspace.onDidChangeWorkspaceFolders(() => missingChangesetsIndicator.scheduleUpdate()),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('changesets.missingChangesets')) {
+                missingChangesetsIndicator.scheduleUpdate();
+            }
+        })
+    );
+    missingChangesetsIndicator.scheduleUpdate();
+
+    // Optional check for changesets when committing from the Source Control view
+    context.subscriptions.push(
+        vscode.commands.registerCommand('changeset.commitWithGuard', () => commitWithChangesetGuard(context))
+    );
+    watchCommitsForChangesets(context);
+
+    // Sidebar view listing the pending changesets
+    const treeProvider = new ChangesetTreeProvider();
+    const treeView = vscode.window.createTreeView('changesets.pending', {
+        treeDataProvider: treeProvider,
+        showCollapseAll: true
     });
 
-    context.subscriptions.push(manualCommand, aiCommand, emptyCommand, clearApiKeyCommand, setApiKeyCommand);
+    // Refresh the view when changesets are added, edited or removed outside the extension
+    const changesetWatcher = vscode.workspace.createFileSystemWatcher('**/.changeset/*.md');
+    const onChangesetsChanged = () => {
+        treeProvider.refresh();
+        missingChangesetsIndicator.scheduleUpdate();
+        if (statusPanel) {
+            showStatusPanel();
+        }
+        if (changelogPanel) {
+            showChangelogPanel();
+        }
+    };
+    changesetWatcher.onDidCreate(onChangesetsChanged);
+    changesetWatcher.onDidChange(onChangesetsChanged);
+    changesetWatcher.onDidDelete(onChangesetsChanged);
+
+    context.subscriptions.push(
+        treeView,
+        changesetWatcher,
+        vscode.commands.registerCommand('changeset.refreshChangesets', () => treeProvider.refresh()),
+        vscode.commands.registerCommand('changeset.openChangeset', openChangeset),
+        vscode.commands.registerCommand('changeset.editChangeset', editChangeset),
+        vscode.commands.registerCommand('changeset.deleteChangeset', deleteChangeset),
+        vscode.commands.registerCommand('changeset.cleanUp', cleanUpChangesets),
+        vscode.commands.registerCommand('changeset.showChangesetCommit', showChangesetCommit),
+        vscode.commands.registerCommand('changeset.status', async () => {
+            const rootPath = await pickChangesetRoot('Select the workspace folder to show the status of');
+            if (rootPath) {
+                await showStatusPanel(rootPath);
+            }
+        }),
+        vscode.commands.registerCommand('changeset.previewChangelog', async () => {
+            const rootPath = await pickChangesetRoot('Select the workspace folder to preview the changelog of');
+            if (rootPath) {
+                await showChangelogPanel(rootPath);
+            }
+        })
+    );
+
+    // Diagnostics, completions and quick fixes for hand-edited changeset files
+    const languageFeatures = new ChangesetLanguageFeatures();
+    const packageWatcher = vscode.workspace.createFileSystemWatcher('**/{package.json,.changeset/config.json}');
+    packageWatcher.onDidCreate(() => languageFeatures.refresh());
+    packageWatcher.onDidChange(() => languageFeatures.refresh());
+    packageWatcher.onDidDelete(() => languageFeatures.refresh());
+
+    context.subscriptions.push(
+        languageFeatures.diagnostics,
+        packageWatcher,
+        vscode.languages.registerCompletionItemProvider(CHANGESET_DOCUMENT_SELECTOR, languageFeatures, '"', ':', ' '),
+        vscode.languages.registerHoverProvider(CHANGESET_DOCUMENT_SELECTOR, languageFeatures),
+        vscode.languages.registerCodeActionsProvider(CHANGESET_DOCUMENT_SELECTOR, languageFeatures, {
+            providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+        }),
+        vscode.workspace.onDidOpenTextDocument(document => languageFeatures.validate(document)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('changesets.summaryRules')) {
+                languageFeatures.refresh();
+            }
+        }),
+        vscode.workspace.onDidChangeTextDocument(event => languageFeatures.validate(event.document)),
+        vscode.workspace.onDidCloseTextDocument(document => languageFeatures.diagnostics.delete(document.uri))
+    );
+    vscode.workspace.textDocuments.forEach(document => languageFeatures.validate(document));
 }
 
 /**
  * Main logic for the changeset workflow.
  * @param {vscode.ExtensionContext} context The extension context for secret storage.
- * @param {string} workflowType - The type of workflow: 'manual', 'ai', or 'empty'.
+ * @param {string} workflowType - The type of workflow: 'manual', 'ai', 'commits', or 'empty'.
+ * @param {{rootPath?: string, preselectedPackages?: string[]}} [options] The folder to target instead of asking,
+ * and the packages to preselect in the manual workflow.
+ * @returns {Promise<string[] | undefined>} The paths of the created changeset files, or undefined if none were created.
  */
-async function runChangesetWorkflow(context, workflowType = 'manual') {
-    const workspaceFolders = vscode.workspace.workspaceFolders;
-    if (!workspaceFolders || workspaceFolders.length === 0) {
-        vscode.window.showErrorMessage('Changesets: No workspace folder found. Please open a project.');
+async function runChangesetWorkflow(context, workflowType = 'manual', options = {}) {
+    const rootPath = options.rootPath || await pickChangesetRoot('Select the workspace folder to create the changeset in');
+    if (!rootPath) {
         return;
     }
 
-    const rootPath = workspaceFolders[0].uri.fsPath;
-
     try {
-        const packages = await findPackages(rootPath);
+        const config = readChangesetConfig(rootPath);
+        const packages = await findPackages(rootPath, config);
         if (packages.length === 0) {
             vscode.window.showErrorMessage('Changesets: No packages found. Make sure your project has package.json files.');
             return;
@@ -164,39 +245,97 @@ async function runChangesetWorkflow(context, workflowType = 'manual') {
 
         let packagesWithBumps;
         let summary;
+        let packageSummaries = {};
+        let splitByPackage = false;
+        let template = null;
 
         if (workflowType === 'ai') {
             // AI-powered workflow
-            const aiSuggestion = await getAIChangesetSuggestion(context, rootPath, packages);
-            if (!aiSuggestion) {
+            const { templates, rules } = getSummaryConventions();
+            template = await pickSummaryTemplate('Add Changeset with AI', templates);
+            if (template === undefined) {
+                vscode.window.showInformationMessage('Changeset creation cancelled.');
+                return;
+            }
+            const summaryRules = [...rules, ...(template ? template.rules : [])];
+            const request = await prepareAIRequest(context, rootPath, packages, config, { template, summaryRules });
+            if (!request) {
                 // Error or cancellation is handled inside the function
                 return;
             }
-            packagesWithBumps = aiSuggestion.bumps;
-            summary = aiSuggestion.summary;
-
-            // Format the bumps for a more readable display in the detail section
-            const formattedBumps = Object.entries(packagesWithBumps)
-                .map(([pkg, bump]) => `  • ${pkg}: ${bump}`)
-                .join('\n');
-
-            const detailMessage = `Proposed Bumps:\n${formattedBumps}`;
+            const suggest = async (instructions, edited) => {
+                // A regenerated suggestion starts from what the user already changed in the review
+                const editedNote = edited
+                    ? `Start from this edited version of the previous suggestion:\nBumps: ${Object.entries(edited.bumps).map(([name, type]) => `${name}@${type}`).join(', ') || 'none'}\nSummary: ${edited.summary}`
+                    : '';
+                const suggestion = await getAIChangesetSuggestion(context, request, packages, config, [instructions.trim(), editedNote].filter(Boolean).join('\n\n'));
+                if (!suggestion) {
+                    return null;
+                }
+                // Drop packages the model made up, after warning about ignored ones
+                const bumps = applyChangesetConfig(suggestion.bumps, config, packages);
+                const knownBumps = Object.fromEntries(Object.entries(bumps).filter(([name]) => packages.some(p => p.name === name)));
+                return { ...suggestion, bumps: knownBumps };
+            };
 
-            // Confirm with the user using a structured message dialog
-            const confirmation = await vscode.window.showInformationMessage(
-                `AI Suggestion: "${summary}"`, // The main message is the summary
-                {
-                    modal: true,
-                    detail: detailMessage // The bumps are in the detail section
-                },
-                'Accept' // The button to accept
-            );
+            const aiSuggestion = await suggest('');
+            if (!aiSuggestion) {
+                return;
+            }
 
+            // Let the user edit the suggestion before anything is written
+            const reviewed = await reviewChangesetSuggestion(aiSuggestion, packages, {
+                regenerate: suggest,
+                preprocessing: request.preprocessing,
+                summaryRules
+            });
+            if (!reviewed) {
+                vscode.window.showInformationMessage('Changeset creation cancelled.');
+                return;
+            }
+            // Bumps edited in the review can break fixed groups again
+            packagesWithBumps = applyChangesetConfig(reviewed.bumps, config, packages);
+            summary = reviewed.summary;
+            packageSummaries = reviewed.packageSummaries;
+            splitByPackage = reviewed.splitByPackage;
+
+        } else if (workflowType === 'commits') {
+            // Draft from Conventional Commits on the branch, no AI involved
+            let commits;
+            try {
+                commits = await getBranchCommits(rootPath, config.baseBranch);
+            } catch (error) {
+                vscode.window.showErrorMessage(error.message);
+                return;
+            }
+            const draft = draftChangesetFromCommits(commits, packages);
+            if (Object.keys(draft.bumps).length === 0) {
+                vscode.window.showInformationMessage(`No feat, fix or breaking-change commits touching a package were found since "${config.baseBranch}".`);
+                return;
+            }
+            draft.bumps = applyChangesetConfig(draft.bumps, config, packages);
 
-            if (confirmation !== 'Accept') {
+            // The bumps come from the commits, so only the template text and rules apply
+            const { templates, rules } = getSummaryConventions();
+            template = await pickSummaryTemplate('Add Changeset from Commits', templates);
+            if (template === undefined) {
                 vscode.window.showInformationMessage('Changeset creation cancelled.');
                 return;
             }
+            const reviewed = await reviewChangesetSuggestion(applyTemplateToDraft(draft, template), packages, {
+                heading: 'Review Changeset Draft',
+                notesHtml: renderDraftCommitsHtml(draft),
+                summaryRules: [...rules, ...(template ? template.rules : [])]
+            });
+            if (!reviewed) {
+                vscode.window.showInformationMessage('Changeset creation cancelled.');
+                return;
+            }
+            // Bumps edited in the review can break fixed groups again
+            packagesWithBumps = applyChangesetConfig(reviewed.bumps, config, packages);
+            summary = reviewed.summary;
+            packageSummaries = reviewed.packageSummaries;
+            splitByPackage = reviewed.splitByPackage;
 
         } else if (workflowType === 'empty') {
             // Empty changeset workflow
@@ -209,27 +348,52 @@ async function runChangesetWorkflow(context, workflowType = 'manual') {
 
         } else {
             // Manual workflow
-            const selectedPackages = await promptForPackages(packages);
-            if (!selectedPackages || selectedPackages.length === 0) {
+            const changedNames = await getChangedPackageNames(rootPath, packages, config);
+            const { templates, rules } = getSummaryConventions();
+            const details = await promptForChangesetDetails(packages, {
+                changedNames,
+                selectedNames: options.preselectedPackages || changedNames,
+                bumps: await getRecentBumps(context, rootPath),
+                summary: '',
+                templates,
+                summaryRules: rules
+            });
+            if (!details) {
                 vscode.window.showInformationMessage('Changeset creation cancelled.');
                 return;
             }
+            packagesWithBumps = applyChangesetConfig(details.bumps, config, packages);
+            summary = details.summary;
+            template = details.template;
+        }
 
-            packagesWithBumps = await promptForBumpTypes(selectedPackages);
+        if (Object.keys(packagesWithBumps).length > 0) {
+            // Show what else gets released before anything is written
+            packagesWithBumps = await confirmDependentBumps(rootPath, packagesWithBumps, packages, config);
             if (!packagesWithBumps) {
                 vscode.window.showInformationMessage('Changeset creation cancelled.');
                 return;
             }
+            await rememberBumps(context, rootPath, packagesWithBumps);
+        }
 
-            summary = await promptForSummary();
-            if (!summary) {
-                vscode.window.showInformationMessage('Changeset creation cancelled.');
-                return;
+        if (splitByPackage) {
+            const changesets = splitChangesetByPackage(packagesWithBumps, summary, packageSummaries);
+            const filePaths = [];
+            for (const changeset of changesets) {
+                filePaths.push(await createChangesetFile(rootPath, changeset.bumps, changeset.summary));
             }
+            vscode.window.showInformationMessage(`${changesets.length} changesets created successfully!`);
+            return filePaths;
         }
 
-        await createChangesetFile(rootPath, packagesWithBumps, summary);
+        const filePath = await createChangesetFile(rootPath, packagesWithBumps, summary);
         vscode.window.showInformationMessage('Changeset created successfully!');
+        if (workflowType === 'manual' && template && template.body) {
+            // The input box holds a single line, so the rest of the template is filled in the file
+            await vscode.window.showTextDocument(vscode.Uri.file(filePath));
+        }
+        return [filePath];
 
     } catch (error) {
         console.error(error);
@@ -237,183 +401,398 @@ async function runChangesetWorkflow(context, workflowType = 'manual') {
     }
 }
 
-
 /**
- * Uses Gemini to suggest changeset details based on staged git changes.
+ * Collects everything needed to ask the AI for a suggestion: the provider and its API key,
+ * and the git changes split per package.
  * @param {vscode.ExtensionContext} context The extension context.
  * @param {string} rootPath The root path of the workspace.
  * @param {Array<{name: string, path: string}>} packages The list of available packages.
- * @returns {Promise<{bumps: Object, summary: string} | null>}
+ * @param {Object} config The changesets config.
+ * @param {{template?: Object | null, summaryRules?: Array<Object>}} [style] The summary template and rules the suggestion must follow.
+ * @returns {Promise<{provider: Object, apiKey: string, packageDiffs: Map<string, string>, commitMessages: string, preprocessing: Object,
+ * template: Object | null, summaryRules: Array<Object>} | null>} The request, or null if cancelled.
  */
-async function getAIChangesetSuggestion(context, rootPath, packages) {
+async function prepareAIRequest(context, rootPath, packages, config, style = {}) {
+    const provider = getAIProvider();
+
     // Get the API key from secure storage, or prompt the user for it.
-    let apiKey = await context.secrets.get(SECRET_STORAGE_API_KEY);
-    if (!apiKey) {
-        apiKey = await vscode.window.showInputBox({
-            prompt: 'Please enter your Google Gemini API Key',
-            placeHolder: 'Enter your Gemini API key here',
-            ignoreFocusOut: true, // Keep the box open even if you click outside
-        });
-        if (apiKey) {
-            // Validate API key format
-            if (!isValidApiKey(apiKey)) {
-                vscode.window.showErrorMessage('Invalid Gemini API key format. Please check your key and try again.');
-                return null;
-            }
-            await context.secrets.store(SECRET_STORAGE_API_KEY, apiKey);
-            vscode.window.showInformationMessage('Gemini API Key stored securely.');
-        } else {
-            vscode.window.showErrorMessage('Gemini API Key is required for the AI feature.');
-            return null;
-        }
+    const apiKey = await getAIProviderApiKey(context, provider);
+    if (apiKey === null) {
+        return null;
     }
 
-    const gitDiff = await getStagedGitDiff(rootPath);
-    if (!gitDiff) {
-        vscode.window.showErrorMessage('Changesets AI: No staged changes found. Please `git add` your changes first.');
+    const diffSource = await promptForDiffSource(config);
+    if (!diffSource) {
         return null;
     }
 
-    const packageNames = packages.map(p => p.name);
+    const { diff: gitDiff, commitMessages } = await getGitDiff(rootPath, diffSource, config);
+    if (!gitDiff.trim()) {
+        vscode.window.showErrorMessage(`Changesets AI: ${DIFF_SOURCES[diffSource.type].emptyMessage}`);
+        return null;
+    }
+
+    // Leave lockfiles, build output and user-configured files out of the prompt
+    const excludeGlobs = [...DEFAULT_DIFF_EXCLUDES, ...vscode.workspace.getConfiguration('changesets.ai').get('excludeGlobs', [])];
+    const files = splitDiffByFile(gitDiff);
+    const excluded = files.filter(file => matchesAnyGlob(file.path, excludeGlobs)).map(file => file.path);
+    const includedDiff = files.filter(file => !excluded.includes(file.path)).map(file => file.diff).join('\n');
+    if (!includedDiff.trim()) {
+        vscode.window.showErrorMessage('Changesets AI: Only excluded files (lockfiles, build output or `changesets.ai.excludeGlobs`) changed.');
+        return null;
+    }
+
+    return {
+        provider,
+        apiKey,
+        packageDiffs: groupDiffByPackage(includedDiff, packages),
+        commitMessages,
+        preprocessing: { excluded, summarised: [], truncated: [] },
+        template: style.template || null,
+        summaryRules: style.summaryRules || []
+    };
+}
+
+/**
+ * Uses the configured AI provider to suggest changeset details based on git changes.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {Object} request The request from `prepareAIRequest`.
+ * @param {Array<{name: string, path: string}>} packages The list of available packages.
+ * @param {Object} config The changesets config.
+ * @param {string} [instructions] Extra instructions from the user.
+ * @returns {Promise<{bumps: Object, summary: string, packageSummaries: Object} | null>}
+ */
+async function getAIChangesetSuggestion(context, request, packages, config, instructions = '') {
+    const { provider, apiKey } = request;
 
     // Show a progress indicator
     return vscode.window.withProgress({
         location: vscode.ProgressLocation.Notification,
-        title: "Changesets AI is analyzing your changes...",
+        title: `Changesets AI (${provider.label}) is analyzing your changes...`,
         cancellable: true
     }, async (progress, token) => {
         if (token.isCancellationRequested) {
             return null;
         }
 
-        const prompt = `
-You are an expert in semantic versioning and writing conventional commit messages.
-Analyze the following git diff for a project with these packages: ${packageNames.join(', ')}.
-Based on the changes, determine the appropriate semantic version bump (major, minor, or patch) for ONLY the packages that were actually changed.
-Also, write a single, concise changelog summary for all the changes combined.
+        const abortController = new AbortController();
+        const cancellation = token.onCancellationRequested(() => abortController.abort());
+        try {
+            const { tokens, overBudget } = await condensePackageDiffs(context, request, packages, config, instructions, progress, abortController.signal);
+            if (overBudget) {
+                const choice = await vscode.window.showWarningMessage(
+                    `The prompt is still about ${tokens} tokens after summarising every package, over the changesets.ai.maxPromptTokens budget.`,
+                    { modal: true, detail: 'Send it anyway, or cancel and shorten the instructions, exclude more files with changesets.ai.excludeGlobs or raise the budget.' },
+                    'Send Anyway'
+                );
+                if (choice !== 'Send Anyway') {
+                    return null;
+                }
+            }
+            const { packageDiffs, commitMessages, preprocessing, template, summaryRules } = request;
+            const prompt = buildChangesetPrompt({
+                packages,
+                packageDiffs,
+                commitMessages,
+                config,
+                instructions,
+                summarisedPackages: preprocessing.summarised,
+                template,
+                summaryRules
+            });
+            progress.report({ message: 'Generating suggestion...' });
+            const text = await requestAICompletion(context, provider, apiKey, prompt, abortController.signal);
+            return parseAISuggestion(text);
+        } catch (error) {
+            if (token.isCancellationRequested) {
+                return null;
+            }
+            console.error("Error calling AI model:", error);
+            vscode.window.showErrorMessage(`Changesets AI Error: ${error.message}`);
+            return null;
+        } finally {
+            cancellation.dispose();
+        }
+    });
+}
+
+// --- Diff preprocessing ---
 
-The git diff is:
-\`\`\`diff
-${gitDiff}
-\`\`\`
+/**
+ * Replaces the diffs of the largest packages with AI-written summaries until the prompt, including
+ * the instructions, template and summary rules, fits in the `changesets.ai.maxPromptTokens` budget.
+ * Later regenerations reuse the summaries.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {Object} request The request from `prepareAIRequest`. Updated in place.
+ * @param {Array<{name: string, relativePath: string}>} packages The packages in the workspace.
+ * @param {Object} config The changesets config.
+ * @param {string} instructions Extra instructions from the user.
+ * @param {vscode.Progress<{message?: string}>} progress Progress reporter.
+ * @param {AbortSignal} signal Signal to abort the requests.
+ * @returns {Promise<{tokens: number, overBudget: boolean}>} The estimated size of the prompt, and whether it is still over the budget.
+ */
+async function condensePackageDiffs(context, request, packages, config, instructions, progress, signal) {
+    return summariseLargestDiffs(request, {
+        packages,
+        config,
+        instructions,
+        maxTokens: Math.max(2000, vscode.workspace.getConfiguration('changesets.ai').get('maxPromptTokens', 30000)),
+        summarise: (prompt, { name, index, count }) => {
+            progress.report({ message: `Summarising ${name || 'files outside of any package'} (${index + 1}/${count})...` });
+            return requestAICompletion(context, request.provider, request.apiKey, prompt, signal);
+        }
+    });
+}
 
-Respond with a JSON object that strictly follows this schema. Do not include any other text or explanation.
+// --- AI providers ---
 
-{
-  "type": "object",
-  "properties": {
-    "bumps": {
-      "type": "object",
-      "description": "An object where keys are the package names that have changed and values are 'major', 'minor', or 'patch'."
-    },
-    "summary": {
-      "type": "string",
-      "description": "A concise summary of the changes, suitable for a changelog."
+/**
+ * Reads a base URL setting and makes sure it is an http(s) URL without a trailing slash.
+ * @param {string} value The configured base URL.
+ * @param {string} settingName The name of the setting, for error messages.
+ * @returns {string} The normalized base URL.
+ */
+function getBaseUrl(value, settingName) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        throw new Error(`Invalid URL in setting ${settingName}: ${value}`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error(`Setting ${settingName} must be an http or https URL.`);
     }
-  },
-  "required": ["bumps", "summary"]
+    return url.toString().replace(/\/+$/, '');
 }
-`;
 
-        try {
-            let chatHistory = [{ role: "user", parts: [{ text: prompt }] }];
-            const payload = { contents: chatHistory };
-                        // Use query parameter for API key as required by Google Gemini API
-            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-            
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'vscode-changesets-extension/1.0.0'
-                },
-                body: JSON.stringify(payload)
-            });
+/**
+ * Sends a JSON POST request and returns the parsed JSON response.
+ * @param {string} url The request URL.
+ * @param {Object} headers Extra request headers.
+ * @param {Object} payload The request body.
+ * @param {AbortSignal} [signal] Signal to abort the request.
+ * @returns {Promise<Object>} The response body.
+ */
+async function postJson(url, headers, payload, signal) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'vscode-changesets-extension/1.0.0',
+            ...headers
+        },
+        body: JSON.stringify(payload),
+        signal
+    });
 
-            if (!response.ok) {
-                // If the key is invalid, it's likely a 401, 403, or 400 error.
-                if (response.status === 401 || response.status === 403 || response.status === 400) {
-                     // Clear the bad key so the user is prompted again next time.
-                    await context.secrets.delete(SECRET_STORAGE_API_KEY);
-                    throw new Error(`API request failed with status ${response.status}. Your Gemini API key might be invalid. It has been cleared, please try again.`);
-                }
-                throw new Error(`API request failed with status ${response.status}`);
-            }
+    if (!response.ok) {
+        const error = new Error(`API request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
 
-            const result = await response.json();
+/**
+ * The supported AI backends. Each provider turns a prompt into the model's text response.
+ */
+const AI_PROVIDERS = {
+    gemini: {
+        id: 'gemini',
+        label: 'Google Gemini',
+        secretKey: SECRET_STORAGE_API_KEY,
+        requiresApiKey: true,
+        // If the key is invalid, it's likely a 401, 403, or 400 error.
+        authErrorStatuses: [400, 401, 403],
+        isValidApiKey,
+        async generate(prompt, apiKey, settings, signal) {
+            const model = encodeURIComponent(settings.get('gemini.model', 'gemini-2.0-flash'));
+            const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
+            // Use query parameter for API key as required by Google Gemini API
+            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+            const result = await postJson(apiUrl, {}, payload, signal);
 
             if (result.candidates && result.candidates[0].content && result.candidates[0].content.parts[0]) {
-                 const text = result.candidates[0].content.parts[0].text;
-                 // Clean the response to get valid JSON
-                 const jsonString = text.replace(/```json/g, '').replace(/```/g, '').trim();
-
-                 let parsedResponse;
-                 try {
-                     parsedResponse = JSON.parse(jsonString);
-                 } catch (parseError) {
-                     throw new Error('Invalid JSON response from AI. Please try again.');
-                 }
-
-                 // Validate the AI response structure
-                 if (!parsedResponse.bumps || !parsedResponse.summary) {
-                     throw new Error('Invalid AI response structure: missing bumps or summary');
-                 }
-
-                 // Validate package names and bump types in the AI response
-                 for (const [pkg, bump] of Object.entries(parsedResponse.bumps)) {
-                     if (!isValidPackageName(pkg)) {
-                         throw new Error(`Invalid package name in AI response: ${pkg}`);
-                     }
-                     if (!isValidBumpType(bump)) {
-                         throw new Error(`Invalid bump type in AI response: ${bump}`);
-                     }
-                 }
-
-                 // Validate summary length
-                 if (parsedResponse.summary.length > 1000) {
-                     throw new Error('AI generated summary is too long');
-                 }
-
-                 return parsedResponse;
-            } else {
-                 throw new Error('Invalid response structure from AI.');
+                return result.candidates[0].content.parts[0].text;
             }
-
-        } catch (error) {
-            console.error("Error calling AI model:", error);
-            vscode.window.showErrorMessage(`Changesets AI Error: ${error.message}`);
-            return null;
+            throw new Error('Invalid response structure from AI.');
+        }
+    },
+    openai: {
+        id: 'openai',
+        label: 'OpenAI-compatible',
+        secretKey: 'openaiApiKey',
+        requiresApiKey: true,
+        authErrorStatuses: [401, 403],
+        // Keys differ between OpenAI-compatible services, so only reject obviously malformed ones
+        isValidApiKey: (apiKey) => typeof apiKey === 'string' && /^\S{8,512}$/.test(apiKey.trim()),
+        async generate(prompt, apiKey, settings, signal) {
+            const baseUrl = getBaseUrl(settings.get('openai.baseUrl', 'https://api.openai.com/v1'), 'changesets.ai.openai.baseUrl');
+            const payload = {
+                model: settings.get('openai.model', 'gpt-4o-mini'),
+                messages: [{ role: 'user', content: prompt }],
+                temperature: 0.2
+            };
+            const result = await postJson(`${baseUrl}/chat/completions`, { 'Authorization': `Bearer ${apiKey.trim()}` }, payload, signal);
+
+            if (result.choices && result.choices[0] && result.choices[0].message) {
+                return result.choices[0].message.content;
+            }
+            throw new Error('Invalid response structure from AI.');
         }
+    },
+    ollama: {
+        id: 'ollama',
+        label: 'Ollama',
+        requiresApiKey: false,
+        authErrorStatuses: [],
+        async generate(prompt, apiKey, settings, signal) {
+            const baseUrl = getBaseUrl(settings.get('ollama.baseUrl', 'http://localhost:11434'), 'changesets.ai.ollama.baseUrl');
+            const payload = {
+                model: settings.get('ollama.model', 'llama3.1'),
+                messages: [{ role: 'user', content: prompt }],
+                format: 'json',
+                stream: false
+            };
+            const result = await postJson(`${baseUrl}/api/chat`, {}, payload, signal);
+
+            if (result.message && typeof result.message.content === 'string') {
+                return result.message.content;
+            }
+            throw new Error('Invalid response structure from AI.');
+        }
+    }
+};
+
+/**
+ * Returns the AI provider selected in the `changesets.ai.provider` setting.
+ * @returns {Object} The AI provider.
+ */
+function getAIProvider() {
+    const providerId = vscode.workspace.getConfiguration('changesets.ai').get('provider', 'gemini');
+    return AI_PROVIDERS[providerId] || AI_PROVIDERS.gemini;
+}
+
+/**
+ * Asks the user for an API key for a provider and stores it in secret storage.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {Object} provider The AI provider.
+ * @returns {Promise<string | null | undefined>} The stored key, null if the key was invalid, or undefined if the user cancelled.
+ */
+async function promptForAIProviderApiKey(context, provider) {
+    const apiKey = await vscode.window.showInputBox({
+        prompt: `Please enter your ${provider.label} API Key`,
+        placeHolder: `Enter your ${provider.label} API key here`,
+        ignoreFocusOut: true, // Keep the box open even if you click outside
+        password: true // Hide the API key for security
     });
+
+    if (!apiKey) {
+        return undefined;
+    }
+
+    // Validate API key format
+    if (!provider.isValidApiKey(apiKey)) {
+        vscode.window.showErrorMessage(`Invalid ${provider.label} API key format. Please check your key and try again.`);
+        return null;
+    }
+
+    await context.secrets.store(provider.secretKey, apiKey.trim());
+    vscode.window.showInformationMessage(`${provider.label} API Key stored securely.`);
+    return apiKey.trim();
+}
+
+/**
+ * Gets the API key for a provider from secure storage, prompting the user if none is stored.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {Object} provider The AI provider.
+ * @returns {Promise<string | null>} The API key, an empty string for providers without keys, or null if the user cancelled.
+ */
+async function getAIProviderApiKey(context, provider) {
+    if (!provider.requiresApiKey) {
+        return '';
+    }
+
+    const storedKey = await context.secrets.get(provider.secretKey);
+    if (storedKey) {
+        return storedKey;
+    }
+
+    const apiKey = await promptForAIProviderApiKey(context, provider);
+    if (apiKey === undefined) {
+        vscode.window.showErrorMessage(`${provider.label} API Key is required for the AI feature.`);
+        return null;
+    }
+    return apiKey;
+}
+
+/**
+ * Sends a prompt to an AI provider. Keys rejected by the provider are cleared so the
+ * user is prompted for a new one next time.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {Object} provider The AI provider.
+ * @param {string} apiKey The API key for the provider.
+ * @param {string} prompt The prompt to send.
+ * @param {AbortSignal} [signal] Signal to abort the request.
+ * @returns {Promise<string>} The model's text response.
+ */
+async function requestAICompletion(context, provider, apiKey, prompt, signal) {
+    const settings = vscode.workspace.getConfiguration('changesets.ai');
+    try {
+        return await provider.generate(prompt, apiKey, settings, signal);
+    } catch (error) {
+        if (provider.requiresApiKey && provider.authErrorStatuses.includes(error.status)) {
+            // Clear the bad key so the user is prompted again next time.
+            await context.secrets.delete(provider.secretKey);
+            throw new Error(`API request failed with status ${error.status}. Your ${provider.label} API key might be invalid. It has been cleared, please try again.`);
+        }
+        if (provider.id === 'ollama' && !error.status && error.name !== 'AbortError') {
+            throw new Error(`Could not reach Ollama. Make sure it is running and \`changesets.ai.ollama.baseUrl\` is correct. (${error.message})`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Creates the error for a git command that failed. Such failures are expected in folders that are
+ * not git repositories or have no base branch yet, so they are marked with `isGitError`.
+ * @param {string} message The error message.
+ * @returns {Error} The error.
+ */
+function createGitError(message) {
+    const error = new Error(message);
+    error.isGitError = true;
+    return error;
 }
 
 /**
- * Executes `git diff --staged` to get the current changes.
+ * Runs a git command with explicit arguments (no shell) in the given directory.
  * @param {string} cwd The directory to run the command in.
- * @returns {Promise<string>} The git diff output.
+ * @param {Array<string>} args The git arguments.
+ * @param {string} failureMessage The error message to use if the command fails.
+ * @returns {Promise<string>} The command output. Failures reject with an error from `createGitError`.
  */
-function getStagedGitDiff(cwd) {
+function runGit(cwd, args, failureMessage) {
     return new Promise((resolve, reject) => {
         // Validate the working directory is a string
         if (!cwd || typeof cwd !== 'string') {
             return reject(new Error('Invalid working directory'));
         }
 
-        // Use a more secure approach with explicit command and arguments
-        exec('git diff --staged', {
+        execFile('git', args, {
             cwd: cwd,
             maxBuffer: 10 * 1024 * 1024, // 10MB buffer - reasonable for most diffs
             timeout: 30000 // 30 second timeout
-        }, (error, stdout, stderr) => {
+        }, (error, stdout) => {
             if (error) {
                 if (!stdout) {
-                    // Log error without exposing sensitive information
-                    console.error('Git diff command failed');
-                    return reject(new Error('Failed to get staged changes'));
+                    // Report the failure without exposing the command output; callers decide whether it is worth logging
+                    return reject(createGitError(failureMessage));
                 }
             }
 
-            // Check if git diff is too large
+            // Check if git output is too large
             if (stdout && stdout.length > 10 * 1024 * 1024) { // 10MB limit
                 return reject(new Error('Git diff is too large (over 10MB). Please commit your changes in smaller chunks.'));
             }
@@ -423,135 +802,725 @@ function getStagedGitDiff(cwd) {
     });
 }
 
-
-// --- Functions from previous version (unchanged) ---
-
 /**
- * Finds all packages within the workspace by looking for package.json files.
- * @param {string} rootPath The root path of the workspace.
- * @returns {Promise<Array<{name: string, path: string}>>} A promise that resolves to an array of package objects.
+ * Validates a git ref (branch, tag, commit or revision expression) supplied by the user or config.
+ * @param {string} ref The ref to validate.
+ * @returns {boolean} True if the ref is safe to pass to git.
  */
-async function findPackages(rootPath) {
-    // Validate root path is a string and exists
-    if (!rootPath || typeof rootPath !== 'string') {
-        throw new Error('Invalid root path');
+function isValidGitRef(ref) {
+    if (!ref || typeof ref !== 'string' || ref.length > 250) {
+        return false;
     }
+    // Refs must not look like options or hidden names and may only contain characters git allows in revisions
+    return !/^[-.]/.test(ref) && /^[A-Za-z0-9._/~^@{}-]+$/.test(ref) && !ref.includes('..');
+}
 
-    const packageJsonPaths = await vscode.workspace.findFiles('**/package.json', '**/node_modules/**');
-
-    // Limit the number of package.json files to process to prevent DoS
-    if (packageJsonPaths.length > 1000) {
-        throw new Error('Too many package.json files found. Please check your workspace structure.');
+/**
+ * Finds the merge-base of HEAD and the configured base branch, preferring the remote
+ * tracking branch so that an outdated local base branch does not skew the diff.
+ * @param {string} cwd The directory to run the command in.
+ * @param {string} baseBranch The base branch from the changesets config.
+ * @returns {Promise<string>} The merge-base commit.
+ */
+async function getMergeBase(cwd, baseBranch) {
+    if (!isValidGitRef(baseBranch)) {
+        throw new Error(`Invalid base branch: ${baseBranch}`);
     }
 
-        const packages = [];
-    for (const file of packageJsonPaths) {
+    for (const ref of [`origin/${baseBranch}`, baseBranch]) {
         try {
-            const content = await vscode.workspace.fs.readFile(file);
-            const json = JSON.parse(content.toString());
-            
-            if (json.name && !json.private && isValidPackageName(json.name)) {
-                const packagePath = path.dirname(file.fsPath);
-                // Validate package path to prevent path traversal
-                const validatedPackagePath = validateAndSanitizePath(packagePath, rootPath);
-                if (validatedPackagePath) {
-                    packages.push({ name: json.name, path: validatedPackagePath });
-                }
+            const mergeBase = (await runGit(cwd, ['merge-base', 'HEAD', ref], 'Failed to find merge-base')).trim();
+            if (mergeBase) {
+                return mergeBase;
             }
         } catch (e) {
-            console.error(`Could not read or parse ${file.fsPath}`, e);
-        }
-    }
-        const rootPackageJsonPath = path.join(rootPath, 'package.json');
-    if (fs.existsSync(rootPackageJsonPath)) {
-        try {
-            const content = fs.readFileSync(rootPackageJsonPath, 'utf-8');
-            const json = JSON.parse(content);
-             if (json.name && !json.private && isValidPackageName(json.name) && !packages.some(p => p.name === json.name)) {
-                packages.unshift({ name: json.name, path: rootPath });
-            }
-        } catch(e) {
-            console.error(`Could not read or parse root package.json`, e);
+            // Try the next candidate
         }
     }
-    return packages;
+    throw createGitError(`Could not find the merge-base with base branch "${baseBranch}".`);
 }
 
+const DIFF_SOURCES = {
+    staged: {
+        label: 'Staged Changes',
+        detail: 'Changes added with `git add`',
+        emptyMessage: 'No staged changes found. Please `git add` your changes first.'
+    },
+    workingTree: {
+        label: 'Working Tree',
+        detail: 'All uncommitted changes to tracked files, staged or not',
+        emptyMessage: 'No uncommitted changes found.'
+    },
+    branch: {
+        label: 'Current Branch',
+        detail: 'Everything committed on this branch since it diverged from the base branch',
+        emptyMessage: 'No commits found on this branch since the base branch.'
+    },
+    range: {
+        label: 'Commit Range…',
+        detail: 'A range of commits such as `abc123..HEAD`, or `main...HEAD` to diff from the merge-base',
+        emptyMessage: 'No changes found in the commit range.'
+    }
+};
+
 /**
- * Shows a quick pick menu for the user to select packages.
- * @param {Array<{name: string, path: string}>} packages The list of available packages.
- * @returns {Promise<Array<{name: string, path: string}> | undefined>} A promise that resolves to the selected packages.
+ * Asks the user which changes the AI should analyze, unless a default is configured.
+ * @param {Object} config The changesets config.
+ * @returns {Promise<{type: string, from?: string, to?: string, mergeBase?: boolean} | undefined>} The diff source, or undefined if cancelled.
  */
-async function promptForPackages(packages) {
-    if (packages.length === 1) {
-        return packages;
+async function promptForDiffSource(config) {
+    let type = vscode.workspace.getConfiguration('changesets.ai').get('diffSource', 'ask');
+
+    if (!DIFF_SOURCES[type]) {
+        const selectedItem = await vscode.window.showQuickPick(
+            Object.entries(DIFF_SOURCES).map(([id, source]) => ({
+                label: source.label,
+                description: id === 'branch' ? `vs ${config.baseBranch}` : undefined,
+                detail: source.detail,
+                id
+            })),
+            { placeHolder: 'Which changes should the AI analyze?' }
+        );
+        if (!selectedItem) {
+            return undefined;
+        }
+        type = selectedItem.id;
     }
-    const packageItems = packages.map(p => ({ label: p.name, description: p.path, detail: p.name }));
-    const selectedItems = await vscode.window.showQuickPick(packageItems, {
-        canPickMany: true,
-        placeHolder: 'Select packages to include in this changeset',
+
+    if (type !== 'range') {
+        return { type };
+    }
+
+    const range = await vscode.window.showInputBox({
+        prompt: 'Enter a commit range (from..to, or from...to to diff from their merge-base). The end defaults to HEAD.',
+        placeHolder: 'abc123..HEAD',
+        validateInput: (value) => (parseCommitRange(value)
+            ? null
+            : 'Enter a range like `v1.2.0..HEAD`, `abc123..def456` or `main...HEAD`.')
     });
-    if (!selectedItems) {
+    if (!range) {
         return undefined;
     }
-    return selectedItems.map(item => packages.find(p => p.name === item.label));
+    return { type, ...parseCommitRange(range) };
 }
 
 /**
- * Prompts the user to select a semver bump type for each selected package.
- * @param {Array<{name: string, path: string}>} selectedPackages The packages selected by the user.
- * @returns {Promise<Object | undefined>} An object mapping package names to bump types.
+ * Parses a commit range typed by the user. Like `git diff`, `from...to` compares `to` with the
+ * merge-base of both ends. Without an end (or without dots at all) the range ends at HEAD.
+ * @param {string} value The commit range.
+ * @returns {{from: string, to: string, mergeBase: boolean} | null} The range, or null if it is not valid.
  */
-async function promptForBumpTypes(selectedPackages) {
-    const bumpTypes = ['major', 'minor', 'patch'];
-    const packagesWithBumps = {};
-    for (const pkg of selectedPackages) {
-        // Validate package name
-        if (!isValidPackageName(pkg.name)) {
-            vscode.window.showErrorMessage(`Invalid package name: ${pkg.name}`);
-            return undefined;
-        }
-
-        const bumpType = await vscode.window.showQuickPick(bumpTypes, {
-            placeHolder: `Select semver bump type for ${pkg.name}`,
-        });
-        if (!bumpType) {
-            return undefined;
-        }
-
-        // Validate bump type
-        if (!isValidBumpType(bumpType)) {
-            vscode.window.showErrorMessage(`Invalid bump type: ${bumpType}`);
-            return undefined;
-        }
-
-        packagesWithBumps[pkg.name] = bumpType;
-    }
-    return packagesWithBumps;
+function parseCommitRange(value) {
+    const match = /^(.+?)(\.\.\.?)(.*)$/.exec(value.trim());
+    const [from, dots, to] = match ? match.slice(1) : [value.trim(), '..', ''];
+    const range = { from, to: to || 'HEAD', mergeBase: dots === '...' };
+    return isValidGitRef(range.from) && isValidGitRef(range.to) ? range : null;
 }
 
 /**
- * Prompts the user for a summary of the changes.
- * @returns {Promise<string | undefined>} The summary text.
+ * Gets the diff (and, for committed changes, the commit messages) for a diff source.
+ * Diff paths are relative to `cwd`, and changes outside of it are left out.
+ * @param {string} cwd The directory to run the commands in.
+ * @param {{type: string, from?: string, to?: string, mergeBase?: boolean}} source The diff source.
+ * @param {Object} config The changesets config.
+ * @returns {Promise<{diff: string, commitMessages: string}>} The diff and commit messages.
  */
-async function promptForSummary() {
-    const summary = await vscode.window.showInputBox({
-        prompt: 'Enter a summary for this changeset (this will be in the changelog)',
-        placeHolder: 'A brief description of the changes...',
-    });
+async function getGitDiff(cwd, source, config) {
+    if (source.type === 'staged') {
+        return { diff: await runGit(cwd, ['diff', '--staged', '--relative'], 'Failed to get staged changes'), commitMessages: '' };
+    }
+    if (source.type === 'workingTree') {
+        return { diff: await runGit(cwd, ['diff', '--relative', 'HEAD'], 'Failed to get working tree changes'), commitMessages: '' };
+    }
 
-    // Validate summary length and content
-    if (summary && summary.length > 1000) {
-        vscode.window.showErrorMessage('Summary is too long. Please keep it under 1000 characters.');
-        return undefined;
+    let from;
+    let to;
+    if (source.type === 'branch') {
+        from = await getMergeBase(cwd, config.baseBranch);
+        to = 'HEAD';
+    } else if (source.type === 'range' && isValidGitRef(source.from) && isValidGitRef(source.to)) {
+        from = source.mergeBase
+            ? (await runGit(cwd, ['merge-base', source.from, source.to], 'Failed to find the merge-base of the commit range')).trim()
+            : source.from;
+        to = source.to;
+    } else {
+        throw new Error('Invalid diff source');
     }
 
-    return summary;
+    const [diff, commitMessages] = await Promise.all([
+        runGit(cwd, ['diff', '--relative', from, to, '--'], 'Failed to get the diff for the commit range'),
+        runGit(cwd, ['log', '--format=- %s%n%w(0,2,2)%b', `${from}..${to}`, '--'], 'Failed to get commit messages')
+    ]);
+    return { diff, commitMessages: commitMessages.trim() };
 }
 
+// --- Workspace folders ---
+
 /**
- * Prompts the user for a summary of the changes, allowing empty descriptions.
- * @returns {Promise<string | undefined>} The summary text.
+ * Returns the workspace folders that contain a `.changeset` directory.
+ * @returns {Array<vscode.WorkspaceFolder>} The workspace folders set up for changesets.
+ */
+function getChangesetFolders() {
+    return (vscode.workspace.workspaceFolders || []).filter(folder => {
+        const changesetDir = validateAndSanitizePath('.changeset', folder.uri.fsPath);
+        return changesetDir && fs.existsSync(changesetDir);
+    });
+}
+
+/**
+ * Determines which workspace folder a changeset workflow should target. Folders with a
+ * `.changeset` directory are preferred; when there are several, the folder of the active
+ * editor is used, otherwise the user is asked to pick one.
+ * @param {string} placeHolder The placeholder of the folder picker, saying what the folder is for.
+ * @returns {Promise<string | undefined>} The root path of the target folder, or undefined if none was chosen.
+ */
+async function pickChangesetRoot(placeHolder) {
+    const workspaceFolders = vscode.workspace.workspaceFolders;
+    if (!workspaceFolders || workspaceFolders.length === 0) {
+        vscode.window.showErrorMessage('Changesets: No workspace folder found. Please open a project.');
+        return undefined;
+    }
+
+    const changesetFolders = getChangesetFolders();
+    const candidates = changesetFolders.length > 0 ? changesetFolders : workspaceFolders;
+    if (candidates.length === 1) {
+        return candidates[0].uri.fsPath;
+    }
+
+    const activeEditor = vscode.window.activeTextEditor;
+    const activeFolder = activeEditor && vscode.workspace.getWorkspaceFolder(activeEditor.document.uri);
+    if (activeFolder && candidates.some(folder => folder.uri.fsPath === activeFolder.uri.fsPath)) {
+        return activeFolder.uri.fsPath;
+    }
+
+    const selectedItem = await vscode.window.showQuickPick(
+        candidates.map(folder => ({ label: folder.name, description: folder.uri.fsPath, folder })),
+        { placeHolder }
+    );
+    return selectedItem ? selectedItem.folder.uri.fsPath : undefined;
+}
+
+/**
+ * Returns the root path of the project a changeset file belongs to.
+ * @param {string} changesetFilePath The path of a file in the `.changeset` directory.
+ * @returns {string} The project root path.
+ */
+function getRootPathForChangeset(changesetFilePath) {
+    return path.dirname(path.dirname(changesetFilePath));
+}
+
+// --- Changesets config ---
+
+/**
+ * Applies the changesets config to proposed bumps, dropping ignored packages,
+ * propagating fixed groups and warning about linked groups.
+ * @param {Object} packagesWithBumps An object mapping package names to bump types.
+ * @param {Object} config The changesets config.
+ * @param {Array<{name: string}>} packages The (non-ignored) packages in the workspace.
+ * @returns {Object} The bumps to write to the changeset.
+ */
+function applyChangesetConfig(packagesWithBumps, config, packages) {
+    const ignored = Object.keys(packagesWithBumps).filter(name => matchesAnyGlob(name, config.ignore));
+    const remaining = Object.fromEntries(
+        Object.entries(packagesWithBumps).filter(([name]) => !ignored.includes(name))
+    );
+    if (ignored.length > 0) {
+        vscode.window.showWarningMessage(`Changesets: Skipped ignored packages: ${ignored.join(', ')}`);
+    }
+
+    const { bumps, added } = applyFixedGroups(remaining, config, packages);
+    if (added.length > 0) {
+        vscode.window.showInformationMessage(`Changesets: Added fixed group members: ${added.join(', ')}`);
+    }
+
+    for (const warning of getLinkedGroupWarnings(bumps, config, packages)) {
+        vscode.window.showWarningMessage(`Changesets: ${warning}`);
+    }
+
+    return bumps;
+}
+
+/**
+ * Shows the packages a new changeset releases besides the ones it lists (internal dependents,
+ * and listed packages whose bump is raised) and lets the user add explicit entries for them.
+ * Majors forced by a peer dependency and raised bumps are flagged and preselected.
+ * @param {string} rootPath The root path of the workspace.
+ * @param {Object} packagesWithBumps An object mapping package names to bump types.
+ * @param {Array<Object>} packages The packages in the workspace.
+ * @param {Object} config The changesets config.
+ * @returns {Promise<Object | undefined>} The bumps to write, or undefined if cancelled.
+ */
+async function confirmDependentBumps(rootPath, packagesWithBumps, packages, config) {
+    if (!vscode.workspace.getConfiguration('changesets').get('dependentReleases.preview', true)) {
+        return packagesWithBumps;
+    }
+    const dependentBumps = getDependentBumps(packagesWithBumps, packages, config, readPreState(rootPath));
+    if (dependentBumps.length === 0) {
+        return packagesWithBumps;
+    }
+
+    const items = dependentBumps.map(bump => {
+        const flagged = bump.isPeerMajor || Boolean(bump.listedType);
+        let note = bump.reasons.join(', ');
+        if (bump.isPeerMajor) {
+            note = `major because of a peer dependency (${note})`;
+        } else if (bump.listedType) {
+            note = `listed as ${bump.listedType}, released as ${bump.type} (${note})`;
+        }
+        return {
+            label: `${flagged ? '$(warning) ' : ''}${bump.name}`,
+            description: `${bump.type}: ${bump.oldVersion || '?'} → ${bump.newVersion || '?'}`,
+            detail: note,
+            picked: flagged,
+            bump
+        };
+    });
+
+    const selected = await vscode.window.showQuickPick(items, {
+        canPickMany: true,
+        title: `This changeset also releases ${dependentBumps.length} package${dependentBumps.length === 1 ? '' : 's'}`,
+        placeHolder: 'Select the packages to add to the changeset explicitly, then press Enter to create it'
+    });
+    if (!selected) {
+        return undefined;
+    }
+    return {
+        ...packagesWithBumps,
+        ...Object.fromEntries(selected.map(item => [item.bump.name, item.bump.type]))
+    };
+}
+
+// --- Changeset details input ---
+
+// Returned by a quick input step when the user clicks the back button
+const QUICK_INPUT_BACK = Symbol('back');
+
+/**
+ * Shows a quick input and resolves once the step is finished, cancelled or the back button is clicked.
+ * @param {vscode.QuickPick | vscode.InputBox} input The quick input to show.
+ * @param {(finish: (value: any) => void) => void} setup Registers the step's handlers; they call `finish` with the result.
+ * @returns {Promise<any>} The result of the step, QUICK_INPUT_BACK, or undefined if the input was dismissed.
+ */
+function runQuickInputStep(input, setup) {
+    return new Promise(resolve => {
+        let finished = false;
+        const finish = (value) => {
+            if (!finished) {
+                finished = true;
+                resolve(value);
+                input.dispose();
+            }
+        };
+        input.onDidHide(() => finish(undefined));
+        input.onDidTriggerButton(button => {
+            if (button === vscode.QuickInputButtons.Back) {
+                finish(QUICK_INPUT_BACK);
+            }
+        });
+        setup(finish);
+        input.show();
+    });
+}
+
+/**
+ * Asks which summary template to start from. Templates come from the `changesets.summaryTemplates` setting.
+ * @param {Object} state The state of the multi-step input.
+ * @returns {Promise<Object | null | symbol | undefined>} The chosen template, or null for no template.
+ */
+function promptForTemplateStep(state) {
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = state.title;
+    quickPick.step = state.step;
+    quickPick.totalSteps = state.totalSteps;
+    quickPick.matchOnDetail = true;
+    quickPick.placeholder = 'Choose a template for the summary';
+
+    quickPick.items = [
+        ...state.templates.map(template => ({
+            label: template.name,
+            description: template.bump ? `$(${BUMP_TYPE_ICONS[template.bump]}) ${template.bump}` : '',
+            detail: template.description || undefined,
+            template
+        })),
+        { label: '$(circle-slash) No template', description: 'Write the summary from scratch', template: null }
+    ];
+    quickPick.activeItems = quickPick.items.filter(item => item.template === state.template);
+
+    return runQuickInputStep(quickPick, finish => {
+        quickPick.onDidAccept(() => {
+            const [item] = quickPick.selectedItems;
+            if (item) {
+                finish(item.template);
+            }
+        });
+    });
+}
+
+/**
+ * Asks for a summary template on its own, for the workflows without the multi-step input.
+ * @param {string} title The title of the quick pick.
+ * @param {Array<Object>} templates The configured templates.
+ * @returns {Promise<Object | null | undefined>} The chosen template, null if none is configured or chosen, or undefined if dismissed.
+ */
+async function pickSummaryTemplate(title, templates) {
+    if (templates.length === 0) {
+        return null;
+    }
+    return promptForTemplateStep({ title, step: 1, totalSteps: 1, templates, template: null });
+}
+
+/**
+ * Asks which packages to include. Changed packages are listed first and marked as changed.
+ * @param {Object} state The state of the multi-step input.
+ * @returns {Promise<string[] | symbol | undefined>} The selected package names.
+ */
+function promptForPackagesStep(state) {
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = state.title;
+    quickPick.step = state.step;
+    quickPick.totalSteps = state.totalSteps;
+    quickPick.canSelectMany = true;
+    quickPick.matchOnDetail = true;
+    quickPick.placeholder = 'Select packages to include in this changeset';
+    quickPick.buttons = state.step > 1 ? [vscode.QuickInputButtons.Back] : [];
+
+    const toItem = (pkg) => ({
+        label: pkg.name,
+        description: [
+            pkg.version && `v${pkg.version}`,
+            pkg.private && '$(lock) private',
+            state.changedNames.includes(pkg.name) && '$(diff-modified) changed'
+        ].filter(Boolean).join('  '),
+        detail: pkg.relativePath
+    });
+    const changed = state.packages.filter(pkg => state.changedNames.includes(pkg.name));
+    const unchanged = state.packages.filter(pkg => !state.changedNames.includes(pkg.name));
+    quickPick.items = changed.length > 0 && unchanged.length > 0
+        ? [
+            { label: 'Changed', kind: vscode.QuickPickItemKind.Separator },
+            ...changed.map(toItem),
+            { label: 'Other packages', kind: vscode.QuickPickItemKind.Separator },
+            ...unchanged.map(toItem)
+        ]
+        : [...changed, ...unchanged].map(toItem);
+    quickPick.selectedItems = quickPick.items.filter(item => state.selectedNames.includes(item.label));
+
+    return runQuickInputStep(quickPick, finish => {
+        quickPick.onDidAccept(() => {
+            if (quickPick.selectedItems.length > 0) {
+                finish(quickPick.selectedItems.map(item => item.label));
+            }
+        });
+    });
+}
+
+/**
+ * Lets the user set the bump type of every selected package on a single page: the buttons on a package
+ * set its bump, accepting a package cycles through the bump types, and the "Set all" entries change every package.
+ * @param {Object} state The state of the multi-step input.
+ * @returns {Promise<Object | symbol | undefined>} The bump type of each selected package.
+ */
+function promptForBumpTypesStep(state) {
+    const bumpTypes = ['patch', 'minor', 'major'];
+    const bumps = Object.fromEntries(state.selectedNames.map(name => [name, state.bumps[name] || 'patch']));
+
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = state.title;
+    quickPick.step = state.step;
+    quickPick.totalSteps = state.totalSteps;
+    quickPick.placeholder = 'Set the bump type of each package, then continue';
+    quickPick.buttons = state.step > 1 ? [vscode.QuickInputButtons.Back] : [];
+
+    const render = (activeKey) => {
+        quickPick.items = [
+            { label: '$(arrow-right) Continue', description: state.selectedNames.map(name => `${name}@${bumps[name]}`).join(', '), key: 'continue' },
+            { label: 'Set all', kind: vscode.QuickPickItemKind.Separator },
+            ...bumpTypes.map(type => ({ label: `$(${BUMP_TYPE_ICONS[type]}) All ${type}`, key: `all:${type}`, bump: type })),
+            { label: 'Packages', kind: vscode.QuickPickItemKind.Separator },
+            ...state.selectedNames.map(name => ({
+                label: name,
+                description: `$(${BUMP_TYPE_ICONS[bumps[name]]}) ${bumps[name]}`,
+                key: `package:${name}`,
+                name,
+                buttons: bumpTypes.map(type => ({ iconPath: new vscode.ThemeIcon(BUMP_TYPE_ICONS[type]), tooltip: type, bump: type }))
+            }))
+        ];
+        quickPick.activeItems = quickPick.items.filter(item => item.key === (activeKey || 'continue'));
+    };
+    render();
+
+    return runQuickInputStep(quickPick, finish => {
+        quickPick.onDidTriggerItemButton(event => {
+            bumps[event.item.name] = event.button.bump;
+            render(event.item.key);
+        });
+        quickPick.onDidAccept(() => {
+            const [item] = quickPick.selectedItems;
+            if (!item) {
+                return;
+            }
+            if (item.key === 'continue') {
+                finish(bumps);
+            } else if (item.name) {
+                bumps[item.name] = bumpTypes[(bumpTypes.indexOf(bumps[item.name]) + 1) % bumpTypes.length];
+                render(item.key);
+            } else {
+                state.selectedNames.forEach(name => { bumps[name] = item.bump; });
+                render(item.key);
+            }
+        });
+    });
+}
+
+/**
+ * Asks for the changelog summary.
+ * @param {Object} state The state of the multi-step input.
+ * @returns {Promise<string | symbol | undefined>} The summary.
+ */
+function promptForSummaryStep(state) {
+    const inputBox = vscode.window.createInputBox();
+    inputBox.title = state.title;
+    inputBox.step = state.step;
+    inputBox.totalSteps = state.totalSteps;
+    inputBox.prompt = 'Enter a summary for this changeset (this will be in the changelog)';
+    inputBox.placeholder = 'A brief description of the changes...';
+    inputBox.value = state.summary;
+    inputBox.buttons = [vscode.QuickInputButtons.Back];
+    if (state.template && state.summary === state.template.summary) {
+        // Select the first <placeholder> of the template, or else put the cursor after it
+        const placeholder = /<[^<>\n]+>/.exec(state.summary);
+        inputBox.valueSelection = placeholder
+            ? [placeholder.index, placeholder.index + placeholder[0].length]
+            : [state.summary.length, state.summary.length];
+    }
+    const rules = [...state.summaryRules, ...(state.template ? state.template.rules : [])];
+
+    return runQuickInputStep(inputBox, finish => {
+        inputBox.onDidChangeValue(value => {
+            // Keep what was typed when going back to the previous step
+            state.summary = value;
+            inputBox.validationMessage = value.length > MAX_SUMMARY_LENGTH
+                ? `Summary is too long. Please keep it under ${MAX_SUMMARY_LENGTH} characters.`
+                : undefined;
+        });
+        inputBox.onDidAccept(() => {
+            if (!inputBox.value.trim()) {
+                inputBox.validationMessage = 'Please enter a summary.';
+                return;
+            }
+            const violations = getSummaryRuleViolations(applyTemplateBody(inputBox.value, state.template), rules);
+            if (violations.length > 0) {
+                inputBox.validationMessage = violations.join(' ');
+            } else if (inputBox.value.length <= MAX_SUMMARY_LENGTH) {
+                finish(inputBox.value);
+            }
+        });
+    });
+}
+
+/**
+ * Walks the user through choosing a summary template, selecting packages, setting their bump types and
+ * writing the summary, as one multi-step quick input with a back button on every step after the first.
+ * A template sets the default bump of every package and prefills the summary.
+ * @param {Array<{name: string, version?: string, relativePath?: string}>} packages The available packages.
+ * @param {Object} [options]
+ * @param {string[]} [options.changedNames] Packages with staged or branch changes, listed first.
+ * @param {string[]} [options.selectedNames] Packages to preselect, the changed packages by default.
+ * @param {Object} [options.bumps] Default bump types, keyed by package name.
+ * @param {string | null} [options.summary] The initial summary, or null to skip the summary step.
+ * @param {string} [options.title] The title of the quick input.
+ * @param {Array<Object>} [options.templates] Summary templates to offer first; only used with the summary step.
+ * @param {Array<{regex: RegExp, message: string}>} [options.summaryRules] Rules the summary must follow.
+ * @returns {Promise<{bumps: Object, summary: string | undefined, template: Object | null} | undefined>} The chosen bumps,
+ * summary (including the body of the template) and template, or undefined if cancelled.
+ */
+async function promptForChangesetDetails(packages, options = {}) {
+    const changedNames = options.changedNames || [];
+    const templates = options.templates || [];
+    const steps = [promptForBumpTypesStep];
+    if (packages.length > 1) {
+        steps.unshift(promptForPackagesStep);
+    }
+    if (options.summary !== null) {
+        steps.push(promptForSummaryStep);
+        if (templates.length > 0) {
+            steps.unshift(promptForTemplateStep);
+        }
+    }
+
+    const state = {
+        title: options.title || 'Add Changeset',
+        packages,
+        changedNames,
+        selectedNames: packages.length === 1 ? [packages[0].name] : (options.selectedNames || changedNames),
+        bumps: { ...(options.bumps || {}) },
+        summary: options.summary || '',
+        templates,
+        template: null,
+        summaryRules: options.summaryRules || [],
+        totalSteps: steps.length
+    };
+
+    let index = 0;
+    while (index < steps.length) {
+        const step = steps[index];
+        state.step = index + 1;
+        const result = await step(state);
+        if (result === undefined) {
+            return undefined;
+        }
+        if (result === QUICK_INPUT_BACK) {
+            index = Math.max(0, index - 1);
+            continue;
+        }
+
+        if (step === promptForTemplateStep) {
+            // Switching templates replaces the prefilled summary, but not one the user wrote
+            if (!state.summary.trim() || (state.template && state.summary === state.template.summary)) {
+                state.summary = result ? result.summary : '';
+            }
+            if (result && result.bump) {
+                packages.forEach(pkg => { state.bumps[pkg.name] = result.bump; });
+            }
+            state.template = result;
+        } else if (step === promptForPackagesStep) {
+            state.selectedNames = result;
+        } else if (step === promptForBumpTypesStep) {
+            Object.assign(state.bumps, result);
+        } else {
+            state.summary = result;
+        }
+        index++;
+    }
+
+    const bumps = {};
+    for (const name of state.selectedNames) {
+        // Validate package name and bump type
+        if (!isValidPackageName(name)) {
+            vscode.window.showErrorMessage(`Invalid package name: ${name}`);
+            return undefined;
+        }
+        if (!isValidBumpType(state.bumps[name])) {
+            vscode.window.showErrorMessage(`Invalid bump type: ${state.bumps[name]}`);
+            return undefined;
+        }
+        bumps[name] = state.bumps[name];
+    }
+    return {
+        bumps,
+        summary: options.summary === null ? undefined : applyTemplateBody(state.summary, state.template),
+        template: state.template
+    };
+}
+
+/**
+ * Reads the summary templates and rules from the settings, warning about entries that cannot be used.
+ * @returns {{templates: Array<Object>, rules: Array<{regex: RegExp, message: string}>}} The templates, and the rules every summary must follow.
+ */
+function getSummaryConventions() {
+    const settings = vscode.workspace.getConfiguration('changesets');
+    const { templates, errors: templateErrors } = normalizeSummaryTemplates(settings.get('summaryTemplates', []));
+    const { rules, errors: ruleErrors } = compileSummaryRules(settings.get('summaryRules', []));
+    const errors = [...templateErrors, ...ruleErrors];
+    if (errors.length > 0) {
+        vscode.window.showWarningMessage(`Changesets: ${errors.join(' ')}`);
+    }
+    return { templates, rules };
+}
+
+const RECENT_BUMPS_KEY = 'changesets.recentBumps';
+
+/**
+ * Finds the packages with staged changes or changes on the current branch.
+ * @param {string} rootPath The root path of the project.
+ * @param {Array<{name: string, relativePath: string}>} packages The packages in the workspace.
+ * @param {Object} config The changesets config.
+ * @returns {Promise<string[]>} The names of the changed packages; empty if git is unavailable.
+ */
+async function getChangedPackageNames(rootPath, packages, config) {
+    const toFiles = (output) => output.split('\n').map(file => file.trim()).filter(Boolean);
+    const [stagedFiles, branchFiles] = await Promise.all([
+        runGit(rootPath, ['diff', '--name-only', '--staged', '--relative'], 'Failed to get staged files').then(toFiles, () => []),
+        getChangedFilesSinceBaseBranch(rootPath, config.baseBranch).catch(() => [])
+    ]);
+
+    const names = new Set();
+    for (const file of [...stagedFiles, ...branchFiles]) {
+        const pkg = !file.startsWith('.changeset/') && getPackageForFile(file, packages);
+        if (pkg) {
+            names.add(pkg.name);
+        }
+    }
+    return packages.map(pkg => pkg.name).filter(name => names.has(name));
+}
+
+/**
+ * Works out the default bump type of each package: the bump last chosen in this workspace, or else
+ * the bump in the most recent pending changeset for the package.
+ * @param {vscode.ExtensionContext} context The extension context holding the remembered bumps.
+ * @param {string} rootPath The root path of the project.
+ * @returns {Promise<Object>} The default bump types, keyed by package name.
+ */
+async function getRecentBumps(context, rootPath) {
+    const bumps = {};
+    try {
+        const changesets = await readChangesets(rootPath);
+        const withTimes = await Promise.all(changesets.map(async changeset => ({
+            changeset,
+            mtime: (await fs.promises.stat(changeset.filePath)).mtimeMs
+        })));
+        withTimes.sort((a, b) => a.mtime - b.mtime);
+        for (const { changeset } of withTimes) {
+            changeset.releases.forEach(release => { bumps[release.name] = release.type; });
+        }
+    } catch (e) {
+        console.error(e);
+    }
+
+    const remembered = context.workspaceState.get(RECENT_BUMPS_KEY, {})[rootPath] || {};
+    return Object.fromEntries(Object.entries({ ...bumps, ...remembered }).filter(([, type]) => isValidBumpType(type)));
+}
+
+/**
+ * Remembers the bump types chosen for packages, to use them as defaults next time.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {string} rootPath The root path of the project.
+ * @param {Object} packagesWithBumps The chosen bump types, keyed by package name.
+ */
+async function rememberBumps(context, rootPath, packagesWithBumps) {
+    const recentBumps = context.workspaceState.get(RECENT_BUMPS_KEY, {});
+    await context.workspaceState.update(RECENT_BUMPS_KEY, {
+        ...recentBumps,
+        [rootPath]: { ...(recentBumps[rootPath] || {}), ...packagesWithBumps }
+    });
+}
+
+/**
+ * Prompts the user for a summary of the changes.
+ * @param {string} [value] The initial summary to show in the input box.
+ * @returns {Promise<string | undefined>} The summary text.
+ */
+async function promptForSummary(value = '') {
+    const { rules } = getSummaryConventions();
+    const summary = await vscode.window.showInputBox({
+        prompt: 'Enter a summary for this changeset (this will be in the changelog)',
+        placeHolder: 'A brief description of the changes...',
+        value,
+        validateInput: text => (text.trim() ? getSummaryRuleViolations(text, rules).join(' ') || undefined : undefined)
+    });
+
+    // Validate summary length and content
+    if (summary && summary.length > MAX_SUMMARY_LENGTH) {
+        vscode.window.showErrorMessage(`Summary is too long. Please keep it under ${MAX_SUMMARY_LENGTH} characters.`);
+        return undefined;
+    }
+
+    return summary;
+}
+
+/**
+ * Prompts the user for a summary of the changes, allowing empty descriptions.
+ * @returns {Promise<string | undefined>} The summary text.
  */
 async function promptForEmptySummary() {
     const summary = await vscode.window.showInputBox({
@@ -561,70 +1530,2217 @@ async function promptForEmptySummary() {
     });
 
     // Validate summary length and content
-    if (summary && summary.length > 1000) {
-        vscode.window.showErrorMessage('Summary is too long. Please keep it under 1000 characters.');
+    if (summary && summary.length > MAX_SUMMARY_LENGTH) {
+        vscode.window.showErrorMessage(`Summary is too long. Please keep it under ${MAX_SUMMARY_LENGTH} characters.`);
         return undefined;
     }
 
     return summary;
 }
 
+// --- Pending changesets ---
+
+const EMPTY_CHANGESET_GROUP = '(no packages)';
+
+const BUMP_TYPE_ICONS = {
+    major: 'flame',
+    minor: 'sparkle',
+    patch: 'tools'
+};
+
 /**
- * Creates the changeset file in the .changeset directory.
- * @param {string} rootPath The root path of the workspace.
- * @param {Object} packagesWithBumps An object mapping package names to bump types.
- * @param {string} summary The summary of the changes.
+ * Tree data provider for the pending changesets view. Changesets are grouped by
+ * package, then by bump type.
  */
-async function createChangesetFile(rootPath, packagesWithBumps, summary) {
-    // Validate root path is a string
-    if (!rootPath || typeof rootPath !== 'string') {
-        throw new Error('Invalid root path');
+class ChangesetTreeProvider {
+    constructor() {
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
     }
 
-    const changesetDir = path.join(rootPath, '.changeset');
+    /**
+     * @param {Object} element The tree element.
+     * @returns {vscode.TreeItem}
+     */
+    getTreeItem(element) {
+        if (element.kind === 'folder') {
+            const item = new vscode.TreeItem(element.folder.name, vscode.TreeItemCollapsibleState.Expanded);
+            item.iconPath = vscode.ThemeIcon.Folder;
+            item.resourceUri = element.folder.uri;
+            item.contextValue = 'changesetFolder';
+            return item;
+        }
+
+        if (element.kind === 'package') {
+            const item = new vscode.TreeItem(element.name, vscode.TreeItemCollapsibleState.Expanded);
+            item.iconPath = new vscode.ThemeIcon(element.name === EMPTY_CHANGESET_GROUP ? 'circle-slash' : 'package');
+            item.description = `${element.changesets.length} changeset${element.changesets.length === 1 ? '' : 's'}`;
+            item.contextValue = 'changesetPackage';
+            return item;
+        }
+
+        if (element.kind === 'bump') {
+            const item = new vscode.TreeItem(element.type, vscode.TreeItemCollapsibleState.Expanded);
+            item.iconPath = new vscode.ThemeIcon(BUMP_TYPE_ICONS[element.type] || 'tag');
+            item.description = String(element.changesets.length);
+            item.contextValue = 'changesetBump';
+            return item;
+        }
 
-    // Validate the changeset directory path is within the root path
-    const validatedChangesetDir = validateAndSanitizePath(changesetDir, rootPath);
-    if (!validatedChangesetDir) {
-        throw new Error('Invalid changeset directory path');
+        const changeset = element.changeset;
+        const firstLine = changeset.summary.split('\n')[0].trim();
+        const item = new vscode.TreeItem(firstLine || '(no summary)', vscode.TreeItemCollapsibleState.None);
+        item.id = `${element.parentId}/${changeset.id}`;
+        item.description = element.commit ? `${changeset.id} · ${element.commit.author}` : changeset.id;
+        item.iconPath = new vscode.ThemeIcon('note');
+        item.resourceUri = vscode.Uri.file(changeset.filePath);
+        item.contextValue = 'changeset';
+        item.tooltip = createChangesetMarkdown(
+            `**${changeset.id}**\n\n` +
+            changeset.releases.map(release => `- \`${release.name}\`: ${release.type}`).join('\n') +
+            `\n\n---\n\n${changeset.summary}` +
+            `\n\n---\n\n${renderChangesetCommitMarkdown(changeset.filePath, element.commit)}`
+        );
+        item.command = {
+            command: 'changeset.openChangeset',
+            title: 'Open Changeset',
+            arguments: [element]
+        };
+        return item;
     }
 
-    if (!fs.existsSync(validatedChangesetDir)) {
-        fs.mkdirSync(validatedChangesetDir, { recursive: true });
+    /**
+     * @param {Object} [element] The parent element, or undefined for the root.
+     * @returns {Promise<Array<Object>>}
+     */
+    async getChildren(element) {
+        if (element) {
+            return element.children;
+        }
+
+        const loadFolder = async (rootPath) => {
+            const [changesets, history] = await Promise.all([readChangesets(rootPath), getChangesetHistory(rootPath)]);
+            return groupChangesetsByPackage(changesets, rootPath, history);
+        };
+
+        const folders = getChangesetFolders();
+        if (folders.length === 1) {
+            return loadFolder(folders[0].uri.fsPath);
+        }
+
+        // In multi-root workspaces each folder gets its own top-level node
+        return Promise.all(folders.map(async folder => ({
+            kind: 'folder',
+            folder,
+            children: await loadFolder(folder.uri.fsPath)
+        })));
     }
+}
+
+/**
+ * Groups changesets into package and bump type tree nodes.
+ * @param {Array<Object>} changesets The pending changesets.
+ * @param {string} rootPath The root path the changesets belong to, used to keep tree item ids unique.
+ * @param {Map<string, Object>} [history] The commit that added each changeset, keyed by id.
+ * @returns {Array<Object>} The package nodes.
+ */
+function groupChangesetsByPackage(changesets, rootPath, history = new Map()) {
+    const bumpOrder = ['major', 'minor', 'patch'];
+    const packageNodes = new Map();
 
-    const randomId = generateSecureRandomId();
-    const fileName = `changeset-${randomId}.md`;
-    const filePath = path.join(validatedChangesetDir, fileName);
+    const getPackageNode = (name) => {
+        if (!packageNodes.has(name)) {
+            packageNodes.set(name, { kind: 'package', name, changesets: [], children: [] });
+        }
+        return packageNodes.get(name);
+    };
+
+    for (const changeset of changesets) {
+        // Empty changesets have no bump type, so they are listed directly under their own group
+        if (changeset.releases.length === 0) {
+            const packageNode = getPackageNode(EMPTY_CHANGESET_GROUP);
+            packageNode.changesets.push(changeset);
+            packageNode.children.push({ kind: 'changeset', changeset, commit: history.get(changeset.id), parentId: `${rootPath}/${EMPTY_CHANGESET_GROUP}` });
+            continue;
+        }
 
-    // Validate the final file path is within the changeset directory
-    const validatedFilePath = validateAndSanitizePath(filePath, validatedChangesetDir);
-    if (!validatedFilePath) {
-        throw new Error('Invalid file path');
+        for (const release of changeset.releases) {
+            const packageNode = getPackageNode(release.name);
+            let bumpNode = packageNode.children.find(child => child.type === release.type);
+            if (!bumpNode) {
+                bumpNode = { kind: 'bump', type: release.type, changesets: [], children: [] };
+                packageNode.children.push(bumpNode);
+            }
+            packageNode.changesets.push(changeset);
+            bumpNode.changesets.push(changeset);
+            bumpNode.children.push({ kind: 'changeset', changeset, commit: history.get(changeset.id), parentId: `${rootPath}/${release.name}/${release.type}` });
+        }
     }
 
-    let content = '---\n';
-    for (const [pkg, bump] of Object.entries(packagesWithBumps)) {
-        // Validate package name and bump type
-        if (!isValidPackageName(pkg)) {
-            throw new Error(`Invalid package name: ${pkg}`);
+    const bumpRank = (type) => bumpOrder.includes(type) ? bumpOrder.indexOf(type) : bumpOrder.length;
+    for (const packageNode of packageNodes.values()) {
+        if (packageNode.name !== EMPTY_CHANGESET_GROUP) {
+            packageNode.children.sort((a, b) => bumpRank(a.type) - bumpRank(b.type));
         }
-        if (!isValidBumpType(bump)) {
-            throw new Error(`Invalid bump type: ${bump}`);
+    }
+
+    return [...packageNodes.values()].sort((a, b) => {
+        if (a.name === EMPTY_CHANGESET_GROUP) return 1;
+        if (b.name === EMPTY_CHANGESET_GROUP) return -1;
+        return a.name.localeCompare(b.name);
+    });
+}
+
+/**
+ * Resolves the changeset targeted by a tree view command.
+ * @param {Object} element The tree element passed to the command.
+ * @returns {Object | undefined} The changeset, or undefined if the command was not run from a changeset item.
+ */
+function getChangesetFromTreeElement(element) {
+    return element && element.kind === 'changeset' ? element.changeset : undefined;
+}
+
+/**
+ * Opens a pending changeset in the editor.
+ * @param {Object} element The tree element for the changeset.
+ */
+async function openChangeset(element) {
+    const changeset = getChangesetFromTreeElement(element);
+    if (!changeset) {
+        return;
+    }
+    await vscode.window.showTextDocument(vscode.Uri.file(changeset.filePath), { preview: true });
+}
+
+/**
+ * Lets the user edit the bumps or summary of a pending changeset.
+ * @param {Object} element The tree element for the changeset.
+ */
+async function editChangeset(element) {
+    const changeset = getChangesetFromTreeElement(element);
+    if (!changeset) {
+        return;
+    }
+
+    const rootPath = getRootPathForChangeset(changeset.filePath);
+
+    const choice = await vscode.window.showQuickPick([
+        { label: 'Edit Bumps', description: 'Change the packages and bump types', action: 'bumps' },
+        { label: 'Edit Summary', description: 'Change the changelog summary', action: 'summary' }
+    ], {
+        placeHolder: `Edit changeset ${changeset.id}`
+    });
+    if (!choice) {
+        return;
+    }
+
+    const currentBumps = Object.fromEntries(changeset.releases.map(release => [release.name, release.type]));
+    let packagesWithBumps = currentBumps;
+    let summary = changeset.summary;
+
+    try {
+        if (choice.action === 'bumps') {
+            const config = readChangesetConfig(rootPath);
+            const packages = await findPackages(rootPath, config);
+            const details = await promptForChangesetDetails(packages, {
+                selectedNames: Object.keys(currentBumps),
+                bumps: currentBumps,
+                summary: null,
+                title: `Edit Changeset ${changeset.id}`
+            });
+            if (!details) {
+                return;
+            }
+            packagesWithBumps = applyChangesetConfig(details.bumps, config, packages);
+        } else {
+            if (changeset.summary.includes('\n')) {
+                // An input box would flatten multi-paragraph markdown, so edit it in the file itself
+                await vscode.window.showTextDocument(vscode.Uri.file(changeset.filePath));
+                return;
+            }
+            summary = await promptForSummary(changeset.summary);
+            if (summary === undefined) {
+                return;
+            }
         }
 
-        // Escape values for safe YAML
-        const escapedPkg = escapeYamlValue(pkg);
-        const escapedBump = escapeYamlValue(bump);
-        content += `"${escapedPkg}": ${escapedBump}\n`;
+        await updateChangesetFile(changeset, packagesWithBumps, summary);
+        vscode.window.showInformationMessage(`Changeset ${changeset.id} updated.`);
+    } catch (error) {
+        console.error(error);
+        vscode.window.showErrorMessage(`An error occurred: ${error.message}`);
+    }
+}
+
+/**
+ * Rewrites an existing changeset file with new bumps and summary.
+ * @param {{filePath: string}} changeset The changeset to rewrite.
+ * @param {Object} packagesWithBumps An object mapping package names to bump types.
+ * @param {string} summary The summary of the changes.
+ */
+async function updateChangesetFile(changeset, packagesWithBumps, summary) {
+    const rootPath = getRootPathForChangeset(changeset.filePath);
+    const validatedFilePath = validateAndSanitizePath(changeset.filePath, path.join(rootPath, '.changeset'));
+    if (!validatedFilePath) {
+        throw new Error('Invalid file path');
     }
-    content += '---\n\n';
+    await fs.promises.writeFile(validatedFilePath, buildChangesetContent(packagesWithBumps, summary));
+}
 
-    // Escape summary content
-    const escapedSummary = escapeYamlValue(summary || '');
-    content += `${escapedSummary}\n`;
+/**
+ * Deletes a pending changeset after confirmation.
+ * @param {Object} element The tree element for the changeset.
+ */
+async function deleteChangeset(element) {
+    const changeset = getChangesetFromTreeElement(element);
+    if (!changeset) {
+        return;
+    }
 
-    fs.writeFileSync(validatedFilePath, content);
+    const confirmation = await vscode.window.showWarningMessage(
+        `Delete changeset "${changeset.id}"?`,
+        { modal: true, detail: changeset.summary },
+        'Delete'
+    );
+    if (confirmation !== 'Delete') {
+        return;
+    }
+
+    try {
+        await vscode.workspace.fs.delete(vscode.Uri.file(changeset.filePath), { useTrash: true });
+    } catch (error) {
+        console.error(error);
+        vscode.window.showErrorMessage(`An error occurred: ${error.message}`);
+    }
+}
+
+// --- Clean up ---
+
+/**
+ * Analyses the pending changesets and offers a fix for each problem found: stale package references
+ * can be replaced or removed, changesets with an empty summary opened, and duplicate or overlapping
+ * changesets merged. Any other changesets can be merged too.
+ */
+async function cleanUpChangesets() {
+    const rootPath = await pickChangesetRoot('Select the workspace folder to clean up the changesets of');
+    if (!rootPath) {
+        return;
+    }
+
+    try {
+        const config = readChangesetConfig(rootPath);
+        const [packages, changesets] = await Promise.all([
+            findReferenceablePackages(rootPath, config),
+            readChangesets(rootPath)
+        ]);
+        if (changesets.length === 0) {
+            vscode.window.showInformationMessage('No pending changesets to clean up.');
+            return;
+        }
+        const packageNames = packages.map(pkg => pkg.name);
+        const report = analyzeChangesets(changesets, packageNames);
+
+        const ids = (group) => group.map(changeset => changeset.id).join(', ');
+        const problems = [
+            ...report.unknownPackages.map(problem => ({
+                label: `$(error) Unknown package "${problem.name}"`,
+                description: problem.changeset.id,
+                detail: problem.suggestions.length > 0
+                    ? `Did you mean ${problem.suggestions.join(', ')}?`
+                    : 'The package was removed or renamed',
+                run: () => fixChangesetPackageReference(problem, packageNames)
+            })),
+            ...report.emptySummaries.map(changeset => ({
+                label: '$(warning) Empty summary',
+                description: changeset.id,
+                detail: 'Open the changeset to write its changelog entry',
+                run: () => vscode.window.showTextDocument(vscode.Uri.file(changeset.filePath))
+            })),
+            ...report.duplicateSummaries.map(group => ({
+                label: `$(copy) ${group.length} changesets have the same summary`,
+                description: ids(group),
+                detail: `Merge them: ${group[0].summary.split('\n')[0]}`,
+                run: () => mergeChangesetFiles(rootPath, group)
+            }))
+        ];
+        const candidates = report.sharedPackages.map(({ name, changesets: group }) => ({
+            label: `$(layers) ${group.length} changesets bump ${name}`,
+            description: ids(group),
+            detail: 'Merge them into one changeset',
+            run: () => mergeChangesetFiles(rootPath, group)
+        }));
+
+        const items = [
+            ...(problems.length > 0 ? [{ label: 'Problems', kind: vscode.QuickPickItemKind.Separator }, ...problems] : []),
+            ...(candidates.length > 0 ? [{ label: 'Merge candidates', kind: vscode.QuickPickItemKind.Separator }, ...candidates] : []),
+            { label: '', kind: vscode.QuickPickItemKind.Separator },
+            {
+                label: '$(merge) Merge Changesets...',
+                detail: 'Choose changesets to merge into one',
+                run: () => pickChangesetsToMerge(rootPath, changesets)
+            }
+        ];
+        const count = `${changesets.length} pending changeset${changesets.length === 1 ? '' : 's'}`;
+        const selected = await vscode.window.showQuickPick(items, {
+            title: 'Clean Up Changesets',
+            placeHolder: problems.length > 0
+                ? `Found ${problems.length} problem${problems.length === 1 ? '' : 's'} in ${count}. Select one to fix it.`
+                : `No problems found in ${count}.`,
+            matchOnDescription: true
+        });
+        if (selected) {
+            await selected.run();
+        }
+    } catch (error) {
+        console.error(error);
+        vscode.window.showErrorMessage(`An error occurred: ${error.message}`);
+    }
+}
+
+/**
+ * Replaces a stale package reference in a changeset with another package, or removes it.
+ * @param {{changeset: Object, name: string, suggestions: string[]}} problem The stale reference.
+ * @param {string[]} packageNames The packages of the project.
+ */
+async function fixChangesetPackageReference({ changeset, name, suggestions }, packageNames) {
+    const choice = await vscode.window.showQuickPick([
+        ...suggestions.map(suggestion => ({ label: suggestion, description: 'Closest match', replacement: suggestion })),
+        { label: '$(list-selection) Choose Another Package...', choose: true },
+        { label: '$(trash) Remove from Changeset', replacement: undefined }
+    ], {
+        placeHolder: `Replace "${name}" in ${changeset.id}`
+    });
+    if (!choice) {
+        return;
+    }
+
+    let replacement = choice.replacement;
+    if (choice.choose) {
+        replacement = await vscode.window.showQuickPick(packageNames, { placeHolder: `Select the package to use instead of "${name}"` });
+        if (!replacement) {
+            return;
+        }
+    }
+
+    await updateChangesetFile(changeset, replaceChangesetPackage(changeset, name, replacement), changeset.summary);
+    vscode.window.showInformationMessage(`Changeset ${changeset.id} updated.`);
+}
+
+/**
+ * Lets the user choose pending changesets and merges them.
+ * @param {string} rootPath The root path of the project.
+ * @param {Array<Object>} changesets The pending changesets.
+ */
+async function pickChangesetsToMerge(rootPath, changesets) {
+    const selected = await vscode.window.showQuickPick(changesets.map(changeset => ({
+        label: changeset.id,
+        description: changeset.releases.map(release => `${release.name}@${release.type}`).join(', '),
+        detail: changeset.summary.split('\n')[0],
+        changeset
+    })), {
+        canPickMany: true,
+        matchOnDescription: true,
+        placeHolder: 'Select the changesets to merge into one'
+    });
+    if (!selected) {
+        return;
+    }
+    if (selected.length < 2) {
+        vscode.window.showWarningMessage('Select at least two changesets to merge.');
+        return;
+    }
+    await mergeChangesetFiles(rootPath, selected.map(item => item.changeset));
+}
+
+/**
+ * Merges changesets into a new changeset after confirmation, keeping the highest bump per package and
+ * concatenating the summaries, then moves the merged files to the trash.
+ * @param {string} rootPath The root path of the project.
+ * @param {Array<Object>} changesets The changesets to merge.
+ */
+async function mergeChangesetFiles(rootPath, changesets) {
+    const { bumps, summary } = mergeChangesets(changesets);
+    const confirmation = await vscode.window.showWarningMessage(
+        `Merge ${changesets.length} changesets into one?`,
+        {
+            modal: true,
+            detail: [
+                Object.entries(bumps).map(([name, type]) => `${name}: ${type}`).join('\n'),
+                summary,
+                `${changesets.map(changeset => changeset.id).join(', ')} will be moved to the trash.`
+            ].filter(Boolean).join('\n\n')
+        },
+        'Merge'
+    );
+    if (confirmation !== 'Merge') {
+        return;
+    }
+
+    const filePath = await createChangesetFile(rootPath, bumps, summary);
+    for (const changeset of changesets) {
+        await vscode.workspace.fs.delete(vscode.Uri.file(changeset.filePath), { useTrash: true });
+    }
+    await vscode.window.showTextDocument(vscode.Uri.file(filePath));
+    vscode.window.showInformationMessage(`Merged ${changesets.length} changesets into ${path.basename(filePath, '.md')}.`);
+}
+
+// --- Changeset language features ---
+
+const CHANGESET_DOCUMENT_SELECTOR = { language: 'markdown', pattern: '**/.changeset/*.md' };
+
+/**
+ * Checks whether a document is a pending changeset file (and not the .changeset README).
+ * @param {vscode.TextDocument} document The document.
+ * @returns {boolean} True if the document is a changeset.
+ */
+function isChangesetDocument(document) {
+    if (!document || document.uri.scheme !== 'file') {
+        return false;
+    }
+    const filePath = document.uri.fsPath;
+    return path.basename(path.dirname(filePath)) === '.changeset'
+        && filePath.endsWith('.md')
+        && path.basename(filePath).toLowerCase() !== 'readme.md';
+}
+
+/**
+ * Validates open changeset files and provides completions and quick fixes for them.
+ */
+class ChangesetLanguageFeatures {
+    constructor() {
+        this.diagnostics = vscode.languages.createDiagnosticCollection('changesets');
+        // Package names per project root, loaded lazily and cleared when packages or the config change
+        this.packageNames = new Map();
+    }
+
+    /**
+     * Returns the names of every package a changeset in the given project may reference.
+     * @param {string} rootPath The root path of the project.
+     * @returns {Promise<string[] | null>} The package names, or null if they could not be determined.
+     */
+    getPackageNames(rootPath) {
+        if (!this.packageNames.has(rootPath)) {
+            const names = (async () => {
+                try {
+                    const packages = await findReferenceablePackages(rootPath, readChangesetConfig(rootPath));
+                    return packages.map(pkg => pkg.name);
+                } catch (e) {
+                    console.error(e);
+                    return null;
+                }
+            })();
+            this.packageNames.set(rootPath, names);
+        }
+        return this.packageNames.get(rootPath);
+    }
+
+    /**
+     * Forgets the cached package names and validates every open changeset again.
+     */
+    refresh() {
+        this.packageNames.clear();
+        vscode.workspace.textDocuments.forEach(document => this.validate(document));
+    }
+
+    /**
+     * Updates the diagnostics of a changeset file.
+     * @param {vscode.TextDocument} document The document to validate.
+     */
+    async validate(document) {
+        if (!isChangesetDocument(document)) {
+            return;
+        }
+        const version = document.version;
+        const packageNames = await this.getPackageNames(getRootPathForChangeset(document.uri.fsPath));
+        if (document.isClosed || document.version !== version) {
+            return;
+        }
+
+        const { rules } = compileSummaryRules(vscode.workspace.getConfiguration('changesets').get('summaryRules', []));
+        const diagnostics = getChangesetProblems(document.getText(), packageNames, rules).map(problem => {
+            const diagnostic = new vscode.Diagnostic(
+                new vscode.Range(problem.line, problem.start, problem.line, problem.end),
+                problem.message,
+                problem.severity === 'warning' ? vscode.DiagnosticSeverity.Warning : vscode.DiagnosticSeverity.Error
+            );
+            diagnostic.source = 'changesets';
+            diagnostic.code = problem.code;
+            return diagnostic;
+        });
+        this.diagnostics.set(document.uri, diagnostics);
+    }
+
+    /**
+     * Shows who added the changeset and in which commit when hovering over its frontmatter.
+     * @param {vscode.TextDocument} document The changeset document.
+     * @param {vscode.Position} position The hovered position.
+     * @returns {Promise<vscode.Hover | undefined>} The hover.
+     */
+    async provideHover(document, position) {
+        if (!isChangesetDocument(document)) {
+            return undefined;
+        }
+        const parsed = parseChangesetDocument(document.getText());
+        const isInFrontmatter = parsed.start !== -1 && position.line >= parsed.start && (parsed.end === -1 || position.line <= parsed.end);
+        if (!isInFrontmatter) {
+            return undefined;
+        }
+        const history = await getChangesetHistory(getRootPathForChangeset(document.uri.fsPath));
+        const commit = history.get(path.basename(document.uri.fsPath, '.md'));
+        return new vscode.Hover(createChangesetMarkdown(renderChangesetCommitMarkdown(document.uri.fsPath, commit)));
+    }
+
+    /**
+     * Offers package names for frontmatter keys and bump types after the colon.
+     * @param {vscode.TextDocument} document The changeset document.
+     * @param {vscode.Position} position The cursor position.
+     * @returns {Promise<vscode.CompletionItem[] | undefined>} The completion items.
+     */
+    async provideCompletionItems(document, position) {
+        if (!isChangesetDocument(document)) {
+            return undefined;
+        }
+        const parsed = parseChangesetDocument(document.getText());
+        if (parsed.start === -1 || position.line <= parsed.start || (parsed.end !== -1 && position.line >= parsed.end)) {
+            return undefined;
+        }
+
+        const lineText = document.lineAt(position.line).text;
+        const colon = lineText.indexOf(':');
+
+        if (colon !== -1 && position.character > colon) {
+            const valueStart = colon + 1 + (/^\s*/.exec(lineText.slice(colon + 1))[0].length);
+            const range = new vscode.Range(position.line, Math.min(valueStart, position.character), position.line, lineText.trimEnd().length);
+            return ['major', 'minor', 'patch'].map((bump, index) => {
+                const item = new vscode.CompletionItem(bump, vscode.CompletionItemKind.EnumMember);
+                item.range = range;
+                item.sortText = String(index);
+                return item;
+            });
+        }
+
+        const packageNames = await this.getPackageNames(getRootPathForChangeset(document.uri.fsPath));
+        if (!packageNames) {
+            return undefined;
+        }
+        const used = new Set(parsed.entries.filter(entry => entry.line !== position.line).map(entry => entry.name));
+        const keyStart = lineText.length - lineText.trimStart().length;
+        const range = new vscode.Range(position.line, keyStart, position.line, colon === -1 ? lineText.trimEnd().length : colon + 1);
+        return packageNames.filter(name => !used.has(name)).map(name => {
+            const item = new vscode.CompletionItem(name, vscode.CompletionItemKind.Module);
+            item.range = range;
+            item.filterText = lineText.slice(keyStart, position.character).startsWith('"') ? toYamlString(name) : name;
+            item.insertText = `${toYamlString(name)}: `;
+            // Go straight on to the bump type
+            item.command = { command: 'editor.action.triggerSuggest', title: 'Suggest bump type' };
+            return item;
+        });
+    }
+
+    /**
+     * Offers to replace misspelled package names and bump types, fill in missing bump types and remove duplicate entries.
+     * @param {vscode.TextDocument} document The changeset document.
+     * @param {vscode.Range} range The range the actions are requested for.
+     * @param {vscode.CodeActionContext} context The diagnostics at the range.
+     * @returns {Promise<vscode.CodeAction[]>} The quick fixes.
+     */
+    async provideCodeActions(document, range, context) {
+        const actions = [];
+        for (const diagnostic of context.diagnostics) {
+            if (diagnostic.source !== 'changesets') {
+                continue;
+            }
+
+            if (diagnostic.code === 'duplicate-package') {
+                const action = new vscode.CodeAction('Remove duplicate entry', vscode.CodeActionKind.QuickFix);
+                action.edit = new vscode.WorkspaceEdit();
+                action.edit.delete(document.uri, document.lineAt(diagnostic.range.start.line).rangeIncludingLineBreak);
+                action.diagnostics = [diagnostic];
+                action.isPreferred = true;
+                actions.push(action);
+                continue;
+            }
+
+            let matches;
+            let edit;
+            if (diagnostic.code === 'unknown-package') {
+                const packageNames = await this.getPackageNames(getRootPathForChangeset(document.uri.fsPath));
+                matches = findClosestMatches(unquoteYamlValue(document.getText(diagnostic.range)), packageNames || []);
+                edit = (workspaceEdit, name) => workspaceEdit.replace(document.uri, diagnostic.range, toYamlString(name));
+            } else if (diagnostic.code === 'invalid-bump') {
+                matches = findClosestMatches(unquoteYamlValue(document.getText(diagnostic.range)), ['major', 'minor', 'patch']);
+                edit = (workspaceEdit, bump) => workspaceEdit.replace(document.uri, diagnostic.range, bump);
+            } else if (diagnostic.code === 'missing-bump') {
+                matches = ['patch', 'minor', 'major'];
+                const separator = document.getText(diagnostic.range).endsWith(':') ? ' ' : '';
+                edit = (workspaceEdit, bump) => workspaceEdit.insert(document.uri, diagnostic.range.end, `${separator}${bump}`);
+            } else {
+                continue;
+            }
+
+            matches.forEach((match, index) => {
+                const action = new vscode.CodeAction(
+                    diagnostic.code === 'missing-bump' ? `Set bump type to "${match}"` : `Change to "${match}"`,
+                    vscode.CodeActionKind.QuickFix
+                );
+                action.edit = new vscode.WorkspaceEdit();
+                edit(action.edit, match);
+                action.diagnostics = [diagnostic];
+                action.isPreferred = index === 0;
+                actions.push(action);
+            });
+        }
+        return actions;
+    }
+}
+
+// --- Release status ---
+
+/**
+ * Escapes text for inclusion in webview HTML.
+ * @param {string} value The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wraps webview body content in a document with a restrictive content security policy.
+ * @param {string} title The document title.
+ * @param {string} body The body HTML.
+ * @param {string} [script] Inline script to run in the webview. Only this script is allowed to run.
+ * @returns {string} The webview HTML.
+ */
+function getWebviewHtml(title, body, script) {
+    const nonce = generateSecureRandomId(32);
+    const scriptPolicy = script ? ` script-src 'nonce-${nonce}';` : '';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline';${scriptPolicy}">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); padding: 0 20px; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 1.5em; }
+        th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid var(--vscode-panel-border); vertical-align: top; }
+        th { font-weight: 600; }
+        code { font-family: var(--vscode-editor-font-family); }
+        .muted { color: var(--vscode-descriptionForeground); }
+        .bump { font-weight: 600; text-transform: uppercase; font-size: 0.85em; }
+        .bump-major { color: var(--vscode-errorForeground); }
+        .bump-minor { color: var(--vscode-editorWarning-foreground); }
+        .bump-patch { color: var(--vscode-textLink-foreground); }
+        .warning { color: var(--vscode-editorWarning-foreground); }
+        .error { color: var(--vscode-errorForeground); }
+        textarea, select, input {
+            font-family: inherit; font-size: inherit;
+            color: var(--vscode-input-foreground); background: var(--vscode-input-background);
+            border: 1px solid var(--vscode-input-border, transparent); padding: 4px 6px;
+        }
+        textarea { width: 100%; box-sizing: border-box; resize: vertical; }
+        button {
+            font-family: inherit; color: var(--vscode-button-foreground); background: var(--vscode-button-background);
+            border: none; padding: 6px 14px; cursor: pointer;
+        }
+        button:hover { background: var(--vscode-button-hoverBackground); }
+        button.secondary { color: var(--vscode-button-secondaryForeground); background: var(--vscode-button-secondaryBackground); }
+        button.secondary:hover { background: var(--vscode-button-secondaryHoverBackground); }
+        button:disabled { opacity: 0.5; cursor: default; }
+        .actions { display: flex; gap: 8px; margin: 1em 0; }
+        section { margin-bottom: 1.5em; }
+        .changelog li { margin-bottom: 0.75em; }
+        .changelog li > p:first-child { margin-top: 0; }
+        .changelog li > p:last-of-type { margin-bottom: 0.25em; }
+    </style>
+</head>
+<body>
+${body}
+${script ? `<script nonce="${nonce}">${script}</script>` : ''}
+</body>
+</html>`;
+}
+
+/**
+ * Renders the release plan as HTML for the status webview.
+ * @param {string} rootPath The root path of the project.
+ * @param {Array<Object>} changesets The pending changesets.
+ * @param {Object} plan The release plan from `getReleasePlan`.
+ * @param {Object} [preState] The prerelease state from `.changeset/pre.json`.
+ * @param {Map<string, Object>} [history] The commit that added each changeset, keyed by id.
+ * @returns {string} The webview HTML.
+ */
+function renderStatusHtml(rootPath, changesets, plan, preState, history = new Map()) {
+    const changesetTitle = (id) => (history.has(id) ? ` title="${escapeHtml(describeChangesetCommit(history.get(id)))}"` : '');
+    const rows = plan.releases.map(release => `
+        <tr>
+            <td><code>${escapeHtml(release.name)}</code>${release.private ? ' <span class="muted">private</span>' : ''}</td>
+            <td><span class="bump bump-${escapeHtml(release.type)}">${escapeHtml(release.type)}</span></td>
+            <td>${escapeHtml(release.oldVersion || '—')} → <strong>${escapeHtml(release.newVersion || '—')}</strong></td>
+            <td>${release.changesets.map(id => `<code${changesetTitle(id)}>${escapeHtml(id)}</code>`).join('<br>')}${
+                release.reasons.length > 0 ? `<div class="muted">${escapeHtml(release.reasons.join(', '))}</div>` : ''
+            }</td>
+        </tr>`).join('');
+
+    const unknown = plan.unknownPackages.length > 0
+        ? `<p class="warning">Changesets reference packages that were not found: ${plan.unknownPackages.map(name => `<code>${escapeHtml(name)}</code>`).join(', ')}</p>`
+        : '';
+
+    const table = plan.releases.length > 0
+        ? `<table>
+            <thead><tr><th>Package</th><th>Bump</th><th>Version</th><th>Changesets</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`
+        : '<p>No packages will be released.</p>';
+
+    let prerelease = '';
+    if (preState && preState.mode === 'pre') {
+        prerelease = `<p class="warning">Prerelease mode is active with tag <code>${escapeHtml(preState.tag)}</code>. ${preState.changesets.length} changeset${preState.changesets.length === 1 ? ' has' : 's have'} already been released as a prerelease.</p>`;
+    } else if (preState && preState.mode === 'exit') {
+        prerelease = `<p class="warning">Exiting prerelease mode <code>${escapeHtml(preState.tag)}</code>: the next version will be a stable release.</p>`;
+    }
+
+    return getWebviewHtml('Changeset Status', `
+        <h1>Changeset Status</h1>
+        <p class="muted">${escapeHtml(rootPath)} · ${changesets.length} pending changeset${changesets.length === 1 ? '' : 's'}</p>
+        ${prerelease}
+        ${unknown}
+        ${table}`);
+}
+
+let statusPanel;
+
+/**
+ * Shows (or refreshes) the status webview with the projected next version of each package.
+ * @param {string} [rootPath] The project to show the status for. Defaults to the project the panel already shows.
+ */
+async function showStatusPanel(rootPath) {
+    const targetRootPath = rootPath || (statusPanel && statusPanel.rootPath);
+    if (!targetRootPath) {
+        return;
+    }
+
+    try {
+        const config = readChangesetConfig(targetRootPath);
+        const [packages, changesets, history] = await Promise.all([
+            findPackages(targetRootPath, config),
+            readChangesets(targetRootPath),
+            getChangesetHistory(targetRootPath)
+        ]);
+        const preState = readPreState(targetRootPath);
+        const plan = getReleasePlan(changesets, packages, config, preState);
+
+        if (!statusPanel) {
+            const panel = vscode.window.createWebviewPanel('changesetStatus', 'Changeset Status', vscode.ViewColumn.Active, {});
+            statusPanel = { panel, rootPath: targetRootPath };
+            panel.onDidDispose(() => {
+                statusPanel = undefined;
+            });
+        } else if (rootPath) {
+            statusPanel.panel.reveal();
+        }
+        statusPanel.rootPath = targetRootPath;
+        statusPanel.panel.webview.html = renderStatusHtml(targetRootPath, changesets, plan, preState, history);
+    } catch (error) {
+        console.error(error);
+        vscode.window.showErrorMessage(`An error occurred: ${error.message}`);
+    }
+}
+
+// --- Version and publish ---
+
+const VERSION_PREVIEW_SCHEME = 'changeset-preview';
+
+// Contents of the preview documents shown in diffs, keyed by URI
+const versionPreviewContents = new Map();
+
+/**
+ * Detects the package manager of a project from the `packageManager` field or its lockfile.
+ * @param {string} rootPath The root path of the project.
+ * @returns {{name: string, command: string, args: Array<string>}} The package manager and how to run the changesets CLI with it.
+ */
+function detectPackageManager(rootPath) {
+    const runners = {
+        pnpm: { command: 'pnpm', args: ['changeset'] },
+        yarn: { command: 'yarn', args: ['changeset'] },
+        bun: { command: 'bunx', args: ['changeset'] },
+        npm: { command: 'npx', args: ['changeset'] }
+    };
+
+    let name;
+    try {
+        const packageJson = JSON.parse(fs.readFileSync(path.join(rootPath, 'package.json'), 'utf-8'));
+        const declared = typeof packageJson.packageManager === 'string' && packageJson.packageManager.split('@')[0];
+        if (declared && runners[declared]) {
+            name = declared;
+        }
+    } catch (e) {
+        // No readable root package.json, fall back to the lockfiles
+    }
+
+    if (!name) {
+        const lockfiles = [['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['bun.lockb', 'bun'], ['bun.lock', 'bun'], ['package-lock.json', 'npm']];
+        const found = lockfiles.find(([lockfile]) => fs.existsSync(path.join(rootPath, lockfile)));
+        name = found ? found[1] : 'npm';
+    }
+    return { name, ...runners[name] };
+}
+
+/**
+ * Finds the commit that added each changeset file, with its author and subject.
+ * @param {string} rootPath The root path of the project.
+ * @returns {Promise<Map<string, {hash: string, author: string, date: string, subject: string, pullRequest: number | undefined}>>}
+ * The commit, keyed by changeset id. Uncommitted changesets are missing.
+ */
+async function getChangesetHistory(rootPath) {
+    const history = new Map();
+    let output;
+    try {
+        output = await runGit(
+            rootPath,
+            ['log', '--diff-filter=A', '--name-only', '--relative', '--format=%x1e%H%x1f%an%x1f%aI%x1f%s%x1f', '--', '.changeset'],
+            'Failed to read the changeset history'
+        );
+    } catch (e) {
+        return history;
+    }
+    // Newest first, so the oldest commit adding a file wins
+    for (const record of output.split('\x1e').filter(record => record.trim())) {
+        const [hash, author, date, subject, files] = record.split('\x1f');
+        for (const file of files.split('\n').map(line => line.trim()).filter(Boolean)) {
+            if (file.startsWith('.changeset/') && file.endsWith('.md')) {
+                history.set(path.posix.basename(file, '.md'), {
+                    hash: hash.trim(),
+                    author,
+                    date,
+                    subject,
+                    pullRequest: getPullRequestNumber(subject)
+                });
+            }
+        }
+    }
+    return history;
+}
+
+/**
+ * Finds the commit that added each changeset file.
+ * @param {string} rootPath The root path of the project.
+ * @returns {Promise<Map<string, string>>} The full commit hash, keyed by changeset id. Uncommitted changesets are missing.
+ */
+async function getChangesetCommits(rootPath) {
+    const history = await getChangesetHistory(rootPath);
+    return new Map([...history].map(([id, commit]) => [id, commit.hash]));
+}
+
+/**
+ * Works out the next changelog section of every package that would be released.
+ * @param {string} rootPath The root path of the project.
+ * @returns {Promise<{plan: Object, changesets: Array<Object>, preState: Object | undefined, entries: Array<{pkg: Object, release: Object, dependencyUpdates: Array<Object>, sections: Object}>}>}
+ * The release plan, the pending changesets, the prerelease state, and for each release its package, updated dependencies and changelog sections.
+ */
+async function getChangelogPreview(rootPath) {
+    const config = readChangesetConfig(rootPath);
+    const [packages, changesets, commits] = await Promise.all([
+        findPackages(rootPath, config),
+        readChangesets(rootPath),
+        getChangesetCommits(rootPath)
+    ]);
+    const preState = readPreState(rootPath);
+    const plan = getReleasePlan(changesets, packages, config, preState);
+    const releasesByName = new Map(plan.releases.map(release => [release.name, release]));
+    const changesetsById = new Map(changesets.map(changeset => [changeset.id, changeset]));
+
+    const entries = [];
+    for (const release of plan.releases) {
+        const pkg = packages.find(p => p.name === release.name);
+        if (!pkg || !release.newVersion) {
+            continue;
+        }
+        const dependencyUpdates = getDependencyUpdates(pkg, releasesByName, config);
+        const sections = getChangelogSections(release, changesetsById, commits, dependencyUpdates.filter(update => update.dependencyType !== 'devDependencies'), releasesByName);
+        entries.push({ pkg, release, dependencyUpdates, sections });
+    }
+    return { plan, changesets, preState, entries };
+}
+
+/**
+ * Computes the file changes `changeset version` would make, without writing anything.
+ * @param {string} rootPath The root path of the project.
+ * @returns {Promise<{plan: Object, files: Array<{filePath: string, label: string, original: string | undefined, updated: string}>, deletedChangesets: Array<string>}>} The release plan, the changed files and the changesets that would be deleted.
+ */
+async function getVersionPreview(rootPath) {
+    const { plan, changesets, preState, entries } = await getChangelogPreview(rootPath);
+
+    const files = [];
+    for (const { pkg, release, dependencyUpdates, sections } of entries) {
+        const packageJsonPath = path.join(pkg.path, 'package.json');
+        const original = await fs.promises.readFile(packageJsonPath, 'utf-8');
+        const json = JSON.parse(original);
+        json.version = release.newVersion;
+        for (const update of dependencyUpdates) {
+            json[update.dependencyType][update.name] = update.newRange;
+        }
+        const indent = (/^([ \t]+)"/m.exec(original) || [undefined, '  '])[1];
+        files.push({
+            filePath: packageJsonPath,
+            label: `${pkg.relativePath}/package.json`,
+            original,
+            updated: `${JSON.stringify(json, null, indent)}${original.endsWith('\n') ? '\n' : ''}`
+        });
+
+        const changelogPath = path.join(pkg.path, 'CHANGELOG.md');
+        const changelog = fs.existsSync(changelogPath) ? await fs.promises.readFile(changelogPath, 'utf-8') : undefined;
+        const entry = buildChangelogEntry(release, sections);
+        files.push({
+            filePath: changelogPath,
+            label: `${pkg.relativePath}/CHANGELOG.md`,
+            original: changelog,
+            updated: prependChangelogEntry(changelog, pkg.name, entry)
+        });
+    }
+
+    // Changesets are kept until prerelease mode is exited
+    const deletedChangesets = preState && preState.mode === 'pre' ? [] : changesets.map(changeset => changeset.id);
+    return { plan, files, deletedChangesets };
+}
+
+/**
+ * Opens a diff between a file on disk and its previewed content.
+ * @param {{filePath: string, label: string, original: string | undefined, updated: string}} file The previewed file.
+ */
+async function showVersionPreviewDiff(file) {
+    const id = generateSecureRandomId();
+    const previewUri = vscode.Uri.from({ scheme: VERSION_PREVIEW_SCHEME, path: file.filePath, query: id });
+    versionPreviewContents.set(previewUri.toString(), file.updated);
+
+    let originalUri = vscode.Uri.file(file.filePath);
+    if (file.original === undefined) {
+        originalUri = vscode.Uri.from({ scheme: VERSION_PREVIEW_SCHEME, path: file.filePath, query: `${id}-original` });
+        versionPreviewContents.set(originalUri.toString(), '');
+    }
+    await vscode.commands.executeCommand('vscode.diff', originalUri, previewUri, `${file.label} (after changeset version)`, { preview: true });
+}
+
+/**
+ * Runs a command of the project's changesets CLI as a task, through the detected package manager.
+ * @param {string} rootPath The root path of the project.
+ * @param {string} command The CLI command, e.g. `version` or `publish`.
+ * @returns {Promise<number | undefined>} The exit code of the task.
+ */
+async function runChangesetsCliTask(rootPath, command) {
+    const packageManager = detectPackageManager(rootPath);
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(rootPath)) || vscode.TaskScope.Workspace;
+    const task = new vscode.Task(
+        { type: 'changesets', command },
+        folder,
+        `changeset ${command}`,
+        'changesets',
+        new vscode.ShellExecution(packageManager.command, [...packageManager.args, command], { cwd: rootPath })
+    );
+    task.presentationOptions = { reveal: vscode.TaskRevealKind.Always, panel: vscode.TaskPanelKind.Dedicated, clear: true };
+
+    let execution;
+    const ended = new Promise(resolve => {
+        const listener = vscode.tasks.onDidEndTaskProcess(event => {
+            if (event.execution === execution) {
+                listener.dispose();
+                resolve(event.exitCode);
+            }
+        });
+    });
+    execution = await vscode.tasks.executeTask(task);
+    return ended;
+}
+
+/**
+ * Previews the package.json and CHANGELOG.md changes of `changeset version` as diffs, then runs it once confirmed.
+ */
+async function versionPackages() {
+    const rootPath = await pickChangesetRoot('Select the workspace folder to version the packages of');
+    if (!rootPath) {
+        return;
+    }
+
+    // Diffs from an earlier preview are outdated now
+    versionPreviewContents.clear();
+
+    let preview;
+    try {
+        preview = await getVersionPreview(rootPath);
+    } catch (error) {
+        console.error(error);
+        vscode.window.showErrorMessage(`An error occurred: ${error.message}`);
+        return;
+    }
+    if (preview.plan.releases.length === 0) {
+        vscode.window.showInformationMessage('No pending changesets: there is nothing to version.');
+        return;
+    }
+
+    const packageManager = detectPackageManager(rootPath);
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = 'Preview of changeset version';
+    quickPick.placeholder = 'Select a file to see its changes, or run changeset version';
+    quickPick.ignoreFocusOut = true;
+    quickPick.matchOnDescription = true;
+    quickPick.items = [
+        { label: '$(play) Run changeset version', description: `${packageManager.command} ${[...packageManager.args, 'version'].join(' ')}`, action: 'run' },
+        { label: '$(close) Cancel', action: 'cancel' },
+        { label: 'Files', kind: vscode.QuickPickItemKind.Separator },
+        ...preview.files.map(file => ({
+            label: `$(diff) ${file.label}`,
+            description: file.original === undefined ? 'new file' : undefined,
+            file
+        })),
+        ...(preview.deletedChangesets.length > 0
+            ? [{ label: `$(trash) ${preview.deletedChangesets.length} changeset file${preview.deletedChangesets.length === 1 ? '' : 's'} will be deleted`, detail: preview.deletedChangesets.join(', ') }]
+            : [])
+    ];
+
+    const run = await new Promise(resolve => {
+        quickPick.onDidAccept(async () => {
+            const [item] = quickPick.selectedItems;
+            if (!item) {
+                return;
+            }
+            if (item.file) {
+                await showVersionPreviewDiff(item.file);
+            } else if (item.action) {
+                resolve(item.action === 'run');
+                quickPick.dispose();
+            }
+        });
+        quickPick.onDidHide(() => {
+            resolve(false);
+            quickPick.dispose();
+        });
+        quickPick.show();
+    });
+    if (!run) {
+        return;
+    }
+
+    const exitCode = await runChangesetsCliTask(rootPath, 'version');
+    if (exitCode === 0) {
+        vscode.window.showInformationMessage('changeset version finished. Review the changes in Source Control before committing.');
+    } else {
+        vscode.window.showErrorMessage(`changeset version failed${exitCode === undefined ? '' : ` with exit code ${exitCode}`}. See the task output for details.`);
+    }
+}
+
+/**
+ * Runs `changeset publish` after confirmation.
+ */
+async function publishPackages() {
+    const rootPath = await pickChangesetRoot('Select the workspace folder to publish the packages of');
+    if (!rootPath) {
+        return;
+    }
+
+    // Private packages are never published; `privatePackages.tag` decides whether they get git tags
+    let privateNote = '';
+    try {
+        const config = readChangesetConfig(rootPath);
+        const privateNames = (await findPackages(rootPath, config)).filter(pkg => pkg.private).map(pkg => pkg.name);
+        if (privateNames.length > 0) {
+            privateNote = ` Private packages (${privateNames.join(', ')}) are not published${config.privatePackages.tag ? ' but get git tags' : ' or tagged'}.`;
+        }
+    } catch (error) {
+        console.error(error);
+    }
+
+    const packageManager = detectPackageManager(rootPath);
+    const confirmation = await vscode.window.showWarningMessage(
+        'Publish packages to the registry?',
+        {
+            modal: true,
+            detail: `This runs "${packageManager.command} ${[...packageManager.args, 'publish'].join(' ')}" in ${rootPath}, which publishes every package whose version is not on the registry yet and creates git tags.${privateNote}`
+        },
+        'Publish'
+    );
+    if (confirmation !== 'Publish') {
+        return;
+    }
+
+    const exitCode = await runChangesetsCliTask(rootPath, 'publish');
+    if (exitCode === 0) {
+        vscode.window.showInformationMessage('changeset publish finished. Remember to push the new git tags.');
+    } else {
+        vscode.window.showErrorMessage(`changeset publish failed${exitCode === undefined ? '' : ` with exit code ${exitCode}`}. See the task output for details.`);
+    }
+}
+
+// --- Changelog preview ---
+
+const CHANGELOG_WEBVIEW_SCRIPT = `
+const vscode = acquireVsCodeApi();
+document.addEventListener('click', (event) => {
+    const link = event.target.closest('a[data-changeset], a[data-commit]');
+    if (!link) {
+        return;
+    }
+    event.preventDefault();
+    if (link.dataset.changeset) {
+        vscode.postMessage({ type: 'openChangeset', id: link.dataset.changeset });
+    } else {
+        vscode.postMessage({ type: 'openCommit', hash: link.dataset.commit });
+    }
+});
+`;
+
+/**
+ * Renders markdown to HTML with VS Code's built-in markdown renderer.
+ * @param {string} markdown The markdown to render.
+ * @returns {Promise<string>} The HTML, or the escaped text if the markdown extension is unavailable.
+ */
+async function renderMarkdown(markdown) {
+    try {
+        return await vscode.commands.executeCommand('markdown.api.render', markdown);
+    } catch (e) {
+        return `<p>${escapeHtml(markdown).replace(/\n/g, '<br>')}</p>`;
+    }
+}
+
+/**
+ * Renders the next changelog section of every package as HTML for the changelog webview.
+ * @param {string} rootPath The root path of the project.
+ * @param {Array<Object>} entries The changelog entries from `getChangelogPreview`.
+ * @param {Map<Object, string>} renderedSummaries The rendered summary of each changeset.
+ * @returns {string} The body HTML.
+ */
+function renderChangelogHtml(rootPath, entries, renderedSummaries) {
+    const commitLink = (commit) => `<a href="#" data-commit="${escapeHtml(commit)}"><code>${escapeHtml(commit.slice(0, 7))}</code></a>`;
+
+    const renderEntry = (entry) => {
+        if (entry.dependencyUpdates) {
+            const commits = entry.commits.length > 0 ? ` [${entry.commits.map(commitLink).join(', ')}]` : '';
+            return `<li>Updated dependencies${commits}<ul>${entry.dependencyUpdates
+                .map(update => `<li><code>${escapeHtml(update.name)}@${escapeHtml(update.newVersion)}</code></li>`)
+                .join('')}</ul></li>`;
+        }
+        const source = [
+            `<a href="#" data-changeset="${escapeHtml(entry.changeset.id)}">${escapeHtml(entry.changeset.id)}.md</a>`,
+            entry.commit ? commitLink(entry.commit) : '<span>not committed yet</span>'
+        ].join(' · ');
+        return `<li>${renderedSummaries.get(entry.changeset) || ''}<div class="muted">${source}</div></li>`;
+    };
+
+    const packages = entries.map(({ pkg, release, sections }) => {
+        const body = BUMP_TYPE_ORDER.slice().reverse()
+            .filter(type => sections[type].length > 0)
+            .map(type => `<h3>${CHANGELOG_SECTION_TITLES[type]}</h3><ul>${sections[type].map(renderEntry).join('')}</ul>`)
+            .join('');
+        return `<section>
+            <h2><code>${escapeHtml(pkg.name)}</code> <span class="muted">${escapeHtml(release.oldVersion || '—')} → ${escapeHtml(release.newVersion)}</span></h2>
+            ${body || `<p class="muted">Released because of: ${escapeHtml(release.reasons.join(', '))}</p>`}
+        </section>`;
+    }).join('');
+
+    return `
+        <h1>Changelog Preview</h1>
+        <p class="muted">${escapeHtml(rootPath)} · The next CHANGELOG.md section of each package, in the default changesets format</p>
+        <div class="changelog">${packages || '<p>No pending changesets: no package will be released.</p>'}</div>`;
+}
+
+/**
+ * Opens the diff of a commit in a read-only editor.
+ * @param {string} rootPath The root path of the project.
+ * @param {string} hash The commit hash.
+ */
+async function showCommit(rootPath, hash) {
+    if (!/^[0-9a-f]{7,40}$/i.test(hash)) {
+        return;
+    }
+    try {
+        const content = await runGit(rootPath, ['show', '--format=fuller', hash], 'Failed to show the commit');
+        const document = await vscode.workspace.openTextDocument({ content, language: 'diff' });
+        await vscode.window.showTextDocument(document, { preview: true });
+    } catch (error) {
+        vscode.window.showErrorMessage(error.message);
+    }
+}
+
+let changelogPanel;
+
+/**
+ * Shows (or refreshes) the webview previewing the next changelog section of each package.
+ * @param {string} [rootPath] The root path of the project. Defaults to the one already shown.
+ */
+async function showChangelogPanel(rootPath) {
+    const targetRootPath = rootPath || (changelogPanel && changelogPanel.rootPath);
+    if (!targetRootPath) {
+        return;
+    }
+
+    try {
+        const { changesets, entries } = await getChangelogPreview(targetRootPath);
+        const renderedSummaries = new Map();
+        for (const changeset of changesets) {
+            renderedSummaries.set(changeset, await renderMarkdown(changeset.summary));
+        }
+
+        if (!changelogPanel) {
+            const panel = vscode.window.createWebviewPanel('changesetChangelog', 'Changelog Preview', vscode.ViewColumn.Active, {
+                enableScripts: true
+            });
+            changelogPanel = { panel, rootPath: targetRootPath, changesets: [] };
+            panel.onDidDispose(() => {
+                changelogPanel = undefined;
+            });
+            panel.webview.onDidReceiveMessage(async (message) => {
+                if (!changelogPanel) {
+                    return;
+                }
+                if (message.type === 'openChangeset') {
+                    const changeset = changelogPanel.changesets.find(item => item.id === message.id);
+                    if (changeset) {
+                        await vscode.window.showTextDocument(vscode.Uri.file(changeset.filePath), { preview: true });
+                    }
+                } else if (message.type === 'openCommit') {
+                    await showCommit(changelogPanel.rootPath, String(message.hash || ''));
+                }
+            });
+        } else if (rootPath) {
+            changelogPanel.panel.reveal();
+        }
+        changelogPanel.rootPath = targetRootPath;
+        changelogPanel.changesets = changesets;
+        changelogPanel.panel.webview.html = getWebviewHtml(
+            'Changelog Preview',
+            renderChangelogHtml(targetRootPath, entries, renderedSummaries),
+            CHANGELOG_WEBVIEW_SCRIPT
+        );
+    } catch (error) {
+        console.error(error);
+        vscode.window.showErrorMessage(`An error occurred: ${error.message}`);
+    }
+}
+
+// --- Changeset history ---
+
+/**
+ * Describes the commit that added a changeset in one line, e.g. for the title of a webview element.
+ * @param {{hash: string, author: string, subject: string, pullRequest: number | undefined}} commit The commit from `getChangesetHistory`.
+ * @returns {string} The description.
+ */
+function describeChangesetCommit(commit) {
+    return `Added in ${commit.hash.slice(0, 7)} by ${commit.author}: ${commit.subject}${commit.pullRequest ? ` (PR #${commit.pullRequest})` : ''}`;
+}
+
+/**
+ * Describes the commit that added a changeset as markdown for hovers and tooltips, linking to its changes.
+ * Needs theme icons and the `changeset.showChangesetCommit` command enabled on the `MarkdownString`.
+ * @param {string} filePath The path of the changeset file.
+ * @param {Object | undefined} commit The commit from `getChangesetHistory`, or undefined if the changeset is not committed.
+ * @returns {string} The markdown.
+ */
+function renderChangesetCommitMarkdown(filePath, commit) {
+    if (!commit) {
+        return '$(git-commit) Not committed yet';
+    }
+    // Author names and subjects are plain text, so they must not turn into links or formatting
+    const escapeMarkdown = (value) => value.replace(/[\\`*_[\]<>|#]/g, '\\$&');
+    const link = `command:changeset.showChangesetCommit?${encodeURIComponent(JSON.stringify([filePath]))}`;
+    const date = new Date(commit.date);
+    const details = [
+        `$(git-commit) Added in [\`${commit.hash.slice(0, 7)}\`](${link} "Show the commit changes")`,
+        `by **${escapeMarkdown(commit.author)}**`,
+        isNaN(date.getTime()) ? '' : `on ${date.toLocaleDateString()}`,
+        commit.pullRequest ? `in PR #${commit.pullRequest}` : ''
+    ].filter(Boolean).join(' ');
+    return `${details}\n\n> ${escapeMarkdown(commit.subject)}`;
+}
+
+/**
+ * Creates a markdown string that can show the changeset commit links of `renderChangesetCommitMarkdown`.
+ * @param {string} value The markdown.
+ * @returns {vscode.MarkdownString} The markdown string.
+ */
+function createChangesetMarkdown(value) {
+    const markdown = new vscode.MarkdownString(value, true);
+    markdown.isTrusted = { enabledCommands: ['changeset.showChangesetCommit'] };
+    return markdown;
+}
+
+/**
+ * Opens the changes of the commit that added a changeset. The changeset can be given as a tree element,
+ * a file path or URI; defaults to the changeset open in the active editor.
+ * @param {Object | string | vscode.Uri} [target] The changeset.
+ */
+async function showChangesetCommit(target) {
+    let filePath;
+    if (typeof target === 'string') {
+        filePath = target;
+    } else if (target instanceof vscode.Uri) {
+        filePath = target.fsPath;
+    } else if (getChangesetFromTreeElement(target)) {
+        filePath = getChangesetFromTreeElement(target).filePath;
+    } else if (vscode.window.activeTextEditor && isChangesetDocument(vscode.window.activeTextEditor.document)) {
+        filePath = vscode.window.activeTextEditor.document.uri.fsPath;
+    }
+    if (!filePath) {
+        vscode.window.showInformationMessage('Open a changeset file or select one in the Changesets view to show its commit.');
+        return;
+    }
+
+    const rootPath = getRootPathForChangeset(filePath);
+    const id = path.basename(filePath, '.md');
+    const commit = (await getChangesetHistory(rootPath)).get(id);
+    if (!commit) {
+        vscode.window.showInformationMessage(`Changeset ${id} has not been committed yet.`);
+        return;
+    }
+    await showCommitChanges(rootPath, commit);
+}
+
+/**
+ * Opens the files changed by a commit in the multi-file diff editor, using the built-in git extension
+ * to read their contents. Falls back to the plain diff when the git extension is not available.
+ * @param {string} rootPath The root path of the project.
+ * @param {{hash: string, subject: string}} commit The commit.
+ */
+async function showCommitChanges(rootPath, commit) {
+    try {
+        const git = await getGitAPI();
+        const repository = git && git.getRepository(vscode.Uri.file(rootPath));
+        if (repository) {
+            const repositoryPath = repository.rootUri.fsPath;
+            const output = await runGit(repositoryPath, ['show', '--name-status', '--format=', commit.hash], 'Failed to list the commit changes');
+            const resources = output.split('\n').filter(line => line.trim()).map(line => {
+                // Renames and copies list the old and the new path
+                const [status, ...paths] = line.split('\t');
+                const original = vscode.Uri.file(path.join(repositoryPath, paths[0]));
+                const modified = vscode.Uri.file(path.join(repositoryPath, paths[paths.length - 1]));
+                return [
+                    modified,
+                    status.startsWith('A') ? undefined : git.toGitUri(original, `${commit.hash}~`),
+                    status.startsWith('D') ? undefined : git.toGitUri(modified, commit.hash)
+                ];
+            });
+            await vscode.commands.executeCommand('vscode.changes', `${commit.hash.slice(0, 7)} - ${commit.subject}`, resources);
+            return;
+        }
+    } catch (error) {
+        console.error(error);
+    }
+    await showCommit(rootPath, commit.hash);
+}
+
+// --- Prerelease mode ---
+
+const PRERELEASE_TAGS = ['alpha', 'beta', 'rc', 'next'];
+
+/**
+ * Asks for the prerelease tag, offering the common tags and a custom one.
+ * @returns {Promise<string | undefined>} The tag, or undefined if cancelled.
+ */
+async function promptForPrereleaseTag() {
+    const custom = { label: '$(edit) Custom tag...' };
+    const selectedItem = await vscode.window.showQuickPick(
+        [...PRERELEASE_TAGS.map(tag => ({ label: tag, description: `e.g. 1.0.0-${tag}.0` })), custom],
+        { placeHolder: 'Select the prerelease tag' }
+    );
+    if (!selectedItem) {
+        return undefined;
+    }
+    if (selectedItem !== custom) {
+        return selectedItem.label;
+    }
+    return vscode.window.showInputBox({
+        prompt: 'Enter the prerelease tag',
+        placeHolder: 'e.g. canary',
+        validateInput: value => (/^[0-9A-Za-z-]+$/.test(value) ? undefined : 'Use letters, digits and hyphens only.')
+    });
+}
+
+/**
+ * Enters prerelease mode like `changeset pre enter <tag>`, recording the current version of every package.
+ * Re-entering while an exit is pending keeps the prereleases made so far.
+ */
+async function enterPrereleaseMode() {
+    const rootPath = await pickChangesetRoot('Select the workspace folder to enter prerelease mode in');
+    if (!rootPath) {
+        return;
+    }
+
+    try {
+        const preState = readPreState(rootPath);
+        if (preState && preState.mode === 'pre') {
+            vscode.window.showErrorMessage(`Already in prerelease mode with tag "${preState.tag}".`);
+            return;
+        }
+
+        const tag = await promptForPrereleaseTag();
+        if (!tag) {
+            return;
+        }
+
+        let nextState;
+        if (preState) {
+            nextState = { ...preState, mode: 'pre', tag };
+        } else {
+            const config = readChangesetConfig(rootPath);
+            const packages = await findPackages(rootPath, { ...config, ignore: [] });
+            nextState = {
+                mode: 'pre',
+                tag,
+                initialVersions: Object.fromEntries(packages.map(pkg => [pkg.name, pkg.version])),
+                changesets: []
+            };
+        }
+        await writePreState(rootPath, nextState);
+        vscode.window.showInformationMessage(`Entered prerelease mode with tag "${tag}". The next versions will be prereleases such as 1.0.0-${tag}.0.`);
+    } catch (error) {
+        console.error(error);
+        vscode.window.showErrorMessage(`An error occurred: ${error.message}`);
+    }
+}
+
+/**
+ * Exits prerelease mode. When no prerelease has been versioned yet, `.changeset/pre.json` is simply removed;
+ * otherwise it is marked as exiting, like `changeset pre exit`, so the next `changeset version` makes stable
+ * releases and removes the file itself.
+ */
+async function exitPrereleaseMode() {
+    const rootPath = await pickChangesetRoot('Select the workspace folder to exit prerelease mode in');
+    if (!rootPath) {
+        return;
+    }
+
+    try {
+        const preState = readPreState(rootPath);
+        if (!preState || preState.mode === 'exit') {
+            vscode.window.showErrorMessage(preState ? 'Already exiting prerelease mode.' : 'Not in prerelease mode.');
+            return;
+        }
+
+        const confirmation = await vscode.window.showWarningMessage(
+            `Exit prerelease mode "${preState.tag}"?`,
+            { modal: true, detail: 'The next version will be a stable release.' },
+            'Exit Prerelease Mode'
+        );
+        if (confirmation !== 'Exit Prerelease Mode') {
+            return;
+        }
+
+        if (preState.changesets.length === 0) {
+            await vscode.workspace.fs.delete(vscode.Uri.file(path.join(rootPath, '.changeset', 'pre.json')));
+        } else {
+            await writePreState(rootPath, { ...preState, mode: 'exit' });
+        }
+        vscode.window.showInformationMessage('Exited prerelease mode.');
+    } catch (error) {
+        console.error(error);
+        vscode.window.showErrorMessage(`An error occurred: ${error.message}`);
+    }
+}
+
+/**
+ * Status bar item showing the prerelease tag while a folder is in prerelease mode.
+ */
+class PrereleaseIndicator {
+    constructor() {
+        this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 49);
+    }
+
+    /**
+     * Re-reads `.changeset/pre.json` in every folder with a `.changeset` directory.
+     */
+    update() {
+        const states = [];
+        for (const folder of getChangesetFolders()) {
+            try {
+                const preState = readPreState(folder.uri.fsPath);
+                if (preState) {
+                    states.push({ folder, preState });
+                }
+            } catch (e) {
+                console.error(e);
+            }
+        }
+
+        if (states.length === 0) {
+            this.statusBarItem.hide();
+            return;
+        }
+        const label = ({ preState }) => (preState.mode === 'exit' ? `${preState.tag} (exiting)` : preState.tag);
+        this.statusBarItem.text = `$(beaker) ${[...new Set(states.map(label))].join(', ')}`;
+        this.statusBarItem.tooltip = states
+            .map(state => `${state.folder.name}: ${state.preState.mode === 'exit' ? `exiting prerelease mode "${state.preState.tag}"` : `prerelease mode "${state.preState.tag}"`}`)
+            .join('\n');
+        this.statusBarItem.command = states.some(state => state.preState.mode === 'pre') ? 'changeset.exitPre' : 'changeset.status';
+        this.statusBarItem.show();
+    }
+
+    dispose() {
+        this.statusBarItem.dispose();
+    }
+}
+
+// --- Missing changesets ---
+
+/**
+ * Lists the files changed on the current branch since it diverged from the base branch,
+ * including uncommitted and untracked files.
+ * @param {string} rootPath The root path of the project.
+ * @param {string} baseBranch The base branch from the changesets config.
+ * @returns {Promise<string[]>} The changed files, relative to the project root.
+ */
+async function getChangedFilesSinceBaseBranch(rootPath, baseBranch) {
+    const mergeBase = await getMergeBase(rootPath, baseBranch);
+    const [changed, untracked] = await Promise.all([
+        runGit(rootPath, ['diff', '--name-only', '--relative', mergeBase, '--'], 'Failed to get changed files'),
+        runGit(rootPath, ['ls-files', '--others', '--exclude-standard'], 'Failed to get untracked files')
+    ]);
+    const files = `${changed}\n${untracked}`.split('\n').map(file => file.trim()).filter(Boolean);
+    return [...new Set(files)];
+}
+
+/**
+ * Status bar item showing how many packages changed on the current branch still need a changeset.
+ */
+class MissingChangesetsIndicator {
+    constructor() {
+        this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 50);
+        this.statusBarItem.command = 'changeset.addForUncovered';
+        // Uncovered package names per project root
+        this.uncovered = new Map();
+        this.timer = undefined;
+    }
+
+    /**
+     * Schedules a refresh, so bursts of saves and changeset edits only run git once.
+     */
+    scheduleUpdate() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.update(), 1000);
+    }
+
+    /**
+     * Recomputes the uncovered packages of every folder with a `.changeset` directory.
+     */
+    async update() {
+        const enabled = vscode.workspace.getConfiguration('changesets').get('missingChangesets.enabled', true);
+        const uncovered = new Map();
+        if (enabled) {
+            for (const folder of getChangesetFolders()) {
+                const rootPath = folder.uri.fsPath;
+                try {
+                    const config = readChangesetConfig(rootPath);
+                    const [changedFiles, packages, changesets] = await Promise.all([
+                        getChangedFilesSinceBaseBranch(rootPath, config.baseBranch),
+                        findPackages(rootPath, config),
+                        readChangesets(rootPath)
+                    ]);
+                    const names = getPackagesMissingChangesets(changedFiles, packages, changesets, config);
+                    if (names.length > 0) {
+                        uncovered.set(rootPath, names);
+                    }
+                } catch (e) {
+                    // Not a git repository, no base branch yet, etc.: nothing to report for this folder
+                    if (!e.isGitError) {
+                        console.error(`Could not check for missing changesets in ${folder.name}: ${e.message}`);
+                    }
+                }
+            }
+        }
+
+        this.uncovered = uncovered;
+        const names = [...uncovered.values()].flat();
+        if (names.length === 0) {
+            this.statusBarItem.hide();
+            return;
+        }
+        this.statusBarItem.text = `$(warning) ${names.length} ${names.length === 1 ? 'package needs' : 'packages need'} a changeset`;
+        this.statusBarItem.tooltip = `Changed without a changeset:\n${names.map(name => `• ${name}`).join('\n')}\n\nClick to add a changeset`;
+        this.statusBarItem.show();
+    }
+
+    /**
+     * Starts the manual workflow with the uncovered packages preselected.
+     * @param {vscode.ExtensionContext} context The extension context.
+     */
+    async addChangeset(context) {
+        await this.update();
+        if (this.uncovered.size === 0) {
+            vscode.window.showInformationMessage('Every changed package has a changeset.');
+            return;
+        }
+
+        let rootPath = [...this.uncovered.keys()][0];
+        if (this.uncovered.size > 1) {
+            const selectedItem = await vscode.window.showQuickPick(
+                [...this.uncovered].map(([folderPath, names]) => ({
+                    label: path.basename(folderPath),
+                    description: `${names.length} uncovered`,
+                    detail: names.join(', '),
+                    folderPath
+                })),
+                { placeHolder: 'Select the workspace folder to create the changeset in' }
+            );
+            if (!selectedItem) {
+                return;
+            }
+            rootPath = selectedItem.folderPath;
+        }
+
+        await runChangesetWorkflow(context, 'manual', { rootPath, preselectedPackages: this.uncovered.get(rootPath) });
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.statusBarItem.dispose();
+    }
+}
+
+// --- Pre-commit guard ---
+
+/**
+ * Returns the API of VS Code's built-in git extension.
+ * @returns {Promise<Object | undefined>} The git API, or undefined if the git extension is disabled.
+ */
+async function getGitAPI() {
+    const extension = vscode.extensions.getExtension('vscode.git');
+    if (!extension) {
+        return undefined;
+    }
+    const gitExtension = extension.isActive ? extension.exports : await extension.activate();
+    return gitExtension && gitExtension.enabled ? gitExtension.getAPI(1) : undefined;
+}
+
+/**
+ * Reads the pending changesets that are staged or already committed, so untracked ones that would
+ * not be part of the commit are left out.
+ * @param {string} rootPath The root path of the project.
+ * @param {string[]} [committedPaths] Absolute paths of untracked files that the commit adds.
+ * @returns {Promise<Array<Object>>} The tracked pending changesets.
+ */
+async function readTrackedChangesets(rootPath, committedPaths = []) {
+    const tracked = (await runGit(rootPath, ['ls-files', '--', '.changeset'], 'Failed to list changesets'))
+        .split('\n')
+        .map(file => path.resolve(rootPath, file.trim()))
+        .concat(committedPaths.map(filePath => path.resolve(filePath)));
+    return (await readChangesets(rootPath)).filter(changeset => tracked.includes(path.resolve(changeset.filePath)));
+}
+
+// Status.UNTRACKED in the API of the git extension
+const GIT_STATUS_UNTRACKED = 7;
+
+/**
+ * Lists the files the git extension commits: the staged changes or, when nothing is staged and
+ * `git.enableSmartCommit` is on, the working tree changes (tracked files only if `git.smartCommitChanges` is `tracked`).
+ * @param {Object} repository The git extension repository.
+ * @returns {{filePaths: string[], smartCommit: boolean}} The absolute paths of the files, and whether they are committed without being staged.
+ */
+function getFilesToCommit(repository) {
+    const { indexChanges, workingTreeChanges, untrackedChanges = [] } = repository.state;
+    const settings = vscode.workspace.getConfiguration('git');
+    if (indexChanges.length > 0 || !settings.get('enableSmartCommit', false)) {
+        return { filePaths: indexChanges.map(change => change.uri.fsPath), smartCommit: false };
+    }
+    const changes = settings.get('smartCommitChanges', 'all') === 'tracked'
+        ? workingTreeChanges.filter(change => change.status !== GIT_STATUS_UNTRACKED)
+        : [...workingTreeChanges, ...untrackedChanges];
+    return { filePaths: changes.map(change => change.uri.fsPath), smartCommit: true };
+}
+
+/**
+ * Finds the packages changed by the given files that no tracked changeset covers, per folder with a `.changeset` directory.
+ * Changesets among the files count as covering their packages.
+ * @param {string[]} filePaths The absolute paths of the changed files.
+ * @returns {Promise<Map<string, string[]>>} The uncovered package names, keyed by project root.
+ */
+async function getUncoveredPackagesForFiles(filePaths) {
+    const uncovered = new Map();
+    for (const folder of getChangesetFolders()) {
+        const rootPath = folder.uri.fsPath;
+        const files = filePaths
+            .map(filePath => path.relative(rootPath, filePath).split(path.sep).join('/'))
+            .filter(file => file && !file.startsWith('../') && !path.isAbsolute(file));
+        if (files.length === 0) {
+            continue;
+        }
+
+        const config = readChangesetConfig(rootPath);
+        const [packages, changesets] = await Promise.all([findPackages(rootPath, config), readTrackedChangesets(rootPath, filePaths)]);
+        const names = getPackagesMissingChangesets(files, packages, changesets, config);
+        if (names.length > 0) {
+            uncovered.set(rootPath, names);
+        }
+    }
+    return uncovered;
+}
+
+// Set while the guard commits, so the commit it already checked is not checked again afterwards
+let guardedCommitInProgress = false;
+
+/**
+ * Checks the changes the Source Control view is about to commit: the staged changes, or the working
+ * tree changes when nothing is staged and smart commit is on. With `changesets.commitGuard` set to `warn`,
+ * packages without a changeset produce a warning offering to add one or commit anyway.
+ * Changesets created from the warning are staged and the commit goes ahead once everything is covered.
+ * @param {vscode.ExtensionContext} context The extension context.
+ */
+async function commitWithChangesetGuard(context) {
+    const git = await getGitAPI();
+    const repository = git && (git.repositories.find(repo => repo.ui.selected) || git.repositories[0]);
+    if (!repository) {
+        await vscode.commands.executeCommand('git.commit');
+        return;
+    }
+
+    const mode = vscode.workspace.getConfiguration('changesets').get('commitGuard', 'off');
+    while (mode !== 'off') {
+        const { filePaths: committedPaths, smartCommit } = getFilesToCommit(repository);
+        let uncovered;
+        try {
+            uncovered = await getUncoveredPackagesForFiles(committedPaths);
+        } catch (error) {
+            // Never stand in the way of a commit because the check itself failed
+            console.error(error);
+            break;
+        }
+        if (uncovered.size === 0) {
+            break;
+        }
+
+        const [rootPath, names] = [...uncovered][0];
+        const choice = await vscode.window.showWarningMessage(
+            `${names.length === 1 ? `"${names[0]}" is` : `${names.length} packages are`} changed without a changeset.`,
+            { modal: true, detail: names.join('\n') },
+            'Add Changeset',
+            'Add with AI',
+            'Commit Anyway'
+        );
+        if (choice === 'Commit Anyway') {
+            break;
+        }
+        if (!choice) {
+            return;
+        }
+
+        const filePaths = await runChangesetWorkflow(context, choice === 'Add with AI' ? 'ai' : 'manual', { rootPath, preselectedPackages: names });
+        if (!filePaths) {
+            return;
+        }
+        // Staging only the changesets would turn a smart commit into a commit of just the changesets
+        await repository.add(smartCommit ? [...committedPaths, ...filePaths] : filePaths);
+    }
+
+    guardedCommitInProgress = true;
+    try {
+        await vscode.commands.executeCommand('git.commit', repository.rootUri);
+    } finally {
+        guardedCommitInProgress = false;
+    }
+}
+
+/**
+ * Warns after a commit made without the guard (e.g. with the commit button) that changed
+ * packages without a changeset.
+ * @param {vscode.ExtensionContext} context The extension context.
+ * @param {Object} repository The git extension repository that was committed to.
+ */
+async function checkLastCommitForChangesets(context, repository) {
+    const mode = vscode.workspace.getConfiguration('changesets').get('commitGuard', 'off');
+    if (mode === 'off' || guardedCommitInProgress) {
+        return;
+    }
+
+    let uncovered;
+    try {
+        const repositoryRoot = repository.rootUri.fsPath;
+        const files = (await runGit(repositoryRoot, ['diff-tree', '--root', '--no-commit-id', '--name-only', '-r', 'HEAD'], 'Failed to get committed files'))
+            .split('\n')
+            .filter(Boolean)
+            .map(file => path.join(repositoryRoot, file));
+        uncovered = await getUncoveredPackagesForFiles(files);
+    } catch (error) {
+        console.error(error);
+        return;
+    }
+    if (uncovered.size === 0) {
+        return;
+    }
+
+    const [rootPath, names] = [...uncovered][0];
+    const choice = await vscode.window.showWarningMessage(
+        `The last commit changed ${names.length === 1 ? `"${names[0]}"` : `${names.length} packages`} without a changeset.`,
+        'Add Changeset',
+        'Add with AI'
+    );
+    if (choice) {
+        await runChangesetWorkflow(context, choice === 'Add with AI' ? 'ai' : 'manual', { rootPath, preselectedPackages: names });
+    }
+}
+
+/**
+ * Subscribes to commits in every repository the git extension knows about, now and later.
+ * @param {vscode.ExtensionContext} context The extension context.
+ */
+async function watchCommitsForChangesets(context) {
+    let git;
+    try {
+        git = await getGitAPI();
+    } catch (error) {
+        console.error(error);
+    }
+    if (!git) {
+        return;
+    }
+
+    const watchRepository = (repository) => {
+        // onDidCommit only exists in recent versions of the git extension
+        if (typeof repository.onDidCommit === 'function') {
+            context.subscriptions.push(repository.onDidCommit(() => checkLastCommitForChangesets(context, repository)));
+        }
+    };
+    git.repositories.forEach(watchRepository);
+    context.subscriptions.push(git.onDidOpenRepository(watchRepository));
+}
+
+// --- Conventional commits ---
+
+/**
+ * Lists the commits on the current branch since it diverged from the base branch, oldest first, with the files each one touched.
+ * Merge commits are left out.
+ * @param {string} rootPath The root path of the project.
+ * @param {string} baseBranch The base branch from the changesets config.
+ * @returns {Promise<Array<{hash: string, subject: string, body: string, files: string[]}>>} The commits.
+ */
+async function getBranchCommits(rootPath, baseBranch) {
+    const mergeBase = await getMergeBase(rootPath, baseBranch);
+    const output = await runGit(
+        rootPath,
+        ['log', '--no-merges', '--format=%x1e%H%x1f%s%x1f%b%x1f', '--name-only', '--relative', `${mergeBase}..HEAD`, '--'],
+        'Failed to read the commits on this branch'
+    );
+
+    return output.split('\x1e').filter(record => record.trim()).map(record => {
+        const [hash, subject, body, files] = record.split('\x1f');
+        return {
+            hash: hash.trim(),
+            subject: subject.trim(),
+            body: body.trim(),
+            files: files.split('\n').map(file => file.trim()).filter(Boolean)
+        };
+    }).reverse();
+}
+
+/**
+ * Renders the commits a draft changeset was built from, for the review form.
+ * @param {{commits: Array<Object>, skipped: number}} draft The draft changeset.
+ * @returns {string} The section HTML.
+ */
+function renderDraftCommitsHtml(draft) {
+    const rows = draft.commits.map(commit => `<tr>
+        <td><code>${escapeHtml(commit.hash.slice(0, 7))}</code></td>
+        <td>${escapeHtml(commit.subject)}</td>
+        <td>${escapeHtml(commit.bump)}</td>
+        <td>${commit.packages.map(name => `<code>${escapeHtml(name)}</code>`).join(', ')}</td>
+    </tr>`).join('');
+    const skipped = draft.skipped > 0
+        ? `<p class="muted">${draft.skipped} commit${draft.skipped === 1 ? ' was' : 's were'} skipped: not a feat, fix, perf or breaking change, or no package files touched.</p>`
+        : '';
+    return `<section>
+        <h2>Commits</h2>
+        <table>
+            <thead><tr><th>Commit</th><th>Subject</th><th>Bump</th><th>Packages</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        ${skipped}
+    </section>`;
+}
+
+// --- Changeset suggestion review ---
+
+/**
+ * Client-side script of the review webview. It renders the editable suggestion from the
+ * state embedded in the page and posts the user's decision back to the extension.
+ */
+const REVIEW_WEBVIEW_SCRIPT = `
+const vscode = acquireVsCodeApi();
+const state = JSON.parse(document.getElementById('state').textContent);
+const bumpTypes = ['major', 'minor', 'patch'];
+
+const el = (tag, props = {}, children = []) => {
+    const node = document.createElement(tag);
+    Object.assign(node, props);
+    for (const child of children) node.append(child);
+    return node;
+};
+
+function render() {
+    const rows = document.getElementById('packages');
+    rows.replaceChildren(...Object.keys(state.bumps).map(name => {
+        const bump = el('select', { onchange: (e) => { state.bumps[name] = e.target.value; } },
+            bumpTypes.map(type => el('option', { value: type, textContent: type, selected: state.bumps[name] === type })));
+        const summary = el('textarea', {
+            rows: 2,
+            placeholder: 'Uses the combined summary when empty',
+            value: state.packageSummaries[name] || '',
+            oninput: (e) => { state.packageSummaries[name] = e.target.value; }
+        });
+        const remove = el('button', {
+            className: 'secondary',
+            textContent: 'Remove',
+            onclick: () => { delete state.bumps[name]; delete state.packageSummaries[name]; render(); }
+        });
+        const label = el('td', {}, [el('code', { textContent: name })]);
+        if (state.privateNames.includes(name)) {
+            label.append(el('span', { className: 'muted', textContent: ' private' }));
+        }
+        return el('tr', {}, [label, el('td', {}, [bump]), el('td', {}, [summary]), el('td', {}, [remove])]);
+    }));
+
+    const available = state.packageNames.filter(name => !(name in state.bumps));
+    const addSelect = document.getElementById('add-package');
+    addSelect.replaceChildren(...available.map(name => el('option', {
+        value: name,
+        textContent: state.privateNames.includes(name) ? name + ' (private)' : name
+    })));
+    document.getElementById('add-row').hidden = available.length === 0;
+    document.getElementById('split-row').hidden = Object.keys(state.bumps).length < 2;
+}
+
+document.getElementById('add').onclick = () => {
+    const name = document.getElementById('add-package').value;
+    if (name) {
+        state.bumps[name] = document.getElementById('add-bump').value;
+        render();
+    }
+};
+
+document.getElementById('summary').value = state.summary;
+document.getElementById('split').checked = state.splitByPackage;
+document.getElementById('summary').oninput = (e) => { state.summary = e.target.value; };
+
+const setBusy = (busy) => {
+    for (const button of document.querySelectorAll('button')) button.disabled = busy;
+    const status = document.getElementById('status');
+    if (status) status.textContent = busy ? 'Regenerating suggestion…' : '';
+};
+
+document.getElementById('create').onclick = () => {
+    const error = document.getElementById('error');
+    if (Object.keys(state.bumps).length === 0) {
+        error.textContent = 'Add at least one package, or use "Changeset: Add Empty" for a changeset without bumps.';
+        return;
+    }
+    if (!state.summary.trim()) {
+        error.textContent = 'The summary cannot be empty.';
+        return;
+    }
+    vscode.postMessage({
+        type: 'create',
+        bumps: state.bumps,
+        summary: state.summary,
+        packageSummaries: state.packageSummaries,
+        splitByPackage: document.getElementById('split').checked
+    });
+};
+// Drafts that cannot be regenerated have no regenerate section
+const regenerateButton = document.getElementById('regenerate');
+if (regenerateButton) {
+    document.getElementById('instructions').value = state.instructions;
+    regenerateButton.onclick = () => {
+        setBusy(true);
+        vscode.postMessage({
+            type: 'regenerate',
+            instructions: document.getElementById('instructions').value,
+            bumps: state.bumps,
+            summary: state.summary,
+            packageSummaries: state.packageSummaries,
+            splitByPackage: document.getElementById('split').checked
+        });
+    };
+}
+document.getElementById('cancel').onclick = () => vscode.postMessage({ type: 'cancel' });
+
+window.addEventListener('message', (event) => {
+    if (event.data.type === 'error') {
+        setBusy(false);
+        document.getElementById('error').textContent = event.data.message;
+    }
+});
+
+render();
+`;
+
+/**
+ * Renders the list of files and packages that were excluded or condensed before prompting.
+ * @param {{excluded: Array<string>, summarised: Array<string>, truncated: Array<string>}} preprocessing The preprocessing report.
+ * @returns {string} The section HTML, or an empty string if the whole diff was sent as is.
+ */
+function renderPreprocessingHtml(preprocessing) {
+    const list = (items) => `<ul>${items.map(item => `<li><code>${escapeHtml(item)}</code></li>`).join('')}</ul>`;
+    const parts = [];
+    if (preprocessing.excluded.length > 0) {
+        parts.push(`<details><summary>${preprocessing.excluded.length} excluded file${preprocessing.excluded.length === 1 ? '' : 's'}</summary>${list(preprocessing.excluded)}</details>`);
+    }
+    if (preprocessing.summarised.length > 0) {
+        const names = preprocessing.summarised.map(name => name || 'files outside of any package');
+        parts.push(`<details><summary>Summarised before prompting (diff too large)</summary>${list(names)}</details>`);
+    }
+    if (preprocessing.truncated.length > 0) {
+        parts.push(`<details><summary>Truncated file${preprocessing.truncated.length === 1 ? '' : 's'}</summary>${list(preprocessing.truncated)}</details>`);
+    }
+    return parts.length > 0
+        ? `<section><h2>What the AI saw</h2><p class="muted">Some changes were not sent to the AI as a full diff.</p>${parts.join('')}</section>`
+        : '';
+}
+
+/**
+ * Renders the body of the review webview.
+ * @param {Object} state The suggestion state embedded in the page.
+ * @param {Object} [options]
+ * @param {string} [options.heading] The page heading.
+ * @param {Object} [options.preprocessing] What was left out of or condensed in the prompt.
+ * @param {string} [options.notesHtml] Extra section describing where the suggestion came from.
+ * @param {boolean} [options.canRegenerate] Whether to show the regenerate section.
+ * @returns {string} The body HTML.
+ */
+function renderReviewHtml(state, options = {}) {
+    // Escape `<` so the embedded JSON cannot close the script element
+    const stateJson = JSON.stringify(state).replace(/</g, '\\u003c');
+    const bumpOptions = ['patch', 'minor', 'major'].map(type => `<option value="${type}">${type}</option>`).join('');
+
+    return `
+        <h1>${escapeHtml(options.heading || 'Review AI Suggestion')}</h1>
+        <script type="application/json" id="state">${stateJson}</script>
+        <section>
+            <h2>Packages</h2>
+            <table>
+                <thead><tr><th>Package</th><th>Bump</th><th>Package Summary</th><th></th></tr></thead>
+                <tbody id="packages"></tbody>
+            </table>
+            <div id="add-row" class="actions">
+                <select id="add-package"></select>
+                <select id="add-bump">${bumpOptions}</select>
+                <button id="add" class="secondary">Add Package</button>
+            </div>
+        </section>
+        <section>
+            <h2>Summary</h2>
+            <textarea id="summary" rows="8"></textarea>
+            <p id="split-row"><label><input type="checkbox" id="split"> Create one changeset per package (using each package summary)</label></p>
+        </section>
+        ${options.preprocessing ? renderPreprocessingHtml(options.preprocessing) : ''}
+        ${options.notesHtml || ''}
+        ${options.canRegenerate ? `<section>
+            <h2>Regenerate</h2>
+            <textarea id="instructions" rows="3" placeholder="Extra instructions for the AI, e.g. &quot;treat the API change as breaking&quot;"></textarea>
+            <div class="actions"><button id="regenerate" class="secondary">Regenerate Suggestion</button><span id="status" class="muted"></span></div>
+        </section>` : ''}
+        <p id="error" class="error"></p>
+        <div class="actions">
+            <button id="create">Create Changeset</button>
+            <button id="cancel" class="secondary">Cancel</button>
+        </div>`;
+}
+
+/**
+ * Shows an editable review form for a suggested changeset (from the AI or drafted from commits).
+ * Bumps can be changed, removed or added, summaries edited, and AI suggestions regenerated with extra instructions.
+ * @param {{bumps: Object, summary: string, packageSummaries: Object}} suggestion The suggested changeset.
+ * @param {Array<{name: string, private: boolean}>} packages The packages in the workspace.
+ * @param {Object} [options]
+ * @param {string} [options.heading] The page heading.
+ * @param {function(string, Object): Promise<{bumps: Object, summary: string, packageSummaries: Object} | null>} [options.regenerate] Requests a new suggestion with extra instructions, starting from the edited changeset.
+ * @param {{excluded: Array<string>, summarised: Array<string>, truncated: Array<string>}} [options.preprocessing] What was left out of or condensed in the prompt.
+ * @param {string} [options.notesHtml] Extra section describing where the suggestion came from.
+ * @param {Array<{regex: RegExp, message: string}>} [options.summaryRules] Rules the written summaries must follow.
+ * @returns {Promise<{bumps: Object, summary: string, packageSummaries: Object, splitByPackage: boolean} | undefined>} The reviewed changeset, or undefined if cancelled.
+ */
+function reviewChangesetSuggestion(suggestion, packages, options = {}) {
+    const { regenerate, summaryRules = [] } = options;
+    const packageNames = packages.map(p => p.name);
+    const panel = vscode.window.createWebviewPanel('changesetReview', 'Review Changeset', vscode.ViewColumn.Active, {
+        enableScripts: true,
+        retainContextWhenHidden: true
+    });
+
+    const show = (current, instructions = '', splitByPackage = false) => {
+        panel.webview.html = getWebviewHtml('Review Changeset', renderReviewHtml({
+            packageNames,
+            privateNames: packages.filter(p => p.private).map(p => p.name),
+            bumps: current.bumps,
+            summary: current.summary,
+            packageSummaries: current.packageSummaries || {},
+            instructions,
+            splitByPackage
+        }, { ...options, canRegenerate: Boolean(regenerate) }), REVIEW_WEBVIEW_SCRIPT);
+    };
+    show(suggestion);
+
+    // Only accept known packages and valid bump types from the webview
+    const readChangeset = (message) => {
+        const bumps = Object.fromEntries(Object.entries(message.bumps || {})
+            .filter(([name, bump]) => packageNames.includes(name) && isValidBumpType(bump)));
+        const packageSummaries = Object.fromEntries(Object.entries(message.packageSummaries || {})
+            .filter(([name, summary]) => name in bumps && typeof summary === 'string' && summary.trim())
+            .map(([name, summary]) => [name, summary.trim()]));
+        return {
+            bumps,
+            summary: String(message.summary || '').trim(),
+            packageSummaries,
+            splitByPackage: Boolean(message.splitByPackage)
+        };
+    };
+
+    return new Promise((resolve) => {
+        let settled = false;
+        const finish = (result) => {
+            if (!settled) {
+                settled = true;
+                resolve(result);
+                panel.dispose();
+            }
+        };
+
+        panel.onDidDispose(() => finish(undefined));
+        panel.webview.onDidReceiveMessage(async (message) => {
+            if (message.type === 'cancel') {
+                finish(undefined);
+            } else if (message.type === 'create') {
+                const reviewed = readChangeset(message);
+                // Check the summaries that end up in the changeset files
+                const summaries = reviewed.splitByPackage
+                    ? splitChangesetByPackage(reviewed.bumps, reviewed.summary, reviewed.packageSummaries).map(changeset => changeset.summary)
+                    : [reviewed.summary];
+                const violations = [...new Set(summaries.flatMap(summary => getSummaryRuleViolations(summary, summaryRules)))];
+                if (violations.length > 0) {
+                    panel.webview.postMessage({ type: 'error', message: violations.join(' ') });
+                    return;
+                }
+                finish(reviewed);
+            } else if (message.type === 'regenerate' && regenerate) {
+                const instructions = String(message.instructions || '');
+                const edited = readChangeset(message);
+                const next = await regenerate(instructions, edited);
+                if (settled) {
+                    return;
+                }
+                if (next) {
+                    // Keep what the user asked for, so it can be refined for the next attempt
+                    show(next, instructions, edited.splitByPackage);
+                } else {
+                    panel.webview.postMessage({ type: 'error', message: 'Could not regenerate the suggestion.' });
+                }
+            }
+        });
+    });
 }
 
 function deactivate() {}
@@ -0,0 +1,352 @@
+const { isValidPackageName, isValidBumpType } = require('./validation');
+const { expandPackageGroup } = require('./config');
+const { MAX_SUMMARY_LENGTH } = require('./changesets');
+const { getPackageForFile } = require('./packages');
+
+/**
+ * Builds the prompt asking the model for per-package bumps and summaries.
+ * @param {Object} options
+ * @param {Array<{name: string, relativePath: string}>} options.packages The packages in the workspace.
+ * @param {Map<string, string>} options.packageDiffs The diff of each changed package, keyed by package name.
+ * @param {string} [options.commitMessages] Commit messages for the changes, if any.
+ * @param {Object} options.config The changesets config.
+ * @param {string} [options.instructions] Extra instructions from the user.
+ * @param {Array<string>} [options.summarisedPackages] Packages whose diff was replaced with a summary.
+ * @param {{name: string, description: string, bump?: string, summary: string, body: string} | null} [options.template] The summary template chosen by the user.
+ * @param {Array<{pattern: string, flags: string, message: string}>} [options.summaryRules] The rules every summary must follow.
+ * @returns {string} The prompt.
+ */
+function buildChangesetPrompt({ packages, packageDiffs, commitMessages, config, instructions, summarisedPackages = [], template = null, summaryRules = [] }) {
+    const packageNames = packages.map(p => p.name);
+    const fixedGroups = config.fixed
+        .map(group => expandPackageGroup(group, packageNames))
+        .filter(group => group.length > 1);
+    const fixedGroupsNote = fixedGroups.length > 0
+        ? `\nThese groups of packages are always released together with the same bump type: ${fixedGroups.map(group => `[${group.join(', ')}]`).join('; ')}.`
+        : '';
+    const commitMessagesNote = commitMessages
+        ? `\nThe commit messages for these changes are:\n${commitMessages}\n`
+        : '';
+    const templateText = template ? [template.summary.trim(), template.body].filter(Boolean).join('\n\n') : '';
+    const templateNote = template
+        ? `\nThe user chose the "${template.name}" summary template${template.description ? ` (${template.description})` : ''}.`
+            + (template.bump ? ` Changes of this kind are usually a ${template.bump} bump.` : '')
+            + (templateText ? ` Write every summary in the format of this template, replacing its placeholders:\n${templateText}\n` : '')
+        : '';
+    const summaryRulesNote = summaryRules.length > 0
+        ? `\nEvery summary must follow these rules:\n${summaryRules.map(rule => `- ${rule.message} (it must match the regular expression /${rule.pattern}/${rule.flags})`).join('\n')}\n`
+        : '';
+    const instructionsNote = instructions && instructions.trim()
+        ? `\nFollow these additional instructions from the user:\n${instructions.trim()}\n`
+        : '';
+
+    const diffSections = [...packageDiffs.entries()].map(([name, diff]) => {
+        const pkg = packages.find(p => p.name === name);
+        const heading = pkg
+            ? `### Package ${name} (${pkg.relativePath})`
+            : '### Files outside of any package';
+        if (summarisedPackages.includes(name)) {
+            return `${heading}\nThe diff was too large, so here is a summary of it:\n${diff}`;
+        }
+        return `${heading}\n\`\`\`diff\n${diff}\n\`\`\``;
+    }).join('\n\n');
+
+    return `
+You are an expert in semantic versioning and writing conventional commit messages.
+Analyze the following git diff for a project with these packages: ${packageNames.join(', ')}.
+The diff is split into one section per package, based on the files each package contains.
+Based on the changes, determine the appropriate semantic version bump (major, minor, or patch) for ONLY the packages that were actually changed.${fixedGroupsNote}
+For each changed package, write a concise changelog summary describing only the changes to that package.
+Also, write a single, concise changelog summary for all the changes combined.
+
+The git diff is:
+${diffSections}
+${commitMessagesNote}${templateNote}${summaryRulesNote}${instructionsNote}
+Respond with a JSON object that strictly follows this schema. Do not include any other text or explanation.
+
+{
+  "type": "object",
+  "properties": {
+    "packages": {
+      "type": "object",
+      "description": "An object where keys are the package names that have changed.",
+      "additionalProperties": {
+        "type": "object",
+        "properties": {
+          "bump": { "type": "string", "enum": ["major", "minor", "patch"] },
+          "summary": { "type": "string", "description": "A concise changelog summary of the changes to this package." }
+        },
+        "required": ["bump", "summary"]
+      }
+    },
+    "summary": {
+      "type": "string",
+      "description": "A concise summary of all the changes combined, suitable for a changelog."
+    }
+  },
+  "required": ["packages", "summary"]
+}
+`;
+}
+
+/**
+ * Parses and validates the JSON suggestion returned by an AI provider.
+ * @param {string} text The raw text of the model response.
+ * @returns {{bumps: Object, summary: string, packageSummaries: Object}} The validated suggestion.
+ */
+function parseAISuggestion(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Invalid response structure from AI.');
+    }
+
+    // Clean the response to get valid JSON
+    const jsonString = text.replace(/```json/g, '').replace(/```/g, '').trim();
+
+    let parsedResponse;
+    try {
+        parsedResponse = JSON.parse(jsonString);
+    } catch (parseError) {
+        throw new Error('Invalid JSON response from AI. Please try again.');
+    }
+
+    // Per-package responses carry a bump and summary for each package
+    const bumps = {};
+    const packageSummaries = {};
+    if (parsedResponse.packages && typeof parsedResponse.packages === 'object') {
+        for (const [pkg, entry] of Object.entries(parsedResponse.packages)) {
+            bumps[pkg] = entry && entry.bump;
+            if (entry && typeof entry.summary === 'string' && entry.summary.trim()) {
+                packageSummaries[pkg] = entry.summary.trim();
+            }
+        }
+    } else if (parsedResponse.bumps && typeof parsedResponse.bumps === 'object') {
+        Object.assign(bumps, parsedResponse.bumps);
+    }
+
+    // Validate the AI response structure
+    const hasBumps = Boolean(parsedResponse.packages || parsedResponse.bumps);
+    if (!hasBumps || typeof parsedResponse.summary !== 'string' || !parsedResponse.summary) {
+        throw new Error('Invalid AI response structure: missing bumps or summary');
+    }
+
+    // Validate package names and bump types in the AI response
+    for (const [pkg, bump] of Object.entries(bumps)) {
+        if (!isValidPackageName(pkg)) {
+            throw new Error(`Invalid package name in AI response: ${pkg}`);
+        }
+        if (!isValidBumpType(bump)) {
+            throw new Error(`Invalid bump type in AI response: ${bump}`);
+        }
+    }
+
+    // Validate summary length
+    if ([parsedResponse.summary, ...Object.values(packageSummaries)].some(summary => summary.length > MAX_SUMMARY_LENGTH)) {
+        throw new Error('AI generated summary is too long');
+    }
+
+    return { bumps, summary: parsedResponse.summary, packageSummaries };
+}
+
+/**
+ * Splits a changeset into one changeset per package. Each package uses its own summary,
+ * or the combined summary when it has none (e.g. packages added by a fixed group).
+ * @param {Object} packagesWithBumps An object mapping package names to bump types.
+ * @param {string} summary The combined summary.
+ * @param {Object} packageSummaries Summaries keyed by package name.
+ * @returns {Array<{bumps: Object, summary: string}>} The changesets to create.
+ */
+function splitChangesetByPackage(packagesWithBumps, summary, packageSummaries) {
+    return Object.entries(packagesWithBumps).map(([pkg, bump]) => ({
+        bumps: { [pkg]: bump },
+        summary: packageSummaries[pkg] || summary
+    }));
+}
+
+/**
+ * Splits a unified git diff into the diff of each file.
+ * @param {string} diff The git diff output.
+ * @returns {Array<{path: string, diff: string}>} The per-file diffs, with paths relative to the diff root.
+ */
+function splitDiffByFile(diff) {
+    const files = [];
+    for (const section of diff.split(/^(?=diff --git )/m)) {
+        const header = /^diff --git a\/(.+?) b\/(.+)$/m.exec(section);
+        if (!header) {
+            continue;
+        }
+        // Prefer the new path, except for deleted files
+        const target = /^\+\+\+ (?:b\/(.+)|\/dev\/null)$/m.exec(section);
+        const filePath = target && !target[1] ? header[1] : header[2];
+        files.push({ path: filePath.replace(/^"|"$/g, ''), diff: section.trimEnd() });
+    }
+    return files;
+}
+
+/**
+ * Attributes the files in a diff to packages and joins the diff of each package.
+ * Files outside every package are collected under an empty-string key.
+ * @param {string} diff The git diff output.
+ * @param {Array<{name: string, relativePath: string}>} packages The packages in the workspace.
+ * @returns {Map<string, string>} The diff of each package, keyed by package name.
+ */
+function groupDiffByPackage(diff, packages) {
+    const packageDiffs = new Map();
+    for (const file of splitDiffByFile(diff)) {
+        const pkg = getPackageForFile(file.path, packages);
+        const key = pkg ? pkg.name : '';
+        packageDiffs.set(key, packageDiffs.has(key) ? `${packageDiffs.get(key)}\n${file.diff}` : file.diff);
+    }
+    return packageDiffs;
+}
+
+/**
+ * Files that rarely say anything about the change itself but can make up most of a diff.
+ */
+const DEFAULT_DIFF_EXCLUDES = [
+    '**/package-lock.json',
+    '**/npm-shrinkwrap.json',
+    '**/yarn.lock',
+    '**/pnpm-lock.yaml',
+    '**/bun.lock',
+    '**/bun.lockb',
+    '**/dist/**',
+    '**/build/**',
+    '**/out/**',
+    '**/coverage/**',
+    '**/*.min.js',
+    '**/*.min.css',
+    '**/*.map',
+    '**/__snapshots__/**'
+];
+
+/**
+ * Estimates the number of tokens in a text. Roughly four characters per token for code and English.
+ * @param {string} text The text.
+ * @returns {number} The estimated token count.
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+/**
+ * Splits the per-file diffs of a package into chunks that each fit in the token budget.
+ * Files that are too large on their own are truncated.
+ * @param {string} diff The diff of a package.
+ * @param {number} tokenBudget The maximum estimated tokens per chunk.
+ * @returns {{chunks: Array<string>, truncated: Array<string>}} The chunks and the paths of truncated files.
+ */
+function chunkDiff(diff, tokenBudget) {
+    const chunks = [];
+    const truncated = [];
+    let current = '';
+
+    for (const file of splitDiffByFile(diff)) {
+        let fileDiff = file.diff;
+        if (estimateTokens(fileDiff) > tokenBudget) {
+            fileDiff = `${fileDiff.slice(0, tokenBudget * 4)}\n[... diff truncated ...]`;
+            truncated.push(file.path);
+        }
+        if (current && estimateTokens(current) + estimateTokens(fileDiff) > tokenBudget) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${fileDiff}` : fileDiff;
+    }
+    if (current) {
+        chunks.push(current);
+    }
+
+    return { chunks, truncated };
+}
+
+/**
+ * Builds the prompt asking the model to summarise part of a package diff.
+ * @param {string} chunk The part of the diff.
+ * @param {string} name The package name, or an empty string for files outside of any package.
+ * @returns {string} The prompt.
+ */
+function buildDiffSummaryPrompt(chunk, name) {
+    return `
+Summarise the following part of a git diff${name ? ` for the package ${name}` : ''} as a short bullet list.
+Describe user-facing changes, and call out new features, bug fixes and breaking changes explicitly.
+Do not include any other text.
+
+\`\`\`diff
+${chunk}
+\`\`\`
+`;
+}
+
+/**
+ * Replaces the diffs of the largest packages with summaries until the changeset prompt fits in the
+ * token budget. The prompt text around the diffs (commit messages, summary template and rules, and
+ * instructions) is measured first, and only the rest of the budget is left for the diffs.
+ * Oversized packages are summarised in chunks and the chunk summaries combined. Packages summarised
+ * by an earlier call are kept, so a regeneration with longer instructions only condenses further.
+ * @param {{packageDiffs: Map<string, string>, commitMessages?: string, preprocessing: Object, template?: Object, summaryRules?: Array<Object>}} request
+ * The AI request. Its diffs and preprocessing report are updated in place.
+ * @param {Object} options
+ * @param {Array<{name: string, relativePath: string}>} options.packages The packages in the workspace.
+ * @param {Object} options.config The changesets config.
+ * @param {string} [options.instructions] Extra instructions from the user.
+ * @param {number} options.maxTokens The token budget of the prompt.
+ * @param {function(string, {name: string, index: number, count: number}): Promise<string>} options.summarise Sends a
+ * summary prompt to the model and returns its answer.
+ * @returns {Promise<{tokens: number, overBudget: boolean}>} The estimated tokens of the prompt, and whether it is still
+ * over the budget once every package has been summarised.
+ */
+async function summariseLargestDiffs(request, { packages, config, instructions = '', maxTokens, summarise }) {
+    const promptTokens = (packageDiffs) => estimateTokens(buildChangesetPrompt({
+        packages,
+        packageDiffs,
+        commitMessages: request.commitMessages,
+        config,
+        instructions,
+        summarisedPackages: request.preprocessing.summarised,
+        template: request.template,
+        summaryRules: request.summaryRules
+    }));
+    const fixedTokens = promptTokens(new Map());
+    const diffBudget = maxTokens - fixedTokens;
+    if (diffBudget <= 0) {
+        throw new Error('The commit messages, summary template, rules and instructions alone exceed the prompt token budget.');
+    }
+    const diffTokens = () => promptTokens(request.packageDiffs) - fixedTokens;
+    // Leave room for the summarisation instructions around each chunk
+    const chunkBudget = Math.max(1000, maxTokens - 1000);
+
+    const largestFirst = [...request.packageDiffs.entries()].sort((a, b) => b[1].length - a[1].length);
+    for (const [name, diff] of largestFirst) {
+        if (diffTokens() <= diffBudget) {
+            break;
+        }
+        if (request.preprocessing.summarised.includes(name)) {
+            continue;
+        }
+
+        const { chunks, truncated } = chunkDiff(diff, chunkBudget);
+        const chunkSummaries = [];
+        for (const [index, chunk] of chunks.entries()) {
+            chunkSummaries.push((await summarise(buildDiffSummaryPrompt(chunk, name), { name, index, count: chunks.length })).trim());
+        }
+
+        request.packageDiffs.set(name, chunkSummaries.join('\n'));
+        request.preprocessing.summarised.push(name);
+        request.preprocessing.truncated.push(...truncated);
+    }
+
+    return { tokens: fixedTokens + diffTokens(), overBudget: diffTokens() > diffBudget };
+}
+
+module.exports = {
+    buildChangesetPrompt,
+    parseAISuggestion,
+    splitChangesetByPackage,
+    splitDiffByFile,
+    groupDiffByPackage,
+    DEFAULT_DIFF_EXCLUDES,
+    estimateTokens,
+    chunkDiff,
+    buildDiffSummaryPrompt,
+    summariseLargestDiffs
+};
@@ -0,0 +1,521 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validateAndSanitizePath, generateSecureRandomId, isValidPackageName, isValidBumpType } = require('./validation');
+const { maxBumpType } = require('./config');
+const { getSummaryRuleViolations } = require('./templates');
+
+/**
+ * Formats a value as a double-quoted YAML string for the changeset frontmatter.
+ * JSON strings are valid YAML double-quoted scalars, so quotes and control characters are escaped correctly.
+ * @param {string} value The value to quote
+ * @returns {string} The quoted value
+ */
+function toYamlString(value) {
+    return JSON.stringify(String(value));
+}
+
+/**
+ * Maximum length of a changeset summary, to keep runaway AI output out of changelogs
+ */
+const MAX_SUMMARY_LENGTH = 10000;
+
+/**
+ * Creates the changeset file in the .changeset directory, named like the files `changeset add` creates.
+ * @param {string} rootPath The root path of the workspace.
+ * @param {Object} packagesWithBumps An object mapping package names to bump types.
+ * @param {string} summary The summary of the changes.
+ * @returns {Promise<string>} The path of the new changeset file.
+ */
+async function createChangesetFile(rootPath, packagesWithBumps, summary) {
+    // Validate root path is a string
+    if (!rootPath || typeof rootPath !== 'string') {
+        throw new Error('Invalid root path');
+    }
+
+    const changesetDir = path.join(rootPath, '.changeset');
+
+    // Validate the changeset directory path is within the root path
+    const validatedChangesetDir = validateAndSanitizePath(changesetDir, rootPath);
+    if (!validatedChangesetDir) {
+        throw new Error('Invalid changeset directory path');
+    }
+
+    if (!fs.existsSync(validatedChangesetDir)) {
+        fs.mkdirSync(validatedChangesetDir, { recursive: true });
+    }
+
+    const fileName = `${generateChangesetId(validatedChangesetDir)}.md`;
+    const filePath = path.join(validatedChangesetDir, fileName);
+
+    // Validate the final file path is within the changeset directory
+    const validatedFilePath = validateAndSanitizePath(filePath, validatedChangesetDir);
+    if (!validatedFilePath) {
+        throw new Error('Invalid file path');
+    }
+
+    // `wx` fails instead of overwriting if another process created the same file in the meantime
+    fs.writeFileSync(validatedFilePath, buildChangesetContent(packagesWithBumps, summary), { flag: 'wx' });
+    return validatedFilePath;
+}
+
+// Word lists for changeset names, in the adjective-noun-verb style of `changeset add` (e.g. "brave-owls-listen")
+const CHANGESET_ID_ADJECTIVES = [
+    'afraid', 'angry', 'big', 'bitter', 'blue', 'brave', 'breezy', 'bright', 'brown', 'calm', 'chatty', 'chilly',
+    'clean', 'clever', 'cold', 'cool', 'cuddly', 'curly', 'cyan', 'dirty', 'dry', 'dull', 'eager', 'early', 'easy',
+    'empty', 'fair', 'fancy', 'fast', 'few', 'fifty', 'fluffy', 'forty', 'four', 'fresh', 'friendly', 'funny',
+    'fuzzy', 'gentle', 'giant', 'good', 'gorgeous', 'great', 'green', 'grumpy', 'happy', 'heavy', 'hip', 'honest',
+    'hot', 'huge', 'hungry', 'khaki', 'kind', 'large', 'late', 'lazy', 'light', 'little', 'loud', 'lovely', 'lucky',
+    'mean', 'mighty', 'modern', 'moody', 'nasty', 'neat', 'nervous', 'new', 'nice', 'nine', 'odd', 'old', 'olive',
+    'orange', 'perfect', 'pink', 'plenty', 'polite', 'poor', 'pretty', 'proud', 'purple', 'quick', 'quiet', 'rare',
+    'real', 'red', 'rich', 'rotten', 'rude', 'selfish', 'serious', 'shaggy', 'sharp', 'short', 'shy', 'silent',
+    'silly', 'silver', 'six', 'slimy', 'slow', 'small', 'smart', 'smooth', 'soft', 'sour', 'spicy', 'spotty',
+    'stale', 'strange', 'strong', 'stupid', 'sweet', 'swift', 'tall', 'tame', 'tasty', 'ten', 'tender', 'thick',
+    'thin', 'three', 'tidy', 'tiny', 'tough', 'tricky', 'twelve', 'twenty', 'two', 'unlucky', 'violet', 'warm',
+    'weak', 'wet', 'white', 'wicked', 'wild', 'wise', 'witty', 'yellow', 'young', 'yummy'
+];
+
+const CHANGESET_ID_NOUNS = [
+    'actors', 'ads', 'adults', 'ants', 'apes', 'apples', 'areas', 'badgers', 'bags', 'balloons', 'bananas', 'bats',
+    'beans', 'bears', 'beds', 'beers', 'bees', 'berries', 'bikes', 'birds', 'boats', 'books', 'boxes', 'bugs',
+    'buses', 'buttons', 'cameras', 'candies', 'carrots', 'cars', 'cats', 'chairs', 'cheetahs', 'chefs', 'chicken',
+    'clocks', 'clouds', 'coats', 'cobras', 'coins', 'cooks', 'cougars', 'cows', 'crabs', 'crews', 'cups', 'days',
+    'deer', 'dingos', 'dodos', 'dogs', 'dolls', 'donkeys', 'donuts', 'doors', 'dragons', 'drinks', 'dryers',
+    'ducks', 'eagles', 'ears', 'eels', 'eggs', 'emus', 'experts', 'eyes', 'falcons', 'fans', 'feet', 'files',
+    'flies', 'flowers', 'forks', 'foxes', 'friends', 'frogs', 'games', 'garlics', 'geckos', 'geese', 'ghosts',
+    'gifts', 'glasses', 'goats', 'grapes', 'guests', 'hairs', 'hats', 'hornets', 'horses', 'hotels', 'houses',
+    'icons', 'ideas', 'insects', 'islands', 'jars', 'jeans', 'jobs', 'jokes', 'keys', 'kids', 'kiwis', 'knives',
+    'ladybugs', 'lamps', 'laws', 'lemons', 'lies', 'lights', 'lions', 'lizards', 'llamas', 'mails', 'mangos',
+    'maps', 'masks', 'meals', 'melons', 'mice', 'mirrors', 'moles', 'monkeys', 'months', 'moons', 'moose',
+    'mugs', 'nails', 'needles', 'news', 'nights', 'numbers', 'olives', 'onions', 'oranges', 'otters', 'owls',
+    'pandas', 'pans', 'pants', 'papayas', 'papers', 'parents', 'parks', 'parrots', 'paths', 'paws', 'peaches',
+    'pears', 'peas', 'pens', 'pets', 'phones', 'pianos', 'pigs', 'pillows', 'places', 'planes', 'plants', 'plums',
+    'poems', 'poets', 'points', 'pots', 'pugs', 'pumas', 'queens', 'rabbits', 'radios', 'rats', 'ravens', 'readers',
+    'regions', 'rings', 'rivers', 'rockets', 'rocks', 'roses', 'rules', 'schools', 'scissors', 'seahorses', 'seals',
+    'sheep', 'shirts', 'shoes', 'shrimps', 'singers', 'sites', 'snails', 'snakes', 'socks', 'spiders', 'spies',
+    'spoons', 'squids', 'stamps', 'stars', 'steaks', 'suits', 'suns', 'swans', 'symbols', 'tables', 'taxis',
+    'teams', 'teeth', 'terms', 'things', 'ties', 'tigers', 'toes', 'tomatoes', 'tools', 'toys', 'trains', 'trams',
+    'trees', 'turkeys', 'turtles', 'vans', 'views', 'walls', 'wasps', 'waves', 'ways', 'weeks', 'windows', 'wings',
+    'wolves', 'words', 'worms', 'years', 'zebras', 'zoos'
+];
+
+const CHANGESET_ID_VERBS = [
+    'accept', 'act', 'add', 'admire', 'agree', 'allow', 'appear', 'applaud', 'argue', 'arrive', 'attack', 'attend',
+    'bake', 'bathe', 'battle', 'beam', 'beg', 'begin', 'behave', 'bet', 'boil', 'bow', 'brake', 'brush', 'build',
+    'burn', 'buy', 'call', 'camp', 'care', 'carry', 'change', 'cheat', 'check', 'cheer', 'chew', 'clap', 'clean',
+    'collect', 'compare', 'compete', 'complain', 'confess', 'cough', 'count', 'cover', 'crash', 'cross',
+    'cry', 'dance', 'decide', 'deliver', 'deny', 'describe', 'develop', 'divide', 'do', 'double', 'doubt', 'draw',
+    'dream', 'dress', 'drive', 'drop', 'drum', 'eat', 'end', 'enjoy', 'exist', 'explain', 'fail', 'fetch', 'fix',
+    'float', 'fly', 'fold', 'follow', 'forget', 'fry', 'give', 'glow', 'go', 'grab', 'greet', 'grin', 'grow',
+    'guess', 'hammer', 'hang', 'happen', 'heal', 'hear', 'help', 'hide', 'hope', 'hug', 'hunt', 'invent', 'invite',
+    'itch', 'jam', 'jog', 'join', 'joke', 'judge', 'juggle', 'jump', 'kick', 'kiss', 'kneel', 'knock', 'know',
+    'laugh', 'lay', 'lead', 'learn', 'leave', 'lick', 'lie', 'listen', 'live', 'look', 'love', 'make', 'marry',
+    'matter', 'melt', 'mix', 'move', 'nail', 'notice', 'obey', 'occur', 'open', 'own', 'pay', 'peel', 'play',
+    'poke', 'pop', 'pray', 'press', 'promise', 'pull', 'punch', 'push', 'raise', 'reflect', 'refuse', 'relate',
+    'relax', 'remain', 'repair', 'repeat', 'reply', 'report', 'rescue', 'rest', 'retire', 'return', 'rhyme', 'ring',
+    'roll', 'rule', 'run', 'rush', 'say', 'scream', 'search', 'sell', 'serve', 'shake', 'share', 'shave', 'shine',
+    'shop', 'shout', 'show', 'sin', 'sing', 'sink', 'sip', 'sit', 'sleep', 'slide', 'smash', 'smell', 'smile',
+    'smoke', 'sneeze', 'sniff', 'sort', 'speak', 'spend', 'stand', 'start', 'stay', 'stick', 'suffer', 'sparkle',
+    'swim', 'switch', 'talk', 'taste', 'teach', 'tease', 'tell', 'thank', 'think', 'throw', 'tickle', 'tie', 'trade',
+    'train', 'travel', 'try', 'turn', 'type', 'unite', 'vanish', 'visit', 'wait', 'walk', 'warn', 'wash', 'watch',
+    'wave', 'whisper', 'wink', 'wonder', 'work', 'worry', 'write', 'yawn', 'yell'
+];
+
+/**
+ * Generates a unique, human-readable changeset id in the adjective-noun-verb style used by `changeset add`.
+ * @param {string} changesetDir The .changeset directory, checked for existing files with the same name.
+ * @returns {string} The changeset id, without the .md extension.
+ */
+function generateChangesetId(changesetDir) {
+    const pick = (words) => words[crypto.randomInt(words.length)];
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const id = `${pick(CHANGESET_ID_ADJECTIVES)}-${pick(CHANGESET_ID_NOUNS)}-${pick(CHANGESET_ID_VERBS)}`;
+        if (!fs.existsSync(path.join(changesetDir, `${id}.md`))) {
+            return id;
+        }
+    }
+    // Extremely unlikely, but never reuse an existing name
+    return `${pick(CHANGESET_ID_ADJECTIVES)}-${pick(CHANGESET_ID_NOUNS)}-${pick(CHANGESET_ID_VERBS)}-${generateSecureRandomId().toLowerCase()}`;
+}
+
+/**
+ * Builds the markdown content of a changeset file.
+ * @param {Object} packagesWithBumps An object mapping package names to bump types.
+ * @param {string} summary The summary of the changes.
+ * @returns {string} The changeset file content.
+ */
+function buildChangesetContent(packagesWithBumps, summary) {
+    let content = '---\n';
+    for (const [pkg, bump] of Object.entries(packagesWithBumps)) {
+        // Validate package name and bump type
+        if (!isValidPackageName(pkg)) {
+            throw new Error(`Invalid package name: ${pkg}`);
+        }
+        if (!isValidBumpType(bump)) {
+            throw new Error(`Invalid bump type: ${bump}`);
+        }
+
+        content += `${toYamlString(pkg)}: ${bump}\n`;
+    }
+    content += '---\n\n';
+
+    // The summary is markdown, so newlines, lists and code blocks are kept as written
+    content += `${(summary || '').replace(/\r\n?/g, '\n').trim()}\n`;
+
+    return content;
+}
+
+/**
+ * Parses a single frontmatter value, removing YAML quotes if present.
+ * @param {string} value The raw value.
+ * @returns {string} The unquoted value.
+ */
+function unquoteYamlValue(value) {
+    const trimmed = value.trim();
+    if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (e) {
+            return trimmed.slice(1, -1);
+        }
+    }
+    if (trimmed.length >= 2 && trimmed.startsWith("'") && trimmed.endsWith("'")) {
+        return trimmed.slice(1, -1).replace(/''/g, "'");
+    }
+    return trimmed;
+}
+
+/**
+ * Parses the content of a changeset file into its releases and summary.
+ * @param {string} content The raw markdown content of the changeset.
+ * @returns {{releases: Array<{name: string, type: string}>, summary: string} | null} The parsed changeset, or null if it has no valid frontmatter.
+ */
+function parseChangeset(content) {
+    if (typeof content !== 'string') {
+        return null;
+    }
+
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    let start = 0;
+    while (start < lines.length && lines[start].trim() === '') {
+        start++;
+    }
+    if (lines[start] === undefined || lines[start].trim() !== '---') {
+        return null;
+    }
+
+    const end = lines.findIndex((line, index) => index > start && line.trim() === '---');
+    if (end === -1) {
+        return null;
+    }
+
+    const releases = [];
+    for (const line of lines.slice(start + 1, end)) {
+        if (line.trim() === '' || line.trim().startsWith('#')) {
+            continue;
+        }
+        const separator = line.lastIndexOf(':');
+        if (separator === -1) {
+            return null;
+        }
+        releases.push({
+            name: unquoteYamlValue(line.slice(0, separator)),
+            type: unquoteYamlValue(line.slice(separator + 1))
+        });
+    }
+
+    const summary = lines.slice(end + 1).join('\n').trim();
+    return { releases, summary };
+}
+
+/**
+ * Reads and parses every pending changeset in the .changeset directory.
+ * @param {string} rootPath The root path of the workspace.
+ * @returns {Promise<Array<{id: string, filePath: string, releases: Array<{name: string, type: string}>, summary: string}>>} The pending changesets.
+ */
+async function readChangesets(rootPath) {
+    if (!rootPath || typeof rootPath !== 'string') {
+        throw new Error('Invalid root path');
+    }
+
+    const changesetDir = validateAndSanitizePath('.changeset', rootPath);
+    if (!changesetDir || !fs.existsSync(changesetDir)) {
+        return [];
+    }
+
+    const fileNames = (await fs.promises.readdir(changesetDir))
+        .filter(fileName => fileName.endsWith('.md') && fileName.toLowerCase() !== 'readme.md')
+        .sort();
+
+    const changesets = [];
+    for (const fileName of fileNames) {
+        const filePath = path.join(changesetDir, fileName);
+        try {
+            const parsed = parseChangeset(await fs.promises.readFile(filePath, 'utf-8'));
+            if (!parsed) {
+                console.error(`Could not parse changeset ${fileName}`);
+                continue;
+            }
+            changesets.push({ id: path.basename(fileName, '.md'), filePath, ...parsed });
+        } catch (e) {
+            console.error(`Could not read changeset ${fileName}`, e);
+        }
+    }
+    return changesets;
+}
+
+/**
+ * Parses a changeset file keeping track of where everything is, for diagnostics, completions and quick fixes.
+ * Unlike `parseChangeset`, malformed lines are reported instead of rejecting the whole file.
+ * @param {string} text The content of the changeset file.
+ * @returns {{start: number, end: number, entries: Array<Object>, invalidLines: number[], summary: string}} The
+ * line of the opening and closing `---` (-1 if missing), the release entries with their name and bump columns,
+ * the frontmatter lines that are not `name: bump` pairs, and the summary.
+ */
+function parseChangesetDocument(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const result = { start: -1, end: -1, entries: [], invalidLines: [], summary: '' };
+
+    let start = 0;
+    while (start < lines.length && lines[start].trim() === '') {
+        start++;
+    }
+    if (lines[start] === undefined || lines[start].trim() !== '---') {
+        result.summary = text.trim();
+        return result;
+    }
+    result.start = start;
+    result.end = lines.findIndex((line, index) => index > start && line.trim() === '---');
+
+    const frontmatterEnd = result.end === -1 ? lines.length : result.end;
+    for (let line = start + 1; line < frontmatterEnd; line++) {
+        const content = lines[line];
+        if (content.trim() === '' || content.trim().startsWith('#')) {
+            continue;
+        }
+        const match = /^(\s*)("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^"'\s][^:]*?)(\s*):(\s*)(.*?)\s*$/.exec(content);
+        if (!match) {
+            result.invalidLines.push(line);
+            continue;
+        }
+        const nameStart = match[1].length;
+        const nameEnd = nameStart + match[2].length;
+        const typeStart = nameEnd + match[3].length + 1 + match[4].length;
+        result.entries.push({
+            line,
+            name: unquoteYamlValue(match[2]),
+            type: unquoteYamlValue(match[5]),
+            nameStart,
+            nameEnd,
+            typeStart,
+            typeEnd: typeStart + match[5].length
+        });
+    }
+
+    if (result.end !== -1) {
+        result.summary = lines.slice(result.end + 1).join('\n').trim();
+    }
+    return result;
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {number} The number of single-character edits needed to turn `a` into `b`.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Finds the candidates closest to a misspelled value, e.g. `@acme/buton` for `@acme/button`.
+ * A value without a scope also matches a scoped candidate with the same name.
+ * @param {string} value The misspelled value.
+ * @param {string[]} candidates The valid values.
+ * @param {number} [limit=3] The maximum number of matches to return.
+ * @returns {string[]} The closest candidates, best match first.
+ */
+function findClosestMatches(value, candidates, limit = 3) {
+    const normalized = value.toLowerCase();
+    const maxDistance = Math.max(2, Math.floor(normalized.length / 3));
+    return candidates
+        .map(candidate => {
+            const lower = candidate.toLowerCase();
+            const unscoped = lower.replace(/^@[^/]+\//, '');
+            return { candidate, distance: Math.min(editDistance(normalized, lower), editDistance(normalized, unscoped) + 1) };
+        })
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+        .slice(0, limit)
+        .map(({ candidate }) => candidate);
+}
+
+/**
+ * Validates a changeset file.
+ * @param {string} text The content of the changeset file.
+ * @param {string[] | null} packageNames The packages of the project, or null to skip the unknown package check.
+ * @param {Array<{regex: RegExp, message: string}>} [summaryRules] Summary rules from `compileSummaryRules`, reported on the first summary line.
+ * @returns {Array<{line: number, start: number, end: number, severity: 'error' | 'warning', code: string, message: string}>} The problems found.
+ */
+function getChangesetProblems(text, packageNames, summaryRules = []) {
+    const parsed = parseChangesetDocument(text);
+    const problems = [];
+    const lineLength = (line) => (text.split(/\r?\n/)[line] || '').length;
+
+    if (parsed.start === -1) {
+        return [{ line: 0, start: 0, end: lineLength(0), severity: 'error', code: 'missing-frontmatter', message: 'Changeset must start with a "---" frontmatter block listing the packages to release.' }];
+    }
+    if (parsed.end === -1) {
+        problems.push({ line: parsed.start, start: 0, end: lineLength(parsed.start), severity: 'error', code: 'unclosed-frontmatter', message: 'Frontmatter is not closed with "---".' });
+    }
+
+    for (const line of parsed.invalidLines) {
+        problems.push({ line, start: 0, end: lineLength(line), severity: 'error', code: 'invalid-entry', message: 'Expected a "package-name": bump entry.' });
+    }
+
+    const seen = new Set();
+    for (const entry of parsed.entries) {
+        if (packageNames && !packageNames.includes(entry.name)) {
+            problems.push({ line: entry.line, start: entry.nameStart, end: entry.nameEnd, severity: 'error', code: 'unknown-package', message: `Unknown package "${entry.name}".` });
+        }
+        if (!entry.type) {
+            problems.push({ line: entry.line, start: entry.nameStart, end: entry.typeStart, severity: 'error', code: 'missing-bump', message: `Missing bump type for "${entry.name}". Expected major, minor or patch.` });
+        } else if (!isValidBumpType(entry.type)) {
+            problems.push({ line: entry.line, start: entry.typeStart, end: entry.typeEnd, severity: 'error', code: 'invalid-bump', message: `Invalid bump type "${entry.type}". Expected major, minor or patch.` });
+        }
+        if (seen.has(entry.name)) {
+            problems.push({ line: entry.line, start: entry.nameStart, end: entry.nameEnd, severity: 'error', code: 'duplicate-package', message: `Package "${entry.name}" is listed more than once.` });
+        }
+        seen.add(entry.name);
+    }
+
+    if (parsed.end !== -1 && parsed.entries.length > 0 && !parsed.summary) {
+        problems.push({ line: parsed.end, start: 0, end: lineLength(parsed.end), severity: 'warning', code: 'empty-summary', message: 'Changeset has no summary, so its changelog entry will be empty.' });
+    }
+
+    if (parsed.end !== -1 && parsed.summary) {
+        const lines = text.split(/\r?\n/);
+        const summaryLine = lines.findIndex((line, index) => index > parsed.end && line.trim());
+        for (const message of getSummaryRuleViolations(parsed.summary, summaryRules)) {
+            problems.push({ line: summaryLine, start: 0, end: lineLength(summaryLine), severity: 'warning', code: 'summary-rule', message });
+        }
+    }
+
+    return problems;
+}
+
+// Summaries that only differ in case, whitespace or a trailing full stop count as duplicates
+const normalizeSummary = (summary) => summary.toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.!]+$/, '');
+
+/**
+ * Looks for problems across all pending changesets: references to packages that no longer exist,
+ * changesets with bumps but no summary, changesets with the same summary, and packages bumped by
+ * several changesets (candidates for merging).
+ * @param {Array<{id: string, releases: Array<{name: string, type: string}>, summary: string}>} changesets The pending changesets.
+ * @param {string[]} packageNames The packages of the project.
+ * @returns {{unknownPackages: Array<{changeset: Object, name: string, suggestions: string[]}>, emptySummaries: Array<Object>,
+ * duplicateSummaries: Array<Array<Object>>, sharedPackages: Array<{name: string, changesets: Array<Object>}>}} The problems found.
+ */
+function analyzeChangesets(changesets, packageNames) {
+    const report = { unknownPackages: [], emptySummaries: [], duplicateSummaries: [], sharedPackages: [] };
+    const bySummary = new Map();
+    const byPackage = new Map();
+
+    for (const changeset of changesets) {
+        for (const { name } of changeset.releases) {
+            if (!packageNames.includes(name)) {
+                report.unknownPackages.push({ changeset, name, suggestions: findClosestMatches(name, packageNames) });
+            } else if (!(byPackage.get(name) || []).includes(changeset)) {
+                byPackage.set(name, [...(byPackage.get(name) || []), changeset]);
+            }
+        }
+
+        if (!changeset.summary.trim()) {
+            if (changeset.releases.length > 0) {
+                report.emptySummaries.push(changeset);
+            }
+            continue;
+        }
+        const key = normalizeSummary(changeset.summary);
+        bySummary.set(key, [...(bySummary.get(key) || []), changeset]);
+    }
+
+    report.duplicateSummaries = [...bySummary.values()].filter(group => group.length > 1);
+    report.sharedPackages = [...byPackage]
+        .filter(([, group]) => group.length > 1)
+        .map(([name, group]) => ({ name, changesets: group }));
+    return report;
+}
+
+/**
+ * Merges changesets into one, keeping the highest bump per package and concatenating the summaries
+ * (leaving out empty and duplicate ones).
+ * @param {Array<{releases: Array<{name: string, type: string}>, summary: string}>} changesets The changesets to merge.
+ * @returns {{bumps: Object, summary: string}} The bumps and summary of the merged changeset.
+ */
+function mergeChangesets(changesets) {
+    const bumps = {};
+    const summaries = [];
+    for (const changeset of changesets) {
+        for (const { name, type } of changeset.releases) {
+            if (isValidBumpType(type)) {
+                bumps[name] = maxBumpType(bumps[name], type);
+            }
+        }
+        const summary = changeset.summary.trim();
+        if (summary && !summaries.some(existing => normalizeSummary(existing) === normalizeSummary(summary))) {
+            summaries.push(summary);
+        }
+    }
+    return { bumps, summary: summaries.join('\n\n') };
+}
+
+/**
+ * Replaces or removes a package reference in a changeset. When the replacement is already listed,
+ * the higher of the two bumps is kept.
+ * @param {{releases: Array<{name: string, type: string}>}} changeset The changeset.
+ * @param {string} name The package to replace.
+ * @param {string} [replacement] The package to reference instead, or undefined to remove the entry.
+ * @returns {Object} The new bumps of the changeset.
+ */
+function replaceChangesetPackage(changeset, name, replacement) {
+    const bumps = {};
+    for (const release of changeset.releases) {
+        const target = release.name === name ? replacement : release.name;
+        if (target) {
+            bumps[target] = target in bumps ? maxBumpType(bumps[target], release.type) : release.type;
+        }
+    }
+    return bumps;
+}
+
+module.exports = {
+    toYamlString,
+    MAX_SUMMARY_LENGTH,
+    createChangesetFile,
+    generateChangesetId,
+    buildChangesetContent,
+    unquoteYamlValue,
+    parseChangeset,
+    readChangesets,
+    parseChangesetDocument,
+    editDistance,
+    findClosestMatches,
+    getChangesetProblems,
+    analyzeChangesets,
+    mergeChangesets,
+    replaceChangesetPackage
+};
@@ -0,0 +1,99 @@
+const { maxBumpType } = require('./config');
+const { getPackageForFile } = require('./packages');
+
+// Bump type for each Conventional Commits type; other types (docs, chore, refactor, ...) do not release anything
+const CONVENTIONAL_COMMIT_BUMPS = {
+    feat: 'minor',
+    fix: 'patch',
+    // Performance improvements are released like fixes, as in semantic-release
+    perf: 'patch'
+};
+
+/**
+ * Parses a commit message following the Conventional Commits specification.
+ * @param {string} subject The first line of the commit message, e.g. `feat(api)!: drop Node 16`.
+ * @param {string} [body] The rest of the commit message, checked for `BREAKING CHANGE:` footers.
+ * @returns {{type: string, scope: string | undefined, breaking: boolean, description: string} | null} The parsed commit, or null if it is not a conventional commit.
+ */
+function parseConventionalCommit(subject, body = '') {
+    const match = /^(\w+)(?:\(([^)]*)\))?(!)?:\s+(.+)$/.exec(subject.trim());
+    if (!match) {
+        return null;
+    }
+    return {
+        type: match[1].toLowerCase(),
+        scope: match[2] || undefined,
+        breaking: Boolean(match[3]) || /^BREAKING[ -]CHANGE:/m.test(body),
+        description: match[4].trim()
+    };
+}
+
+/**
+ * Drafts a changeset from Conventional Commits: `feat` is a minor bump, `fix` and `perf` a patch, and
+ * `!` or a `BREAKING CHANGE:` footer a major. Each commit bumps the packages whose files it touched, and
+ * the summaries list the commit descriptions.
+ * @param {Array<{hash: string, subject: string, body: string, files: string[]}>} commits The commits, oldest first.
+ * @param {Array<{name: string, relativePath: string}>} packages The packages in the workspace.
+ * @returns {{bumps: Object, summary: string, packageSummaries: Object, commits: Array<Object>, skipped: number}} The draft, the commits it is based on, and how many commits were not used.
+ */
+function draftChangesetFromCommits(commits, packages) {
+    const bumps = {};
+    const entries = [];
+    const packageEntries = {};
+    const used = [];
+
+    for (const commit of commits) {
+        const parsed = parseConventionalCommit(commit.subject, commit.body);
+        const bump = parsed && (parsed.breaking ? 'major' : CONVENTIONAL_COMMIT_BUMPS[parsed.type]);
+        if (!bump) {
+            continue;
+        }
+        const names = [...new Set(commit.files
+            .filter(file => !file.startsWith('.changeset/'))
+            .map(file => getPackageForFile(file, packages))
+            .filter(Boolean)
+            .map(pkg => pkg.name))];
+        if (names.length === 0) {
+            continue;
+        }
+
+        const entry = `- ${parsed.breaking ? '**BREAKING:** ' : ''}${parsed.description}`;
+        if (!entries.includes(entry)) {
+            entries.push(entry);
+        }
+        for (const name of names) {
+            bumps[name] = maxBumpType(bumps[name], bump);
+            packageEntries[name] = packageEntries[name] || [];
+            if (!packageEntries[name].includes(entry)) {
+                packageEntries[name].push(entry);
+            }
+        }
+        used.push({ ...commit, bump, packages: names });
+    }
+
+    return {
+        bumps,
+        summary: entries.join('\n'),
+        packageSummaries: Object.fromEntries(Object.entries(packageEntries).map(([name, lines]) => [name, lines.join('\n')])),
+        commits: used,
+        skipped: commits.length - used.length
+    };
+}
+
+/**
+ * Finds the pull request a commit came from, using the `(#123)` suffix of squash merges or the
+ * subject of a merge commit.
+ * @param {string} subject The commit subject.
+ * @returns {number | undefined} The pull request number, or undefined if the subject does not mention one.
+ */
+function getPullRequestNumber(subject) {
+    const match = /\(#(\d+)\)\s*$/.exec(subject) || /^Merge pull request #(\d+)/.exec(subject);
+    return match ? Number(match[1]) : undefined;
+}
+
+module.exports = {
+    CONVENTIONAL_COMMIT_BUMPS,
+    parseConventionalCommit,
+    draftChangesetFromCommits,
+    getPullRequestNumber
+};
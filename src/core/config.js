@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { validateAndSanitizePath } = require('./validation');
+
+const DEFAULT_CHANGESET_CONFIG = {
+    baseBranch: 'main',
+    fixed: [],
+    linked: [],
+    ignore: [],
+    updateInternalDependencies: 'patch',
+    privatePackages: { version: true, tag: false }
+};
+
+/**
+ * Converts a glob pattern (as used by changesets for package names) into a regular expression.
+ * Supports `*`, `**`, `?` and `{a,b}` alternatives. A trailing `/**` matches the directory itself too.
+ * @param {string} glob The glob pattern.
+ * @returns {RegExp} The equivalent regular expression.
+ */
+function globToRegExp(glob) {
+    const escapeRegExp = (value) => value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    let regex = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // `**/` matches any number of path segments, including none
+                if (glob[i + 2] === '/') {
+                    regex += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    regex += '.*';
+                    i++;
+                }
+            } else {
+                regex += '[^/]*';
+            }
+        } else if (char === '/' && glob.slice(i) === '/**') {
+            // A trailing `/**` also matches the directory itself
+            regex += '(?:/.*)?';
+            break;
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '{' && glob.indexOf('}', i) !== -1) {
+            const close = glob.indexOf('}', i);
+            regex += `(?:${glob.slice(i + 1, close).split(',').map(escapeRegExp).join('|')})`;
+            i = close;
+        } else {
+            regex += escapeRegExp(char);
+        }
+    }
+    return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Checks whether a value matches any of the given glob patterns.
+ * @param {string} value The value to test, e.g. a package name.
+ * @param {Array<string>} patterns The glob patterns.
+ * @returns {boolean} True if any pattern matches.
+ */
+function matchesAnyGlob(value, patterns) {
+    return patterns.some(pattern => globToRegExp(pattern).test(value));
+}
+
+/**
+ * Normalizes the `privatePackages` option, which is either `false` or `{version, tag}`.
+ * @param {*} value The option from `.changeset/config.json`.
+ * @returns {{version: boolean, tag: boolean}} Whether private packages are versioned and get git tags.
+ */
+function normalizePrivatePackages(value) {
+    if (value === false) {
+        return { version: false, tag: false };
+    }
+    const options = value && typeof value === 'object' ? value : {};
+    return {
+        version: typeof options.version === 'boolean' ? options.version : DEFAULT_CHANGESET_CONFIG.privatePackages.version,
+        tag: typeof options.tag === 'boolean' ? options.tag : DEFAULT_CHANGESET_CONFIG.privatePackages.tag
+    };
+}
+
+/**
+ * Reads `.changeset/config.json` and fills in the changesets defaults for missing options.
+ * @param {string} rootPath The root path of the workspace.
+ * @returns {Object} The normalized changesets config.
+ */
+function readChangesetConfig(rootPath) {
+    if (!rootPath || typeof rootPath !== 'string') {
+        throw new Error('Invalid root path');
+    }
+
+    const configPath = validateAndSanitizePath(path.join('.changeset', 'config.json'), rootPath);
+    if (!configPath || !fs.existsSync(configPath)) {
+        return { ...DEFAULT_CHANGESET_CONFIG };
+    }
+
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Could not parse .changeset/config.json: ${e.message}`);
+    }
+
+    const toGroups = (value) => Array.isArray(value)
+        ? value.filter(Array.isArray).map(group => group.filter(name => typeof name === 'string'))
+        : [];
+
+    return {
+        ...DEFAULT_CHANGESET_CONFIG,
+        ...json,
+        baseBranch: typeof json.baseBranch === 'string' && json.baseBranch ? json.baseBranch : DEFAULT_CHANGESET_CONFIG.baseBranch,
+        fixed: toGroups(json.fixed),
+        linked: toGroups(json.linked),
+        ignore: Array.isArray(json.ignore) ? json.ignore.filter(name => typeof name === 'string') : [],
+        updateInternalDependencies: json.updateInternalDependencies === 'minor' ? 'minor' : 'patch',
+        privatePackages: normalizePrivatePackages(json.privatePackages)
+    };
+}
+
+/**
+ * Expands the package name globs of a fixed or linked group into concrete package names.
+ * @param {Array<string>} group The package names or globs in the group.
+ * @param {Array<string>} packageNames The names of all packages in the workspace.
+ * @returns {Array<string>} The package names in the group.
+ */
+function expandPackageGroup(group, packageNames) {
+    return packageNames.filter(name => matchesAnyGlob(name, group));
+}
+
+/**
+ * Returns the higher of two bump types.
+ * @param {string | undefined} a The first bump type.
+ * @param {string | undefined} b The second bump type.
+ * @returns {string | undefined} The higher bump type.
+ */
+function maxBumpType(a, b) {
+    const order = ['patch', 'minor', 'major'];
+    return order.indexOf(a) >= order.indexOf(b) ? a : b;
+}
+
+/**
+ * Applies the `fixed` groups from the config: when any member of a group is bumped,
+ * every member is bumped with the highest bump type in the group.
+ * @param {Object} packagesWithBumps An object mapping package names to bump types.
+ * @param {Object} config The changesets config.
+ * @param {Array<{name: string}>} packages The packages in the workspace.
+ * @returns {{bumps: Object, added: Array<string>}} The resulting bumps and the packages that were added.
+ */
+function applyFixedGroups(packagesWithBumps, config, packages) {
+    const bumps = { ...packagesWithBumps };
+    const added = [];
+    const packageNames = packages.map(p => p.name);
+
+    for (const group of config.fixed) {
+        const members = expandPackageGroup(group, packageNames);
+        const groupBump = members.reduce((highest, name) => maxBumpType(highest, bumps[name]), undefined);
+        if (!groupBump) {
+            continue;
+        }
+        for (const name of members) {
+            if (!bumps[name]) {
+                added.push(name);
+            }
+            bumps[name] = groupBump;
+        }
+    }
+
+    return { bumps, added };
+}
+
+/**
+ * Builds warnings for `linked` groups whose bumped members have different bump types.
+ * Changesets releases linked packages with the same version, so the highest bump wins.
+ * @param {Object} packagesWithBumps An object mapping package names to bump types.
+ * @param {Object} config The changesets config.
+ * @param {Array<{name: string}>} packages The packages in the workspace.
+ * @returns {Array<string>} The warning messages.
+ */
+function getLinkedGroupWarnings(packagesWithBumps, config, packages) {
+    const packageNames = packages.map(p => p.name);
+    const warnings = [];
+
+    for (const group of config.linked) {
+        const bumpedMembers = expandPackageGroup(group, packageNames).filter(name => packagesWithBumps[name]);
+        const bumpTypes = new Set(bumpedMembers.map(name => packagesWithBumps[name]));
+        if (bumpTypes.size > 1) {
+            const highest = bumpedMembers.reduce((result, name) => maxBumpType(result, packagesWithBumps[name]), undefined);
+            warnings.push(`Linked packages ${bumpedMembers.join(', ')} will share the version of the highest bump (${highest}).`);
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * Reads the prerelease state written by `changeset pre enter`.
+ * @param {string} rootPath The root path of the project.
+ * @returns {{mode: 'pre' | 'exit', tag: string, initialVersions: Object, changesets: Array<string>} | undefined} The prerelease state, or undefined when not in prerelease mode.
+ */
+function readPreState(rootPath) {
+    const preStatePath = validateAndSanitizePath(path.join('.changeset', 'pre.json'), rootPath);
+    if (!preStatePath || !fs.existsSync(preStatePath)) {
+        return undefined;
+    }
+
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(preStatePath, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Could not parse .changeset/pre.json: ${e.message}`);
+    }
+    return {
+        mode: json.mode === 'exit' ? 'exit' : 'pre',
+        tag: typeof json.tag === 'string' ? json.tag : '',
+        initialVersions: json.initialVersions && typeof json.initialVersions === 'object' ? json.initialVersions : {},
+        changesets: Array.isArray(json.changesets) ? json.changesets.filter(id => typeof id === 'string') : []
+    };
+}
+
+/**
+ * Writes `.changeset/pre.json` in the same format as the changesets CLI.
+ * @param {string} rootPath The root path of the project.
+ * @param {Object} preState The prerelease state.
+ */
+async function writePreState(rootPath, preState) {
+    const preStatePath = validateAndSanitizePath(path.join('.changeset', 'pre.json'), rootPath);
+    if (!preStatePath) {
+        throw new Error('Invalid file path');
+    }
+    await fs.promises.writeFile(preStatePath, `${JSON.stringify(preState, null, 2)}\n`);
+}
+
+module.exports = {
+    DEFAULT_CHANGESET_CONFIG,
+    globToRegExp,
+    matchesAnyGlob,
+    readChangesetConfig,
+    expandPackageGroup,
+    maxBumpType,
+    applyFixedGroups,
+    getLinkedGroupWarnings,
+    readPreState,
+    writePreState
+};
@@ -0,0 +1,11 @@
+// The VS Code independent logic of the extension, so it can be used and tested from plain Node.
+module.exports = {
+    ...require('./validation'),
+    ...require('./config'),
+    ...require('./changesets'),
+    ...require('./packages'),
+    ...require('./release'),
+    ...require('./ai'),
+    ...require('./commits'),
+    ...require('./templates')
+};
@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const { validateAndSanitizePath, isValidPackageName } = require('./validation');
+const { globToRegExp, matchesAnyGlob, readChangesetConfig } = require('./config');
+const { unquoteYamlValue } = require('./changesets');
+
+/**
+ * Parses the `packages` list from a pnpm-workspace.yaml file.
+ * Only the subset of YAML used by pnpm workspace files is supported.
+ * @param {string} content The content of pnpm-workspace.yaml.
+ * @returns {Array<string>} The package globs.
+ */
+function parsePnpmWorkspacePackages(content) {
+    const lines = content.split(/\r?\n/).map(line => line.replace(/\s+#.*$/, '').replace(/^#.*$/, ''));
+    const keyIndex = lines.findIndex(line => /^packages\s*:/.test(line));
+    if (keyIndex === -1) {
+        return [];
+    }
+
+    // Flow style: packages: ['a/*', 'b/*']
+    const inline = lines[keyIndex].replace(/^packages\s*:/, '').trim();
+    if (inline.startsWith('[')) {
+        return inline.replace(/^\[|\]$/g, '').split(',').map(unquoteYamlValue).filter(Boolean);
+    }
+
+    const patterns = [];
+    for (const line of lines.slice(keyIndex + 1)) {
+        if (line.trim() === '') {
+            continue;
+        }
+        const item = /^\s*-\s*(.+)$/.exec(line);
+        if (!item) {
+            break;
+        }
+        patterns.push(unquoteYamlValue(item[1]));
+    }
+    return patterns;
+}
+
+/**
+ * Reads the workspace definition of a monorepo from pnpm-workspace.yaml, the `workspaces`
+ * field of package.json or lerna.json, in that order.
+ * @param {string} rootPath The root path of the workspace.
+ * @returns {{source: string, patterns: Array<string>} | null} The workspace globs, or null if the project has no workspace config.
+ */
+function readWorkspaceDefinition(rootPath) {
+    const readFile = (fileName) => {
+        const filePath = validateAndSanitizePath(fileName, rootPath);
+        return filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+    };
+
+    try {
+        const pnpmWorkspace = readFile('pnpm-workspace.yaml');
+        if (pnpmWorkspace !== null) {
+            return { source: 'pnpm-workspace.yaml', patterns: parsePnpmWorkspacePackages(pnpmWorkspace) };
+        }
+
+        const packageJson = readFile('package.json');
+        if (packageJson !== null) {
+            const { workspaces } = JSON.parse(packageJson);
+            const patterns = Array.isArray(workspaces) ? workspaces : workspaces && workspaces.packages;
+            if (Array.isArray(patterns)) {
+                return { source: 'package.json', patterns };
+            }
+        }
+
+        const lernaJson = readFile('lerna.json');
+        if (lernaJson !== null) {
+            const { packages } = JSON.parse(lernaJson);
+            return { source: 'lerna.json', patterns: Array.isArray(packages) ? packages : ['packages/*'] };
+        }
+    } catch (e) {
+        console.error('Could not read workspace definition', e);
+    }
+
+    return null;
+}
+
+// Directories never searched for packages
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Finds the files matching a glob below a directory, without following symlinks.
+ * Only the directories that can match are searched: the walk starts at the static prefix of the
+ * glob and, unless it contains `**`, stops at its depth.
+ * @param {string} rootPath The directory to search.
+ * @param {string} pattern The glob, relative to `rootPath` and using `/` separators.
+ * @returns {Promise<Array<string>>} The absolute paths of the matching files.
+ */
+async function findFiles(rootPath, pattern) {
+    const segments = pattern.split('/');
+    const firstGlob = segments.findIndex(segment => /[*?{]/.test(segment));
+    const prefix = firstGlob === -1 ? segments.slice(0, -1) : segments.slice(0, firstGlob);
+    const maxDepth = segments.includes('**') ? Infinity : segments.length - prefix.length;
+    const matcher = globToRegExp(pattern);
+
+    const files = [];
+    const visit = async (directory, depth) => {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        } catch (e) {
+            return;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (depth < maxDepth && !IGNORED_DIRECTORIES.includes(entry.name)) {
+                    await visit(entryPath, depth + 1);
+                }
+            } else if (entry.isFile() && matcher.test(path.relative(rootPath, entryPath).split(path.sep).join('/'))) {
+                files.push(entryPath);
+            }
+        }
+    };
+
+    const start = validateAndSanitizePath(prefix.join('/') || '.', rootPath);
+    if (start) {
+        await visit(start, 1);
+    }
+    return files.sort();
+}
+
+/**
+ * Finds the package.json files of the packages matched by workspace globs.
+ * Globs prefixed with `!` exclude the directories they match.
+ * @param {string} rootPath The root path of the workspace.
+ * @param {Array<string>} patterns The workspace globs.
+ * @returns {Promise<Array<string>>} The paths of the package.json files.
+ */
+async function findWorkspacePackageJsons(rootPath, patterns) {
+    const normalize = (pattern) => pattern.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+    const includes = patterns.filter(p => typeof p === 'string' && !p.startsWith('!')).map(normalize);
+    const excludes = patterns.filter(p => typeof p === 'string' && p.startsWith('!')).map(p => normalize(p.slice(1)));
+
+    const files = new Set();
+    for (const pattern of includes) {
+        for (const file of await findFiles(rootPath, `${pattern}/package.json`)) {
+            files.add(file);
+        }
+    }
+
+    return [...files].filter(file => {
+        const relativeDir = path.relative(rootPath, path.dirname(file)).split(path.sep).join('/');
+        return !matchesAnyGlob(relativeDir, excludes);
+    });
+}
+
+/**
+ * Reads a package.json file and returns the package it describes.
+ * @param {string} packageJsonPath The path of the package.json file.
+ * @param {string} rootPath The root path of the workspace.
+ * @returns {Promise<{name: string, path: string, relativePath: string, version: string | undefined, private: boolean, packageJson: Object} | null>} The package, or null if it has no valid name.
+ */
+async function readPackage(packageJsonPath, rootPath) {
+    const json = JSON.parse(await fs.promises.readFile(packageJsonPath, 'utf-8'));
+    if (!json.name || !isValidPackageName(json.name)) {
+        return null;
+    }
+
+    // Validate package path to prevent path traversal
+    const validatedPackagePath = validateAndSanitizePath(path.dirname(packageJsonPath), rootPath);
+    if (!validatedPackagePath) {
+        return null;
+    }
+
+    return {
+        name: json.name,
+        path: validatedPackagePath,
+        relativePath: path.relative(rootPath, validatedPackagePath).split(path.sep).join('/') || '.',
+        version: typeof json.version === 'string' ? json.version : undefined,
+        private: Boolean(json.private),
+        packageJson: json
+    };
+}
+
+/**
+ * Finds all packages within the workspace. Packages are discovered from the workspace definition
+ * (pnpm-workspace.yaml, `workspaces` in package.json or lerna.json); projects without one fall back
+ * to every package.json outside node_modules.
+ * Packages listed in the changesets `ignore` option are left out, and so are private packages unless
+ * `privatePackages.version` is enabled (the changesets default).
+ * @param {string} rootPath The root path of the workspace.
+ * @param {Object} [config] The changesets config. Read from `.changeset/config.json` when omitted.
+ * @returns {Promise<Array<{name: string, path: string, relativePath: string, version: string | undefined, private: boolean, packageJson: Object}>>} A promise that resolves to an array of package objects.
+ */
+async function findPackages(rootPath, config) {
+    // Validate root path is a string and exists
+    if (!rootPath || typeof rootPath !== 'string') {
+        throw new Error('Invalid root path');
+    }
+    const { ignore, privatePackages } = config || readChangesetConfig(rootPath);
+    // `privatePackages: false` is shorthand for `{ version: false, tag: false }`
+    const includesPrivate = privatePackages == null || (privatePackages !== false && privatePackages.version !== false);
+
+    const workspace = readWorkspaceDefinition(rootPath);
+    const packageJsonPaths = workspace
+        ? await findWorkspacePackageJsons(rootPath, workspace.patterns)
+        : await findFiles(rootPath, '**/package.json');
+
+    // Limit the number of package.json files to process to prevent DoS
+    if (packageJsonPaths.length > 1000) {
+        throw new Error('Too many package.json files found. Please check your workspace structure.');
+    }
+
+    const packages = [];
+    for (const file of packageJsonPaths) {
+        if (path.dirname(file) === path.resolve(rootPath)) {
+            continue;
+        }
+        try {
+            const pkg = await readPackage(file, rootPath);
+            if (pkg && (includesPrivate || !pkg.private) && !packages.some(p => p.name === pkg.name)) {
+                packages.push(pkg);
+            }
+        } catch (e) {
+            console.error(`Could not read or parse ${file}`, e);
+        }
+    }
+    packages.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+    const rootPackageJsonPath = path.join(rootPath, 'package.json');
+    if (fs.existsSync(rootPackageJsonPath)) {
+        try {
+            const rootPackage = await readPackage(rootPackageJsonPath, rootPath);
+            // In a monorepo a private root is just the workspace root, but in a
+            // single-package project it is the package being released, unless private packages are left out.
+            const isReleasable = rootPackage && (!rootPackage.private || (!workspace && includesPrivate));
+            if (isReleasable && !packages.some(p => p.name === rootPackage.name)) {
+                packages.unshift(rootPackage);
+            }
+        } catch(e) {
+            console.error(`Could not read or parse root package.json`, e);
+        }
+    }
+    return packages.filter(p => !matchesAnyGlob(p.name, ignore));
+}
+
+/**
+ * Finds every package a changeset may reference. Unlike `findPackages`, packages listed in `ignore`
+ * and private packages that are not versioned are kept, since changesets can still name them.
+ * @param {string} rootPath The root path of the workspace.
+ * @param {Object} [config] The changesets config. Read from `.changeset/config.json` when omitted.
+ * @returns {Promise<Array<{name: string, path: string, relativePath: string, version: string | undefined, private: boolean, packageJson: Object}>>} The packages.
+ */
+async function findReferenceablePackages(rootPath, config) {
+    return findPackages(rootPath, { ...(config || readChangesetConfig(rootPath)), ignore: [], privatePackages: { version: true, tag: false } });
+}
+
+/**
+ * Finds the package a file belongs to, i.e. the package with the deepest directory containing it.
+ * @param {string} filePath The file path, relative to the workspace root and using `/` separators.
+ * @param {Array<{name: string, relativePath: string}>} packages The packages in the workspace.
+ * @returns {{name: string, relativePath: string} | undefined} The package, or undefined if the file is outside every package.
+ */
+function getPackageForFile(filePath, packages) {
+    let match;
+    for (const pkg of packages) {
+        const isRoot = pkg.relativePath === '.';
+        const contains = isRoot || filePath === pkg.relativePath || filePath.startsWith(`${pkg.relativePath}/`);
+        const depth = isRoot ? 0 : pkg.relativePath.split('/').length;
+        if (contains && (!match || depth > match.depth)) {
+            match = { pkg, depth };
+        }
+    }
+    return match && match.pkg;
+}
+
+/**
+ * Finds the packages changed on the branch that no pending changeset covers, the same way the
+ * changesets CLI attributes files to packages (honouring `changedFilePatterns`).
+ * @param {string[]} changedFiles The changed files, relative to the project root.
+ * @param {Array<{name: string, relativePath: string}>} packages The packages in the workspace.
+ * @param {Array<{releases: Array<{name: string}>}>} changesets The pending changesets.
+ * @param {Object} config The changesets config.
+ * @returns {string[]} The names of the uncovered packages, sorted.
+ */
+function getPackagesMissingChangesets(changedFiles, packages, changesets, config) {
+    const patterns = Array.isArray(config.changedFilePatterns) && config.changedFilePatterns.length > 0
+        ? config.changedFilePatterns
+        : ['**'];
+    const covered = new Set(changesets.flatMap(changeset => changeset.releases.map(release => release.name)));
+
+    const changed = new Set();
+    for (const file of changedFiles) {
+        if (file.startsWith('.changeset/')) {
+            continue;
+        }
+        const pkg = getPackageForFile(file, packages);
+        if (!pkg) {
+            continue;
+        }
+        const fileInPackage = pkg.relativePath === '.' ? file : file.slice(pkg.relativePath.length + 1);
+        if (matchesAnyGlob(fileInPackage, patterns)) {
+            changed.add(pkg.name);
+        }
+    }
+
+    return [...changed].filter(name => !covered.has(name)).sort();
+}
+
+module.exports = {
+    parsePnpmWorkspacePackages,
+    readWorkspaceDefinition,
+    findFiles,
+    findWorkspacePackageJsons,
+    readPackage,
+    findPackages,
+    findReferenceablePackages,
+    getPackageForFile,
+    getPackagesMissingChangesets
+};
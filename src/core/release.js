@@ -0,0 +1,540 @@
+const { isValidBumpType } = require('./validation');
+const { expandPackageGroup, maxBumpType } = require('./config');
+
+const BUMP_TYPE_ORDER = ['patch', 'minor', 'major'];
+
+/**
+ * Parses a semver version string.
+ * @param {string} version The version to parse.
+ * @returns {{major: number, minor: number, patch: number, prerelease: Array<string>} | null} The parsed version, or null if invalid.
+ */
+function parseVersion(version) {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(version || '').trim());
+    if (!match) {
+        return null;
+    }
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+}
+
+/**
+ * Compares two semver versions.
+ * @param {string} a The first version.
+ * @param {string} b The second version.
+ * @returns {number} A negative number if a < b, positive if a > b, 0 if equal.
+ */
+function compareVersions(a, b) {
+    const va = parseVersion(a);
+    const vb = parseVersion(b);
+    if (!va || !vb) {
+        return 0;
+    }
+    for (const key of ['major', 'minor', 'patch']) {
+        if (va[key] !== vb[key]) {
+            return va[key] - vb[key];
+        }
+    }
+    // A version without prerelease tags has higher precedence
+    if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+        return vb.prerelease.length - va.prerelease.length;
+    }
+    for (let i = 0; i < Math.max(va.prerelease.length, vb.prerelease.length); i++) {
+        const pa = va.prerelease[i];
+        const pb = vb.prerelease[i];
+        if (pa === undefined) return -1;
+        if (pb === undefined) return 1;
+        if (pa === pb) continue;
+        const na = /^\d+$/.test(pa);
+        const nb = /^\d+$/.test(pb);
+        if (na && nb) return Number(pa) - Number(pb);
+        if (na) return -1;
+        if (nb) return 1;
+        return pa < pb ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * Increments a version by a bump type, following the same rules as `semver.inc`.
+ * @param {string} version The current version.
+ * @param {string} bumpType The bump type: 'major', 'minor' or 'patch'.
+ * @returns {string | null} The next version, or null if the version is invalid.
+ */
+function incrementVersion(version, bumpType) {
+    const v = parseVersion(version);
+    if (!v) {
+        return null;
+    }
+    // A prerelease is bumped to its release version when it already satisfies the bump
+    const isPrerelease = v.prerelease.length > 0;
+    if (bumpType === 'major') {
+        return isPrerelease && v.minor === 0 && v.patch === 0 ? `${v.major}.0.0` : `${v.major + 1}.0.0`;
+    }
+    if (bumpType === 'minor') {
+        return isPrerelease && v.patch === 0 ? `${v.major}.${v.minor}.0` : `${v.major}.${v.minor + 1}.0`;
+    }
+    if (bumpType === 'patch') {
+        return isPrerelease ? `${v.major}.${v.minor}.${v.patch}` : `${v.major}.${v.minor}.${v.patch + 1}`;
+    }
+    return null;
+}
+
+/**
+ * Works out the number of the next prerelease of a package, like the changesets CLI:
+ * `1.0.0` gives 0 and `2.0.0-beta.3` gives 4.
+ * @param {string} version The current version of the package.
+ * @returns {number} The next prerelease number.
+ */
+function getPreVersion(version) {
+    const v = parseVersion(version);
+    const current = v && v.prerelease[1];
+    return current !== undefined && /^\d+$/.test(current) ? Number(current) + 1 : 0;
+}
+
+/**
+ * Checks whether a version satisfies a dependency range. Supports the range syntax commonly used
+ * for internal dependencies: `*`, exact versions, `^`, `~`, comparison operators, `||`, x-ranges
+ * and the `workspace:` protocol.
+ * @param {string} version The version to test.
+ * @param {string} range The dependency range.
+ * @returns {boolean} True if the version satisfies the range.
+ */
+function satisfiesRange(version, range) {
+    let normalized = String(range || '').trim();
+    if (normalized.startsWith('workspace:')) {
+        normalized = normalized.slice('workspace:'.length);
+        // workspace:*, workspace:^ and workspace:~ always resolve to the local version
+        if (['*', '^', '~', ''].includes(normalized)) {
+            return true;
+        }
+    }
+    if (normalized === '' || normalized === '*' || normalized === 'latest') {
+        return true;
+    }
+
+    const v = parseVersion(version);
+    if (!v) {
+        return false;
+    }
+
+    const satisfiesComparator = (comparator) => {
+        const match = /^(\^|~|>=|<=|>|<|=)?\s*v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(-[0-9A-Za-z.-]+)?$/.exec(comparator);
+        if (!match) {
+            return false;
+        }
+        const [, operator = '', majorPart, minorPart, patchPart, prerelease = ''] = match;
+        const isWildcard = (part) => part === undefined || /^[xX*]$/.test(part);
+        const major = Number(majorPart);
+        const minor = isWildcard(minorPart) ? 0 : Number(minorPart);
+        const patch = isWildcard(patchPart) ? 0 : Number(patchPart);
+        const base = `${major}.${minor}.${patch}${prerelease}`;
+
+        // Prereleases only satisfy ranges that reference the same major.minor.patch with a prerelease
+        if (v.prerelease.length > 0 && !(prerelease && v.major === major && v.minor === minor && v.patch === patch)) {
+            return false;
+        }
+
+        if (isWildcard(majorPart)) {
+            return true;
+        }
+        if (operator === '' || operator === '=') {
+            if (isWildcard(minorPart)) return v.major === major;
+            if (isWildcard(patchPart)) return v.major === major && v.minor === minor;
+            return compareVersions(version, base) === 0;
+        }
+        if (operator === '>=') return compareVersions(version, base) >= 0;
+        if (operator === '>') return compareVersions(version, base) > 0;
+        if (operator === '<=') return compareVersions(version, base) <= 0;
+        if (operator === '<') return compareVersions(version, base) < 0;
+
+        let upper;
+        if (operator === '~') {
+            upper = isWildcard(minorPart) ? `${major + 1}.0.0` : `${major}.${minor + 1}.0`;
+        } else if (major > 0 || isWildcard(minorPart)) {
+            upper = `${major + 1}.0.0`;
+        } else if (minor > 0 || isWildcard(patchPart)) {
+            upper = `0.${minor + 1}.0`;
+        } else {
+            upper = `0.0.${patch + 1}`;
+        }
+        return compareVersions(version, base) >= 0 && compareVersions(version, upper) < 0;
+    };
+
+    return normalized.split('||').some(set => set.trim()
+        .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+        .split(/\s+/)
+        .every(satisfiesComparator));
+}
+
+// The dependency fields of package.json that link internal packages
+const DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// The bump a dependent gets when a dependency leaves its range, per dependency type
+const OUT_OF_RANGE_BUMPS = {
+    dependencies: 'patch',
+    optionalDependencies: 'patch',
+    peerDependencies: 'major'
+};
+
+/**
+ * Builds the graph of internal dependencies from the package.json of each package.
+ * @param {Array<{name: string, packageJson: Object}>} packages The packages in the workspace.
+ * @returns {Map<string, Array<{name: string, dependencyType: string, range: string}>>} The packages depending on
+ * each package, keyed by the name of the dependency.
+ */
+function getDependentsGraph(packages) {
+    const graph = new Map(packages.map(p => [p.name, []]));
+    for (const dependent of packages) {
+        const manifest = dependent.packageJson || {};
+        for (const dependencyType of DEPENDENCY_TYPES) {
+            for (const [dependencyName, range] of Object.entries(manifest[dependencyType] || {})) {
+                if (graph.has(dependencyName) && dependencyName !== dependent.name && typeof range === 'string') {
+                    graph.get(dependencyName).push({ name: dependent.name, dependencyType, range });
+                }
+            }
+        }
+    }
+    return graph;
+}
+
+/**
+ * Computes what a release would look like from the pending changesets, mirroring
+ * `changeset status`: the highest bump per package wins, `fixed` and `linked` groups are
+ * aligned, and internal dependents are released when their dependency ranges are affected.
+ * In prerelease mode, changesets already released as prereleases are skipped, packages that are
+ * already prereleased get another prerelease, and new versions get the prerelease tag (e.g. `2.0.0-beta.3`).
+ * @param {Array<Object>} changesets The pending changesets.
+ * @param {Array<{name: string, version: string, private: boolean, packageJson: Object}>} packages The packages in the workspace.
+ * @param {Object} config The changesets config.
+ * @param {{mode: string, tag: string, changesets: Array<string>}} [preState] The prerelease state from `.changeset/pre.json`.
+ * @returns {{releases: Array<{name: string, type: string, oldVersion: string, newVersion: string, private: boolean, changesets: Array<string>, reasons: Array<string>}>, unknownPackages: Array<string>}} The release plan.
+ */
+function getReleasePlan(changesets, packages, config, preState) {
+    const packagesByName = new Map(packages.map(p => [p.name, p]));
+    const releases = new Map();
+    const unknownPackages = new Set();
+
+    // Returns true when the package is newly released or its bump type increased
+    const addRelease = (name, type, reason, changesetId) => {
+        const isNew = !releases.has(name);
+        if (isNew) {
+            releases.set(name, { name, type, changesets: [], reasons: [] });
+        }
+        const release = releases.get(name);
+        const previousType = release.type;
+        release.type = maxBumpType(release.type, type);
+        if (changesetId && !release.changesets.includes(changesetId)) {
+            release.changesets.push(changesetId);
+        }
+        if (reason && !release.reasons.includes(reason)) {
+            release.reasons.push(reason);
+        }
+        return isNew || release.type !== previousType;
+    };
+
+    const isPrerelease = Boolean(preState && preState.mode === 'pre');
+    const releasedChangesets = new Set(isPrerelease ? preState.changesets : []);
+
+    for (const changeset of changesets) {
+        if (releasedChangesets.has(changeset.id)) {
+            continue;
+        }
+        for (const { name, type } of changeset.releases) {
+            if (!packagesByName.has(name)) {
+                unknownPackages.add(name);
+                continue;
+            }
+            if (isValidBumpType(type)) {
+                addRelease(name, type, undefined, changeset.id);
+            }
+        }
+    }
+
+    if (isPrerelease) {
+        // Packages that already have a prerelease keep getting new prereleases, as the CLI does
+        for (const pkg of packages) {
+            if (getPreVersion(pkg.version) !== 0) {
+                addRelease(pkg.name, 'patch', 'prerelease');
+            }
+        }
+    }
+
+    // Appends the prerelease tag and number in prerelease mode
+    const withPrerelease = (name, version) => (isPrerelease && version
+        ? `${version}-${preState.tag}.${getPreVersion(packagesByName.get(name).version)}`
+        : version);
+
+    const packageNames = packages.map(p => p.name);
+    const dependents = getDependentsGraph(packages);
+    const updateInternalDependents = (config.___experimentalUnsafeOptions_WILL_CHANGE_IN_PATCH || {}).updateInternalDependents;
+    const getNextVersion = (name) => withPrerelease(name, incrementVersion(packagesByName.get(name).version, releases.get(name).type));
+
+    // Keep applying group and dependency rules until no release changes
+    let changed = true;
+    while (changed) {
+        changed = false;
+
+        for (const group of config.fixed) {
+            const members = expandPackageGroup(group, packageNames);
+            const groupBump = members.reduce((highest, name) => maxBumpType(highest, releases.has(name) ? releases.get(name).type : undefined), undefined);
+            if (!groupBump) {
+                continue;
+            }
+            for (const name of members) {
+                if (!releases.has(name) || releases.get(name).type !== groupBump) {
+                    changed = addRelease(name, groupBump, 'fixed group') || changed;
+                }
+            }
+        }
+
+        for (const group of config.linked) {
+            const members = expandPackageGroup(group, packageNames).filter(name => releases.has(name));
+            const groupBump = members.reduce((highest, name) => maxBumpType(highest, releases.get(name).type), undefined);
+            for (const name of members) {
+                if (releases.get(name).type !== groupBump) {
+                    changed = addRelease(name, groupBump, 'linked group') || changed;
+                }
+            }
+        }
+
+        for (const dependencyName of [...releases.keys()]) {
+            const dependencyRelease = releases.get(dependencyName);
+            const nextVersion = getNextVersion(dependencyName);
+            const updatesRange = config.updateInternalDependencies === 'patch' || dependencyRelease.type !== 'patch';
+            for (const { name, dependencyType, range } of dependents.get(dependencyName)) {
+                if (!OUT_OF_RANGE_BUMPS[dependencyType]) {
+                    continue;
+                }
+                const isOutOfRange = nextVersion && !satisfiesRange(nextVersion, range);
+
+                let type;
+                if (isOutOfRange) {
+                    type = OUT_OF_RANGE_BUMPS[dependencyType];
+                } else if (updateInternalDependents === 'always' && updatesRange && dependencyType !== 'peerDependencies') {
+                    type = 'patch';
+                }
+                if (type) {
+                    changed = addRelease(name, type, `depends on ${dependencyName}`) || changed;
+                }
+            }
+        }
+    }
+
+    // Linked packages share the highest version among the group
+    const linkedVersions = new Map();
+    for (const group of config.linked) {
+        const members = expandPackageGroup(group, packageNames).filter(name => releases.has(name));
+        const highestVersion = members
+            .map(name => packagesByName.get(name).version)
+            .filter(version => parseVersion(version))
+            .sort(compareVersions)
+            .pop();
+        for (const name of members) {
+            linkedVersions.set(name, highestVersion);
+        }
+    }
+
+    return {
+        releases: [...releases.values()]
+            .map(release => {
+                const { version: oldVersion, private: isPrivate } = packagesByName.get(release.name);
+                const baseVersion = linkedVersions.get(release.name) || oldVersion;
+                const newVersion = withPrerelease(release.name, incrementVersion(baseVersion, release.type));
+                return { ...release, oldVersion, newVersion, private: Boolean(isPrivate) };
+            })
+            .sort((a, b) => BUMP_TYPE_ORDER.indexOf(b.type) - BUMP_TYPE_ORDER.indexOf(a.type) || a.name.localeCompare(b.name)),
+        unknownPackages: [...unknownPackages]
+    };
+}
+
+/**
+ * Works out what else a new changeset releases besides the packages it lists: internal dependents
+ * (per `updateInternalDependencies` and the peer-dependency rules), group members, and listed packages
+ * whose bump is raised. Only the new changeset is considered, not the pending ones.
+ * @param {Object} packagesWithBumps An object mapping package names to bump types.
+ * @param {Array<{name: string, version: string, packageJson: Object}>} packages The packages in the workspace.
+ * @param {Object} config The changesets config.
+ * @param {Object} [preState] The prerelease state from `.changeset/pre.json`.
+ * @returns {Array<{name: string, type: string, oldVersion: string, newVersion: string, reasons: Array<string>, listedType: string | undefined, isPeerMajor: boolean}>}
+ * The consequential releases. `listedType` is the bump the changeset lists, and `isPeerMajor` flags majors forced by a peer dependency.
+ */
+function getDependentBumps(packagesWithBumps, packages, config, preState) {
+    const changeset = {
+        id: '',
+        releases: Object.entries(packagesWithBumps).map(([name, type]) => ({ name, type }))
+    };
+    const state = preState && { ...preState, changesets: [] };
+    const plan = getReleasePlan([changeset], packages, config, state);
+    // In prerelease mode packages that are already prereleased are released anyway
+    const baseline = new Map(getReleasePlan([], packages, config, state).releases.map(release => [release.name, release.type]));
+    const dependents = getDependentsGraph(packages);
+
+    const isPeerMajor = (release) => release.type === 'major' && plan.releases.some(dependency => dependency.newVersion
+        && dependents.get(dependency.name).some(dependent => dependent.name === release.name
+            && dependent.dependencyType === 'peerDependencies'
+            && !satisfiesRange(dependency.newVersion, dependent.range)));
+
+    return plan.releases
+        .filter(release => release.type !== (packagesWithBumps[release.name] || baseline.get(release.name)))
+        .map(release => ({
+            name: release.name,
+            type: release.type,
+            oldVersion: release.oldVersion,
+            newVersion: release.newVersion,
+            reasons: release.reasons,
+            listedType: packagesWithBumps[release.name],
+            isPeerMajor: isPeerMajor(release)
+        }));
+}
+
+const CHANGELOG_SECTION_TITLES = {
+    major: 'Major Changes',
+    minor: 'Minor Changes',
+    patch: 'Patch Changes'
+};
+
+/**
+ * Updates the range of an internal dependency to a new version, keeping its `^`/`~` prefix and the
+ * `workspace:` protocol. Ranges that cannot be rewritten this way are returned unchanged.
+ * @param {string} range The current range.
+ * @param {string} newVersion The new version of the dependency.
+ * @returns {string} The updated range.
+ */
+function updateDependencyRange(range, newVersion) {
+    if (range.startsWith('workspace:')) {
+        const inner = range.slice('workspace:'.length);
+        return ['*', '^', '~', ''].includes(inner) ? range : `workspace:${updateDependencyRange(inner, newVersion)}`;
+    }
+    const match = /^(\^|~)?v?\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/.exec(range.trim());
+    return match ? `${match[1] || ''}${newVersion}` : range;
+}
+
+/**
+ * Works out the internal dependency ranges `changeset version` rewrites in a released package's package.json:
+ * ranges the new version no longer satisfies, and otherwise those allowed by `updateInternalDependencies`.
+ * @param {{name: string, packageJson: Object}} pkg The released package.
+ * @param {Map<string, Object>} releasesByName The releases of the plan, keyed by package name.
+ * @param {Object} config The changesets config.
+ * @returns {Array<{dependencyType: string, name: string, range: string, newRange: string, newVersion: string}>} The updated dependencies.
+ */
+function getDependencyUpdates(pkg, releasesByName, config) {
+    const updates = [];
+    for (const dependencyType of DEPENDENCY_TYPES) {
+        for (const [name, range] of Object.entries((pkg.packageJson || {})[dependencyType] || {})) {
+            const release = releasesByName.get(name);
+            if (!release || !release.newVersion || name === pkg.name || typeof range !== 'string') {
+                continue;
+            }
+            const isOutOfRange = !satisfiesRange(release.newVersion, range);
+            const updatesRange = config.updateInternalDependencies === 'patch' || release.type !== 'patch';
+            if (!isOutOfRange && (!updatesRange || dependencyType === 'peerDependencies')) {
+                continue;
+            }
+            const newRange = updateDependencyRange(range, release.newVersion);
+            if (newRange !== range) {
+                updates.push({ dependencyType, name, range, newRange, newVersion: release.newVersion });
+            }
+        }
+    }
+    return updates;
+}
+
+/**
+ * Groups the changelog entries of a release by bump type, the way the default `@changesets/cli/changelog`
+ * generator does: one entry per changeset, and an "Updated dependencies" entry under the patch changes.
+ * @param {{name: string, changesets: Array<string>}} release The release.
+ * @param {Map<string, Object>} changesetsById The pending changesets, keyed by id.
+ * @param {Map<string, string>} commits The commit that added each changeset, keyed by id.
+ * @param {Array<{name: string, newVersion: string}>} dependencyUpdates The updated internal dependencies, excluding dev dependencies.
+ * @param {Map<string, Object>} releasesByName The releases of the plan, keyed by package name.
+ * @returns {{major: Array<Object>, minor: Array<Object>, patch: Array<Object>}} The entries of each section: changesets
+ * (`{changeset, commit}`) and dependency updates (`{dependencyUpdates, commits}`).
+ */
+function getChangelogSections(release, changesetsById, commits, dependencyUpdates, releasesByName) {
+    const sections = { major: [], minor: [], patch: [] };
+
+    for (const id of release.changesets) {
+        const changeset = changesetsById.get(id);
+        const own = changeset && changeset.releases.find(item => item.name === release.name);
+        if (own && sections[own.type]) {
+            sections[own.type].push({ changeset, commit: commits.get(id) });
+        }
+    }
+
+    if (dependencyUpdates.length > 0) {
+        const dependencyCommits = [...new Set(dependencyUpdates
+            .flatMap(update => (releasesByName.get(update.name) || { changesets: [] }).changesets)
+            .map(id => commits.get(id))
+            .filter(Boolean))];
+        sections.patch.push({ dependencyUpdates, commits: dependencyCommits });
+    }
+    return sections;
+}
+
+/**
+ * Builds the CHANGELOG.md section for a release the way the default `@changesets/cli/changelog` generator does.
+ * @param {{newVersion: string}} release The release.
+ * @param {{major: Array<Object>, minor: Array<Object>, patch: Array<Object>}} sections The entries from `getChangelogSections`.
+ * @returns {string} The markdown of the section.
+ */
+function buildChangelogEntry(release, sections) {
+    const toLine = (entry) => {
+        if (entry.dependencyUpdates) {
+            const commits = entry.commits.map(commit => commit.slice(0, 7));
+            return [
+                `- Updated dependencies${commits.length > 0 ? ` [${commits.join(', ')}]` : ''}`,
+                ...entry.dependencyUpdates.map(update => `  - ${update.name}@${update.newVersion}`)
+            ].join('\n');
+        }
+        const [firstLine, ...futureLines] = entry.changeset.summary.split('\n').map(line => line.trimEnd());
+        let line = `- ${entry.commit ? `${entry.commit.slice(0, 7)}: ` : ''}${firstLine}`;
+        if (futureLines.length > 0) {
+            line += `\n${futureLines.map(futureLine => `  ${futureLine}`).join('\n')}`;
+        }
+        return line;
+    };
+
+    return [
+        `## ${release.newVersion}`,
+        ...BUMP_TYPE_ORDER.slice().reverse()
+            .filter(type => sections[type].length > 0)
+            .map(type => `### ${CHANGELOG_SECTION_TITLES[type]}\n\n${sections[type].map(toLine).join('\n')}`)
+    ].join('\n\n');
+}
+
+/**
+ * Inserts a changelog section below the heading of CHANGELOG.md, or creates the file, like `changeset version`.
+ * @param {string | undefined} changelog The current content of CHANGELOG.md, if it exists.
+ * @param {string} packageName The name of the package.
+ * @param {string} entry The new section.
+ * @returns {string} The new content of CHANGELOG.md.
+ */
+function prependChangelogEntry(changelog, packageName, entry) {
+    const section = `\n\n${entry.trim()}\n`;
+    if (!changelog) {
+        return `# ${packageName}${section}`;
+    }
+    return changelog.includes('\n') ? changelog.replace('\n', section) : `${changelog}${section}`;
+}
+
+module.exports = {
+    BUMP_TYPE_ORDER,
+    parseVersion,
+    compareVersions,
+    incrementVersion,
+    getPreVersion,
+    satisfiesRange,
+    getDependentsGraph,
+    getReleasePlan,
+    getDependentBumps,
+    CHANGELOG_SECTION_TITLES,
+    updateDependencyRange,
+    getDependencyUpdates,
+    getChangelogSections,
+    buildChangelogEntry,
+    prependChangelogEntry
+};
@@ -0,0 +1,116 @@
+const { isValidBumpType } = require('./validation');
+
+/**
+ * Compiles summary rules from the `changesets.summaryRules` setting (or a template's `rules`).
+ * A rule is a regular expression every summary must match, with the message shown when it does not.
+ * @param {*} value The configured rules.
+ * @returns {{rules: Array<{pattern: string, flags: string, message: string, regex: RegExp}>, errors: string[]}} The valid rules, and why the others were left out.
+ */
+function compileSummaryRules(value) {
+    const rules = [];
+    const errors = [];
+    for (const rule of Array.isArray(value) ? value : []) {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) {
+            errors.push('Summary rules need a "pattern".');
+            continue;
+        }
+        // Global and sticky regexes keep state between tests, so they are dropped
+        const flags = typeof rule.flags === 'string' ? rule.flags.replace(/[gy]/g, '') : '';
+        try {
+            rules.push({
+                pattern: rule.pattern,
+                flags,
+                message: typeof rule.message === 'string' && rule.message.trim()
+                    ? rule.message.trim()
+                    : `Summary must match /${rule.pattern}/${flags}.`,
+                regex: new RegExp(rule.pattern, flags)
+            });
+        } catch (e) {
+            errors.push(`Invalid summary rule /${rule.pattern}/: ${e.message}`);
+        }
+    }
+    return { rules, errors };
+}
+
+/**
+ * Reads summary templates from the `changesets.summaryTemplates` setting. Templates without a name
+ * are left out; an unknown bump type is ignored so the rest of the template still applies.
+ * @param {*} value The configured templates.
+ * @returns {{templates: Array<{name: string, description: string, bump: string | undefined, summary: string, body: string, rules: Array<Object>}>, errors: string[]}} The templates, and the problems found in them.
+ */
+function normalizeSummaryTemplates(value) {
+    const templates = [];
+    const errors = [];
+    for (const template of Array.isArray(value) ? value : []) {
+        const name = template && typeof template.name === 'string' ? template.name.trim() : '';
+        if (!name) {
+            errors.push('Summary templates need a "name".');
+            continue;
+        }
+        if (templates.some(t => t.name === name)) {
+            errors.push(`Summary template "${name}" is defined more than once.`);
+            continue;
+        }
+        if (template.bump !== undefined && !isValidBumpType(template.bump)) {
+            errors.push(`Summary template "${name}" has an invalid bump type "${template.bump}".`);
+        }
+        const compiled = compileSummaryRules(template.rules);
+        errors.push(...compiled.errors.map(error => `${name}: ${error}`));
+        templates.push({
+            name,
+            description: typeof template.description === 'string' ? template.description : '',
+            bump: isValidBumpType(template.bump) ? template.bump : undefined,
+            summary: typeof template.summary === 'string' ? template.summary : '',
+            body: typeof template.body === 'string' ? template.body.trim() : '',
+            rules: compiled.rules
+        });
+    }
+    return { templates, errors };
+}
+
+/**
+ * Adds the body of a template below a summary.
+ * @param {string} summary The summary.
+ * @param {{body: string} | null} [template] The template in use.
+ * @returns {string} The full summary.
+ */
+function applyTemplateBody(summary, template) {
+    return template && template.body ? `${summary.trim()}\n\n${template.body}` : summary;
+}
+
+/**
+ * Wraps the summaries of a drafted changeset in a template: the template text goes above each summary
+ * and its body below, ready to be completed in the review page.
+ * @param {{summary: string, packageSummaries: Object}} draft The drafted changeset.
+ * @param {{summary: string, body: string} | null} template The template in use.
+ * @returns {Object} The draft with the template applied.
+ */
+function applyTemplateToDraft(draft, template) {
+    if (!template) {
+        return draft;
+    }
+    const wrap = (summary) => [template.summary.trim(), summary.trim(), template.body].filter(Boolean).join('\n\n');
+    return {
+        ...draft,
+        summary: wrap(draft.summary),
+        packageSummaries: Object.fromEntries(Object.entries(draft.packageSummaries || {}).map(([name, summary]) => [name, wrap(summary)]))
+    };
+}
+
+/**
+ * Checks a summary against the summary rules.
+ * @param {string} summary The summary.
+ * @param {Array<{regex: RegExp, message: string}>} rules The compiled rules.
+ * @returns {string[]} The messages of the rules the summary breaks.
+ */
+function getSummaryRuleViolations(summary, rules) {
+    return rules.filter(rule => !rule.regex.test(summary)).map(rule => rule.message);
+}
+
+module.exports = {
+    compileSummaryRules,
+    normalizeSummaryTemplates,
+    applyTemplateBody,
+    applyTemplateToDraft,
+    getSummaryRuleViolations
+};
@@ -0,0 +1,96 @@
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Validates and sanitizes a file path to prevent path traversal attacks
+ * @param {string} inputPath The path to validate
+ * @param {string} basePath The base directory to ensure the path stays within
+ * @returns {string|null} The sanitized path or null if invalid
+ */
+function validateAndSanitizePath(inputPath, basePath) {
+    if (!inputPath || typeof inputPath !== 'string') {
+        return null;
+    }
+
+    // Normalize the path and resolve it relative to basePath
+    const normalizedPath = path.normalize(inputPath);
+    const resolvedPath = path.resolve(basePath, normalizedPath);
+    const resolvedBasePath = path.resolve(basePath);
+
+    // Ensure the resolved path is within the basePath
+    if (!resolvedPath.startsWith(resolvedBasePath)) {
+        return null;
+    }
+
+    return resolvedPath;
+}
+
+/**
+ * Generates a cryptographically secure random string
+ * @param {number} length The length of the string to generate
+ * @returns {string} A secure random string
+ */
+function generateSecureRandomId(length = 5) {
+    return crypto.randomBytes(Math.ceil(length * 0.75))
+        .toString('base64')
+        .replace(/[^a-zA-Z0-9]/g, '')
+        .substring(0, length);
+}
+
+/**
+ * Validates package name format against the rules npm applies to existing packages, so legacy
+ * names (uppercase letters, `~'!()*`) are accepted too
+ * @param {string} packageName The package name to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function isValidPackageName(packageName) {
+    if (!packageName || typeof packageName !== 'string' || packageName.length > 214) {
+        return false;
+    }
+    if (packageName.trim() !== packageName || /^[._]/.test(packageName) || ['node_modules', 'favicon.ico'].includes(packageName.toLowerCase())) {
+        return false;
+    }
+
+    // Package names can be:
+    // - Simple names: URL-safe characters only
+    // - Scoped names: @scope/package-name, with a URL-safe scope and name
+    const scoped = /^@([^/]+)\/([^/]+)$/.exec(packageName);
+    const parts = scoped ? [scoped[1], scoped[2]] : [packageName];
+    return parts.every(part => encodeURIComponent(part) === part && part !== '.' && part !== '..');
+}
+
+/**
+ * Validates API key format
+ * @param {string} apiKey The API key to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function isValidApiKey(apiKey) {
+    if (!apiKey || typeof apiKey !== 'string') {
+        return false;
+    }
+
+    const trimmedKey = apiKey.trim();
+
+    // Google API keys are alphanumeric and typically between 20-100 characters
+    // This provides reasonable validation while allowing for length variations
+    const apiKeyRegex = /^[A-Za-z0-9]{20,100}$/;
+    return apiKeyRegex.test(trimmedKey);
+}
+
+/**
+ * Validates bump type
+ * @param {string} bumpType The bump type to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function isValidBumpType(bumpType) {
+    const validBumpTypes = ['major', 'minor', 'patch'];
+    return validBumpTypes.includes(bumpType);
+}
+
+module.exports = {
+    validateAndSanitizePath,
+    generateSecureRandomId,
+    isValidPackageName,
+    isValidApiKey,
+    isValidBumpType
+};
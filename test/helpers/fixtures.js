@@ -0,0 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES_PATH = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Returns the path of a fixture project.
+ * @param {string} name The name of the fixture directory.
+ * @returns {string} The absolute path of the fixture.
+ */
+function fixturePath(name) {
+    return path.join(FIXTURES_PATH, name);
+}
+
+/**
+ * Copies a fixture project to a temporary directory, for tests that write files.
+ * @param {string} name The name of the fixture directory.
+ * @returns {string} The path of the copy.
+ */
+function copyFixture(name) {
+    const target = fs.mkdtempSync(path.join(os.tmpdir(), `changesets-${name}-`));
+    fs.cpSync(fixturePath(name), target, { recursive: true });
+    return target;
+}
+
+/**
+ * Removes a copy made by `copyFixture`.
+ * @param {string} target The path of the copy.
+ */
+function removeFixture(target) {
+    fs.rmSync(target, { recursive: true, force: true });
+}
+
+module.exports = {
+    fixturePath,
+    copyFixture,
+    removeFixture
+};
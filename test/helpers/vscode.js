@@ -0,0 +1,430 @@
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+const disposable = () => ({ dispose() {} });
+
+class EventEmitter {
+    constructor() {
+        this.listeners = [];
+        this.event = (listener) => {
+            this.listeners.push(listener);
+            return { dispose: () => { this.listeners = this.listeners.filter(item => item !== listener); } };
+        };
+    }
+
+    fire(value) {
+        this.listeners.slice().forEach(listener => listener(value));
+    }
+
+    dispose() {
+        this.listeners = [];
+    }
+}
+
+class Uri {
+    constructor(scheme, fsPath, query = '') {
+        this.scheme = scheme;
+        this.fsPath = fsPath;
+        this.path = fsPath;
+        this.query = query;
+    }
+
+    static file(fsPath) {
+        return new Uri('file', fsPath);
+    }
+
+    static from({ scheme, path: uriPath, query }) {
+        return new Uri(scheme, uriPath, query);
+    }
+
+    toString() {
+        return `${this.scheme}://${this.path}${this.query ? `?${this.query}` : ''}`;
+    }
+}
+
+/**
+ * A fake QuickPick or InputBox. Responders drive it with `pick`, `enter`, `back` and `hide`.
+ * @param {string} kind 'quickPick' or 'inputBox'.
+ * @param {(input: Object) => void} onShow Called when the extension shows the input.
+ * @returns {Object} The quick input.
+ */
+function createQuickInput(kind, onShow) {
+    const events = {
+        accept: new EventEmitter(),
+        hide: new EventEmitter(),
+        changeValue: new EventEmitter(),
+        triggerButton: new EventEmitter(),
+        triggerItemButton: new EventEmitter()
+    };
+    const input = {
+        kind,
+        items: [],
+        selectedItems: [],
+        activeItems: [],
+        buttons: [],
+        value: '',
+        visible: false,
+        onDidAccept: events.accept.event,
+        onDidHide: events.hide.event,
+        onDidChangeValue: events.changeValue.event,
+        onDidTriggerButton: events.triggerButton.event,
+        onDidTriggerItemButton: events.triggerItemButton.event,
+        show() {
+            input.visible = true;
+            onShow(input);
+        },
+        hide() {
+            if (input.visible) {
+                input.visible = false;
+                events.hide.fire();
+            }
+        },
+        dispose() {
+            input.hide();
+        },
+        // Selects the items matching the predicate and accepts them
+        pick(predicate) {
+            input.selectedItems = input.items.filter(predicate);
+            events.accept.fire();
+        },
+        // Types a value and accepts it
+        enter(value) {
+            input.value = value;
+            events.changeValue.fire(value);
+            events.accept.fire();
+        },
+        back() {
+            events.triggerButton.fire(QuickInputButtons.Back);
+        }
+    };
+    return input;
+}
+
+const QuickInputButtons = { Back: { id: 'back' } };
+
+/**
+ * Creates a stand-in for the `vscode` module with just enough of the API to activate the extension
+ * and run its commands from plain Node.
+ * Every prompt (quick picks, input boxes and messages with actions) is answered by the next
+ * responder queued with `ui.respond`; messages, opened documents and hover providers are recorded.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.folders] The paths of the workspace folders.
+ * @param {Object} [options.configuration] Setting values, keyed by their full name.
+ * @param {Object} [options.git] The API returned by the built-in git extension, which is missing by default.
+ * @returns {{vscode: Object, ui: Object}} The module and the recorded UI interactions.
+ */
+function createVSCodeStub({ folders = [], configuration = {}, git } = {}) {
+    const ui = {
+        responders: [],
+        messages: [],
+        commands: new Map(),
+        executedCommands: [],
+        webviewPanels: [],
+        openedDocuments: [],
+        hoverProviders: [],
+        respond(...responders) {
+            ui.responders.push(...responders);
+        },
+        nextResponder(description) {
+            if (ui.responders.length === 0) {
+                throw new Error(`Unexpected prompt: ${description}`);
+            }
+            return ui.responders.shift();
+        }
+    };
+
+    const message = (type) => async (text, ...items) => {
+        ui.messages.push({ type, text });
+        const actions = items.filter(item => typeof item === 'string' || (item && item.title));
+        return actions.length > 0 ? ui.nextResponder(text)(text, actions) : undefined;
+    };
+
+    const workspaceFolders = folders.map((folderPath, index) => ({ uri: Uri.file(folderPath), name: path.basename(folderPath), index }));
+
+    const vscode = {
+        Uri,
+        EventEmitter,
+        QuickInputButtons,
+        QuickPickItemKind: { Separator: -1, Default: 0 },
+        StatusBarAlignment: { Left: 1, Right: 2 },
+        ViewColumn: { Active: -1, Beside: -2, One: 1 },
+        TreeItemCollapsibleState: { None: 0, Collapsed: 1, Expanded: 2 },
+        DiagnosticSeverity: { Error: 0, Warning: 1, Information: 2, Hint: 3 },
+        CompletionItemKind: { Module: 8, EnumMember: 19 },
+        CodeActionKind: { QuickFix: 'quickfix' },
+        ProgressLocation: { Notification: 15 },
+        TaskScope: { Workspace: 2 },
+        TaskRevealKind: { Always: 1 },
+        TaskPanelKind: { Dedicated: 2 },
+        TreeItem: class {
+            constructor(label, collapsibleState) {
+                this.label = label;
+                this.collapsibleState = collapsibleState;
+            }
+        },
+        ThemeIcon: Object.assign(class {
+            constructor(id) {
+                this.id = id;
+            }
+        }, { Folder: { id: 'folder' } }),
+        MarkdownString: class {
+            constructor(value = '', supportThemeIcons = false) {
+                this.value = value;
+                this.supportThemeIcons = supportThemeIcons;
+            }
+
+            appendMarkdown(value) {
+                this.value += value;
+                return this;
+            }
+        },
+        Hover: class {
+            constructor(contents) {
+                this.contents = contents;
+            }
+        },
+        Position: class {
+            constructor(line, character) {
+                this.line = line;
+                this.character = character;
+            }
+        },
+        Range: class {
+            constructor(startLine, startCharacter, endLine, endCharacter) {
+                this.start = { line: startLine, character: startCharacter };
+                this.end = { line: endLine, character: endCharacter };
+            }
+        },
+        Diagnostic: class {
+            constructor(range, message, severity) {
+                this.range = range;
+                this.message = message;
+                this.severity = severity;
+            }
+        },
+        CompletionItem: class {
+            constructor(label, kind) {
+                this.label = label;
+                this.kind = kind;
+            }
+        },
+        CodeAction: class {
+            constructor(title, kind) {
+                this.title = title;
+                this.kind = kind;
+            }
+        },
+        WorkspaceEdit: class {
+            constructor() {
+                this.edits = [];
+            }
+
+            replace(uri, range, text) {
+                this.edits.push({ uri, range, text });
+            }
+        },
+        Task: class {
+            constructor(definition, scope, name, source, execution) {
+                Object.assign(this, { definition, scope, name, source, execution });
+            }
+        },
+        ShellExecution: class {
+            constructor(command, args, options) {
+                Object.assign(this, { command, args, options });
+            }
+        },
+        commands: {
+            registerCommand(id, handler) {
+                ui.commands.set(id, handler);
+                return { dispose: () => ui.commands.delete(id) };
+            },
+            async executeCommand(id, ...args) {
+                ui.executedCommands.push({ id, args });
+                return ui.commands.has(id) ? ui.commands.get(id)(...args) : undefined;
+            }
+        },
+        window: {
+            activeTextEditor: undefined,
+            showInformationMessage: message('info'),
+            showWarningMessage: message('warning'),
+            showErrorMessage: message('error'),
+            async showQuickPick(items, options) {
+                return ui.nextResponder(options && options.placeHolder)(await items, options);
+            },
+            async showInputBox(options) {
+                return ui.nextResponder(options && options.prompt)(options);
+            },
+            createQuickPick: () => createQuickInput('quickPick', input => setImmediate(() => ui.nextResponder(input.placeholder)(input))),
+            createInputBox: () => createQuickInput('inputBox', input => setImmediate(() => ui.nextResponder(input.prompt)(input))),
+            createStatusBarItem: () => ({
+                visible: false,
+                show() {
+                    this.visible = true;
+                },
+                hide() {
+                    this.visible = false;
+                },
+                dispose() {}
+            }),
+            createTreeView: disposable,
+            createWebviewPanel(viewType, title) {
+                const disposeEmitter = new EventEmitter();
+                const messageEmitter = new EventEmitter();
+                const panel = {
+                    viewType,
+                    title,
+                    // Messages sent to the webview are recorded in `posted`
+                    webview: {
+                        html: '',
+                        posted: [],
+                        onDidReceiveMessage: messageEmitter.event,
+                        postMessage: async (message) => {
+                            panel.webview.posted.push(message);
+                            return true;
+                        }
+                    },
+                    onDidDispose: disposeEmitter.event,
+                    reveal() {},
+                    dispose: () => disposeEmitter.fire(),
+                    // Sends a message from the webview to the extension
+                    receive: message => messageEmitter.fire(message)
+                };
+                ui.webviewPanels.push(panel);
+                return panel;
+            },
+            async showTextDocument(document) {
+                ui.openedDocuments.push(document);
+                return { document };
+            },
+            withProgress: (options, task) => task({ report() {} }, { isCancellationRequested: false, onCancellationRequested: disposable }),
+            onDidChangeWindowState: disposable
+        },
+        workspace: {
+            workspaceFolders,
+            textDocuments: [],
+            getWorkspaceFolder: uri => workspaceFolders.find(folder => uri.fsPath.startsWith(folder.uri.fsPath)),
+            getConfiguration: section => ({
+                get: (key, defaultValue) => {
+                    const name = section ? `${section}.${key}` : key;
+                    return name in configuration ? configuration[name] : defaultValue;
+                },
+                update: async (key, value) => {
+                    configuration[section ? `${section}.${key}` : key] = value;
+                }
+            }),
+            async openTextDocument(target) {
+                // Untitled documents are opened with their content
+                if (target && typeof target.content === 'string') {
+                    return { uri: new Uri('untitled', ''), languageId: target.language, getText: () => target.content };
+                }
+                const uri = typeof target === 'string' ? Uri.file(target) : target;
+                const text = fs.readFileSync(uri.fsPath, 'utf-8');
+                return { uri, getText: () => text };
+            },
+            fs: {
+                // Like VS Code, deleting a file that does not exist fails
+                delete: async (uri) => fs.rmSync(uri.fsPath)
+            },
+            createFileSystemWatcher: () => ({
+                onDidCreate: disposable,
+                onDidChange: disposable,
+                onDidDelete: disposable,
+                dispose() {}
+            }),
+            registerTextDocumentContentProvider: disposable,
+            onDidChangeWorkspaceFolders: disposable,
+            onDidSaveTextDocument: disposable,
+            onDidOpenTextDocument: disposable,
+            onDidChangeTextDocument: disposable,
+            onDidCloseTextDocument: disposable,
+            onDidChangeConfiguration: disposable
+        },
+        languages: {
+            createDiagnosticCollection: () => {
+                const diagnostics = new Map();
+                return {
+                    set: (uri, items) => diagnostics.set(uri.toString(), items),
+                    get: uri => diagnostics.get(uri.toString()),
+                    delete: uri => diagnostics.delete(uri.toString()),
+                    clear: () => diagnostics.clear(),
+                    dispose() {}
+                };
+            },
+            registerCompletionItemProvider: disposable,
+            registerHoverProvider(selector, provider) {
+                ui.hoverProviders.push(provider);
+                return disposable();
+            },
+            registerCodeActionsProvider: disposable
+        },
+        tasks: {
+            executeTask: async () => disposable(),
+            onDidEndTaskProcess: disposable
+        },
+        extensions: {
+            getExtension: id => (id === 'vscode.git' && git
+                ? { isActive: true, exports: { enabled: true, getAPI: () => git } }
+                : undefined)
+        }
+    };
+
+    return { vscode, ui };
+}
+
+/**
+ * Creates an extension context with in-memory secrets and workspace state.
+ * @returns {Object} The extension context.
+ */
+function createExtensionContext() {
+    const memento = () => {
+        const values = new Map();
+        return {
+            get: (key, defaultValue) => (values.has(key) ? values.get(key) : defaultValue),
+            update: async (key, value) => {
+                values.set(key, value);
+            }
+        };
+    };
+    const secrets = new Map();
+    return {
+        subscriptions: [],
+        workspaceState: memento(),
+        globalState: memento(),
+        secrets: {
+            get: async key => secrets.get(key),
+            store: async (key, value) => {
+                secrets.set(key, value);
+            },
+            delete: async key => {
+                secrets.delete(key);
+            }
+        }
+    };
+}
+
+/**
+ * Loads a fresh copy of the extension, resolving `require('vscode')` to the given stub.
+ * @param {Object} vscode The stub from `createVSCodeStub`.
+ * @returns {{activate: Function, deactivate: Function}} The extension module.
+ */
+function loadExtension(vscode) {
+    const extensionPath = require.resolve('../../extension');
+    delete require.cache[extensionPath];
+
+    const originalLoad = Module._load;
+    Module._load = function (request, ...rest) {
+        return request === 'vscode' ? vscode : originalLoad.call(this, request, ...rest);
+    };
+    try {
+        return require(extensionPath);
+    } finally {
+        Module._load = originalLoad;
+    }
+}
+
+module.exports = {
+    createVSCodeStub,
+    createExtensionContext,
+    loadExtension
+};
@@ -0,0 +1,525 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createVSCodeStub, createExtensionContext, loadExtension } = require('../helpers/vscode');
+const { fixturePath, copyFixture, removeFixture } = require('../helpers/fixtures');
+const { readChangesets } = require('../../src/core/changesets');
+const packageJson = require('../../package.json');
+
+describe('extension commands', () => {
+    let rootPath;
+    let ui;
+    let context;
+    let extension;
+
+    // Activates the extension in a workspace with the given folders and settings
+    const activate = (folders, configuration = {}, git = undefined) => {
+        const stub = createVSCodeStub({ folders, configuration, git });
+        ui = stub.ui;
+        context = createExtensionContext();
+        extension = loadExtension(stub.vscode);
+        extension.activate(context);
+    };
+    const run = (command, ...args) => ui.commands.get(command)(...args);
+    const newChangesets = async () => (await readChangesets(rootPath)).filter(changeset => !['brave-owls-listen', 'quiet-rocks-sing'].includes(changeset.id));
+
+    beforeEach(() => {
+        rootPath = copyFixture('pnpm-monorepo');
+    });
+
+    afterEach(() => {
+        context.subscriptions.forEach(subscription => subscription.dispose());
+        extension.deactivate();
+        removeFixture(rootPath);
+        mock.restoreAll();
+    });
+
+    it('registers every command contributed in package.json', () => {
+        activate([rootPath]);
+        const contributed = packageJson.contributes.commands.map(command => command.command);
+        assert.deepEqual([...ui.commands.keys()].sort(), contributed.sort());
+    });
+
+    it('adds a changeset through the multi-step input', async () => {
+        activate([rootPath]);
+        ui.respond(
+            packages => {
+                assert.equal(packages.items.find(item => item.label === 'docs').description, 'v1.0.0  $(lock) private');
+                packages.pick(item => ['@acme/core', '@acme/ui'].includes(item.label));
+            },
+            bumps => {
+                // Pending changesets preselect the bumps they used
+                assert.equal(bumps.items[0].description, '@acme/core@minor, @acme/ui@patch');
+                bumps.pick(item => item.key === 'all:minor');
+                bumps.pick(item => item.key === 'continue');
+            },
+            summary => summary.enter('Add retries.\n\n- Configurable with `retries`')
+        );
+
+        await run('changeset.add');
+
+        const [changeset] = await newChangesets();
+        assert.deepEqual(changeset.releases, [
+            { name: '@acme/core', type: 'minor' },
+            { name: '@acme/ui', type: 'minor' },
+            { name: '@acme/icons', type: 'minor' }
+        ]);
+        assert.equal(changeset.summary, 'Add retries.\n\n- Configurable with `retries`');
+        assert.deepEqual(ui.messages, [
+            { type: 'info', text: 'Changesets: Added fixed group members: @acme/icons' },
+            { type: 'info', text: 'Changeset created successfully!' }
+        ]);
+    });
+
+    it('previews the dependents a major bump releases and adds the selected ones', async () => {
+        activate([rootPath]);
+        ui.respond(
+            packages => packages.pick(item => item.label === '@acme/core'),
+            bumps => {
+                bumps.pick(item => item.key === 'all:major');
+                bumps.pick(item => item.key === 'continue');
+            },
+            summary => summary.enter('Drop Node 16.'),
+            (items, options) => {
+                assert.equal(options.title, 'This changeset also releases 2 packages');
+                assert.deepEqual(items.map(item => [item.label, item.description, item.picked]), [
+                    ['$(warning) @acme/theme', 'major: 2.0.0 → 3.0.0', true],
+                    ['@acme/ui', 'patch: 0.3.1 → 0.3.2', false]
+                ]);
+                return items.filter(item => item.picked);
+            }
+        );
+
+        await run('changeset.add');
+
+        const [changeset] = await newChangesets();
+        assert.deepEqual(changeset.releases, [
+            { name: '@acme/core', type: 'major' },
+            { name: '@acme/icons', type: 'major' },
+            { name: '@acme/theme', type: 'major' }
+        ]);
+    });
+
+    it('starts from a summary template and enforces the summary rules', async () => {
+        activate([rootPath], {
+            'changesets.summaryTemplates': [
+                { name: 'Feature', bump: 'minor', summary: 'Feature: ' },
+                { name: 'Breaking change', bump: 'major', summary: 'Breaking: <change>', body: '**Migration:**\n\n- ' }
+            ],
+            'changesets.summaryRules': [{ pattern: '\\(#\\d+\\)', message: 'Link the issue, e.g. (#123).' }]
+        });
+        ui.respond(
+            templates => {
+                assert.deepEqual(templates.items.map(item => item.label), ['Feature', 'Breaking change', '$(circle-slash) No template']);
+                templates.pick(item => item.label === 'Breaking change');
+            },
+            packages => packages.pick(item => item.label === '@acme/core'),
+            bumps => {
+                assert.equal(bumps.items[0].description, '@acme/core@major');
+                bumps.pick(item => item.key === 'continue');
+            },
+            summary => {
+                assert.equal(summary.value, 'Breaking: <change>');
+                assert.deepEqual(summary.valueSelection, [10, 18]);
+                summary.enter('Breaking: drop Node 16');
+                assert.equal(summary.validationMessage, 'Link the issue, e.g. (#123).');
+                summary.enter('Breaking: drop Node 16 (#7)');
+            },
+            items => items.filter(item => item.picked)
+        );
+
+        await run('changeset.add');
+
+        const [changeset] = await newChangesets();
+        assert.deepEqual(changeset.releases.find(release => release.name === '@acme/core'), { name: '@acme/core', type: 'major' });
+        assert.equal(changeset.summary, 'Breaking: drop Node 16 (#7)\n\n**Migration:**\n\n-');
+        // The body is filled in in the opened changeset file
+        assert.equal(ui.openedDocuments[0].fsPath, changeset.filePath);
+    });
+
+    it('checks edited summaries against the summary rules', async () => {
+        activate([rootPath], { 'changesets.summaryRules': [{ pattern: '^(Feature|Fix): ', message: 'Start with a category.' }] });
+        const [changeset] = await readChangesets(rootPath);
+        ui.respond(
+            items => items.find(item => item.action === 'summary'),
+            options => {
+                assert.equal(options.validateInput('Add a timeout'), 'Start with a category.');
+                assert.equal(options.validateInput('Feature: add a timeout'), undefined);
+                return 'Feature: add a timeout';
+            }
+        );
+
+        await run('changeset.editChangeset', { kind: 'changeset', changeset });
+
+        assert.equal((await readChangesets(rootPath)).find(item => item.id === changeset.id).summary, 'Feature: add a timeout');
+    });
+
+    it('writes nothing when the input is dismissed', async () => {
+        activate([rootPath]);
+        ui.respond(packages => packages.hide());
+
+        await run('changeset.add');
+
+        assert.deepEqual(await newChangesets(), []);
+        assert.deepEqual(ui.messages, [{ type: 'info', text: 'Changeset creation cancelled.' }]);
+    });
+
+    it('adds an empty changeset', async () => {
+        activate([rootPath]);
+        ui.respond(() => '');
+
+        await run('changeset.addEmpty');
+
+        const [changeset] = await newChangesets();
+        assert.deepEqual(changeset.releases, []);
+        assert.equal(fs.readFileSync(changeset.filePath, 'utf-8'), '---\n---\n\n\n');
+    });
+
+    it('shows an error when a changeset cannot be deleted', async () => {
+        activate([rootPath]);
+        const errors = mock.method(console, 'error', () => {});
+        const [changeset] = await readChangesets(rootPath);
+        fs.rmSync(changeset.filePath);
+        ui.respond((text, actions) => actions[0]);
+
+        await run('changeset.deleteChangeset', { kind: 'changeset', changeset });
+
+        assert.equal(errors.mock.callCount(), 1);
+        assert.equal(ui.messages.at(-1).type, 'error');
+        assert.match(ui.messages.at(-1).text, /^An error occurred: ENOENT/);
+    });
+
+    it('does not log the missing changeset check in a folder that is not a git repository', async () => {
+        activate([rootPath]);
+        const errors = mock.method(console, 'error', () => {});
+
+        await run('changeset.addForUncovered');
+
+        assert.equal(errors.mock.callCount(), 0);
+        assert.deepEqual(ui.messages, [{ type: 'info', text: 'Every changed package has a changeset.' }]);
+    });
+
+    it('shows the projected versions in the status panel', async () => {
+        activate([rootPath]);
+
+        await run('changeset.status');
+
+        const [panel] = ui.webviewPanels;
+        assert.equal(panel.title, 'Changeset Status');
+        for (const text of ['@acme/core', '1.2.0', '1.3.0', '@acme/icons', '0.3.2', 'brave-owls-listen']) {
+            assert.ok(panel.webview.html.includes(text), text);
+        }
+    });
+
+    it('merges the changesets selected in the clean up command', async () => {
+        activate([rootPath]);
+        ui.respond(
+            items => {
+                assert.deepEqual(items.filter(item => item.run).map(item => item.label), ['$(merge) Merge Changesets...']);
+                return items.find(item => item.run);
+            },
+            changesets => changesets,
+            (text, actions) => {
+                assert.equal(text, 'Merge 2 changesets into one?');
+                return actions[0];
+            }
+        );
+
+        await run('changeset.cleanUp');
+
+        const [merged] = await newChangesets();
+        assert.deepEqual(merged.releases, [
+            { name: '@acme/core', type: 'minor' },
+            { name: '@acme/ui', type: 'patch' }
+        ]);
+        assert.equal(merged.summary, [
+            'Add a `timeout` option to `createClient`.',
+            'Fix the focus ring of `Button`.\n\n- Keeps the outline in high contrast mode\n- Removes the double border in Safari'
+        ].join('\n\n'));
+        assert.deepEqual((await readChangesets(rootPath)).map(changeset => changeset.id), [merged.id]);
+        assert.equal(ui.openedDocuments[0].fsPath, merged.filePath);
+    });
+
+    it('shows the commit that added a changeset in hovers and opens its changes', async () => {
+        const author = { GIT_AUTHOR_NAME: 'Ada Lovelace', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada Lovelace', GIT_COMMITTER_EMAIL: 'ada@example.com' };
+        const git = (...args) => execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], { cwd: rootPath, env: { ...process.env, ...author } });
+        git('init', '-q');
+        git('add', '.');
+        git('commit', '-q', '-m', 'feat(core): add a timeout option (#42)');
+        activate([rootPath]);
+
+        const filePath = path.join(rootPath, '.changeset', 'brave-owls-listen.md');
+        const document = { uri: { scheme: 'file', fsPath: filePath }, getText: () => fs.readFileSync(filePath, 'utf-8') };
+        const [provider] = ui.hoverProviders;
+        const hover = await provider.provideHover(document, { line: 1, character: 2 });
+        assert.match(hover.contents.value, /^\$\(git-commit\) Added in \[`[0-9a-f]{7}`\]\(command:changeset\.showChangesetCommit\?[^)]+\) by \*\*Ada Lovelace\*\* on .+ in PR #42\n\n> feat\(core\): add a timeout option \(\\#42\)$/);
+        assert.equal(await provider.provideHover(document, { line: 4, character: 0 }), undefined);
+
+        await run('changeset.showChangesetCommit', filePath);
+        // Without the built-in git extension the commit is shown as a plain diff
+        const [diff] = ui.openedDocuments;
+        assert.equal(diff.languageId, 'diff');
+        assert.ok(diff.getText().includes('feat(core): add a timeout option (#42)'));
+        assert.ok(diff.getText().includes('+++ b/.changeset/brave-owls-listen.md'));
+
+        fs.writeFileSync(path.join(rootPath, '.changeset', 'new-file-added.md'), '---\n---\n');
+        await run('changeset.showChangesetCommit', path.join(rootPath, '.changeset', 'new-file-added.md'));
+        assert.equal(ui.messages.at(-1).text, 'Changeset new-file-added has not been committed yet.');
+    });
+
+    it('diffs a three-dot commit range from the merge-base for the AI', async () => {
+        const author = { GIT_AUTHOR_NAME: 'Ada Lovelace', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada Lovelace', GIT_COMMITTER_EMAIL: 'ada@example.com' };
+        const git = (...args) => execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], { cwd: rootPath, env: { ...process.env, ...author } });
+        const commitFile = (file, content, message) => {
+            fs.writeFileSync(path.join(rootPath, file), content);
+            git('add', '.');
+            git('commit', '-q', '-m', message);
+        };
+        git('init', '-q');
+        git('checkout', '-q', '-b', 'main');
+        commitFile('packages/core/index.js', 'module.exports = 1;\n', 'initial');
+        git('checkout', '-q', '-b', 'feature');
+        commitFile('packages/core/index.js', 'module.exports = 2;\n', 'feat(core): change the export');
+        git('checkout', '-q', 'main');
+        commitFile('packages/ui/index.js', 'module.exports = 3;\n', 'feat(ui): add an export');
+        git('checkout', '-q', 'feature');
+
+        activate([rootPath], { 'changesets.ai.provider': 'ollama', 'changesets.ai.diffSource': 'range' });
+        const prompts = [];
+        mock.method(globalThis, 'fetch', async (url, { body }) => {
+            prompts.push(JSON.parse(body).messages[0].content);
+            const content = JSON.stringify({ packages: { '@acme/core': { bump: 'minor', summary: 'Change the export.' } }, summary: 'Change the export.' });
+            return { ok: true, json: async () => ({ message: { content } }) };
+        });
+        ui.respond(
+            options => {
+                assert.equal(options.validateInput('v1.0.0...HEAD'), null);
+                assert.equal(options.validateInput('v1.0.0'), null);
+                assert.equal(options.validateInput('v1.0.0....HEAD'), 'Enter a range like `v1.2.0..HEAD`, `abc123..def456` or `main...HEAD`.');
+                return 'main...HEAD';
+            }
+        );
+
+        let settled = false;
+        const created = run('changeset.addWithAI').finally(() => { settled = true; });
+        while (ui.webviewPanels.length === 0 && !settled) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        // The commit on main after the merge-base is not part of the diff
+        assert.match(prompts[0], /### Package @acme\/core \(packages\/core\)/);
+        assert.doesNotMatch(prompts[0], /packages\/ui\/index\.js/);
+        assert.match(prompts[0], /- feat\(core\): change the export/);
+
+        ui.webviewPanels[0].receive({ type: 'create', bumps: { '@acme/core': 'minor' }, summary: 'Change the export.', packageSummaries: {} });
+        ui.respond(items => items.filter(item => item.picked));
+        await created;
+
+        const [changeset] = await newChangesets();
+        assert.equal(changeset.summary, 'Change the export.');
+    });
+
+    it('keeps the instructions and edits when regenerating an AI suggestion, and applies fixed groups to the result', async () => {
+        const git = (...args) => execFileSync('git', ['-c', 'commit.gpgsign=false', '-c', 'user.name=Ada', '-c', 'user.email=ada@example.com', ...args], { cwd: rootPath });
+        git('init', '-q');
+        git('add', '.');
+        git('commit', '-q', '-m', 'initial');
+        fs.writeFileSync(path.join(rootPath, 'packages', 'core', 'index.js'), 'module.exports = { timeout: 0 };\n');
+        git('add', '.');
+
+        activate([rootPath], { 'changesets.ai.provider': 'ollama', 'changesets.ai.diffSource': 'staged' });
+        const prompts = [];
+        mock.method(globalThis, 'fetch', async (url, { body }) => {
+            prompts.push(JSON.parse(body).messages[0].content);
+            const content = JSON.stringify({ packages: { '@acme/core': { bump: 'minor', summary: 'Add a timeout.' } }, summary: 'Add a timeout.' });
+            return { ok: true, json: async () => ({ message: { content } }) };
+        });
+        const readState = panel => JSON.parse(/<script type="application\/json" id="state">(.*?)<\/script>/.exec(panel.webview.html)[1]);
+
+        let settled = false;
+        const created = run('changeset.addWithAI').finally(() => { settled = true; });
+        while (ui.webviewPanels.length === 0 && !settled) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        const [panel] = ui.webviewPanels;
+        assert.deepEqual(readState(panel).bumps, { '@acme/core': 'minor', '@acme/icons': 'minor' });
+
+        panel.receive({ type: 'regenerate', instructions: 'Mention the default.', bumps: { '@acme/core': 'major' }, summary: 'Add a `timeout` option.', packageSummaries: {}, splitByPackage: true });
+        while (prompts.length < 2 || readState(panel).instructions === '') {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        assert.match(prompts[1], /Mention the default\.\n\nStart from this edited version of the previous suggestion:\nBumps: @acme\/core@major\nSummary: Add a `timeout` option\./);
+        assert.equal(readState(panel).instructions, 'Mention the default.');
+        assert.equal(readState(panel).splitByPackage, true);
+
+        // Removing a member of a fixed group in the review does not take it out of the release
+        panel.receive({ type: 'create', bumps: { '@acme/core': 'major' }, summary: 'Add a `timeout` option.', packageSummaries: {} });
+        ui.respond(() => []);
+        await created;
+
+        const [changeset] = await newChangesets();
+        assert.deepEqual(changeset.releases, [
+            { name: '@acme/core', type: 'major' },
+            { name: '@acme/icons', type: 'major' }
+        ]);
+    });
+
+    it('applies a summary template to a changeset drafted from commits', async () => {
+        const author = { GIT_AUTHOR_NAME: 'Ada Lovelace', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada Lovelace', GIT_COMMITTER_EMAIL: 'ada@example.com' };
+        const git = (...args) => execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], { cwd: rootPath, env: { ...process.env, ...author } });
+        git('init', '-q');
+        git('checkout', '-q', '-b', 'develop');
+        git('add', '.');
+        git('commit', '-q', '-m', 'initial');
+        git('checkout', '-q', '-b', 'feature');
+        fs.writeFileSync(path.join(rootPath, 'packages', 'theme', 'index.js'), 'module.exports = 1;\n');
+        git('add', '.');
+        git('commit', '-q', '-m', 'feat(theme): add dark mode');
+
+        activate([rootPath], {
+            'changesets.summaryTemplates': [{ name: 'Feature', summary: 'Feature: <description>', rules: [{ pattern: '^Feature: \\w', message: 'Describe the feature.' }] }],
+            'changesets.summaryRules': [{ pattern: '\\(#\\d+\\)', message: 'Link the issue.' }]
+        });
+        ui.respond(templates => templates.pick(item => item.label === 'Feature'));
+
+        let settled = false;
+        const created = run('changeset.addFromCommits').finally(() => { settled = true; });
+        while (ui.webviewPanels.length === 0 && !settled) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        const [panel] = ui.webviewPanels;
+        const state = JSON.parse(/<script type="application\/json" id="state">(.*?)<\/script>/.exec(panel.webview.html)[1]);
+        assert.equal(state.summary, 'Feature: <description>\n\n- add dark mode');
+
+        panel.receive({ type: 'create', bumps: { '@acme/theme': 'minor' }, summary: state.summary, packageSummaries: {} });
+        assert.deepEqual(panel.webview.posted, [{ type: 'error', message: 'Link the issue. Describe the feature.' }]);
+
+        panel.receive({ type: 'create', bumps: { '@acme/theme': 'minor' }, summary: 'Feature: add dark mode (#3)', packageSummaries: {} });
+        ui.respond(items => items.filter(item => item.picked));
+        await created;
+
+        const [changeset] = await newChangesets();
+        assert.equal(changeset.summary, 'Feature: add dark mode (#3)');
+    });
+
+    describe('commit guard', () => {
+        const author = { GIT_AUTHOR_NAME: 'Ada Lovelace', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada Lovelace', GIT_COMMITTER_EMAIL: 'ada@example.com' };
+        const git = (...args) => execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], { cwd: rootPath, env: { ...process.env, ...author } });
+        const themeFile = () => path.join(rootPath, 'packages', 'theme', 'index.js');
+        // A repository of the git extension API, with the given changes
+        const createRepository = (state) => {
+            let onCommit = () => {};
+            return {
+                rootUri: { fsPath: rootPath },
+                ui: { selected: true },
+                state: { indexChanges: [], workingTreeChanges: [], untrackedChanges: [], ...state },
+                added: [],
+                async add(paths) {
+                    this.added.push(...paths);
+                },
+                onDidCommit(listener) {
+                    onCommit = listener;
+                    return { dispose() {} };
+                },
+                commit: () => onCommit()
+            };
+        };
+        const createGitAPI = (repository) => ({ repositories: [repository], onDidOpenRepository: () => ({ dispose() {} }) });
+
+        it('checks the working tree changes of a smart commit when nothing is staged', async () => {
+            git('init', '-q');
+            fs.writeFileSync(themeFile(), 'module.exports = 1;\n');
+            git('add', '.');
+            git('commit', '-q', '-m', 'initial');
+            fs.writeFileSync(themeFile(), 'module.exports = 2;\n');
+            const repository = createRepository({ workingTreeChanges: [{ uri: { fsPath: themeFile() }, status: 5 }] });
+            activate([rootPath], { 'changesets.commitGuard': 'warn', 'git.enableSmartCommit': true }, createGitAPI(repository));
+            ui.respond((text, actions) => {
+                assert.deepEqual(actions, ['Add Changeset', 'Add with AI', 'Commit Anyway']);
+                return undefined;
+            });
+
+            await run('changeset.commitWithGuard');
+
+            assert.deepEqual(ui.messages.map(message => message.text), ['"@acme/theme" is changed without a changeset.']);
+            assert.equal(ui.executedCommands.some(command => command.id === 'git.commit'), false);
+        });
+
+        it('leaves an empty index to the git extension without smart commit', async () => {
+            git('init', '-q');
+            const repository = createRepository({ workingTreeChanges: [{ uri: { fsPath: themeFile() }, status: 5 }] });
+            activate([rootPath], { 'changesets.commitGuard': 'warn' }, createGitAPI(repository));
+
+            await run('changeset.commitWithGuard');
+
+            assert.deepEqual(ui.messages, []);
+            assert.deepEqual(ui.executedCommands.map(command => command.id), ['git.commit']);
+        });
+
+        it('checks the first commit of a repository', { timeout: 10000 }, async () => {
+            const repository = createRepository({});
+            activate([rootPath], { 'changesets.commitGuard': 'warn' }, createGitAPI(repository));
+            // The extension subscribes to commits once the git extension is loaded
+            await new Promise(resolve => setImmediate(resolve));
+            const warning = new Promise(resolve => ui.respond(text => {
+                resolve(text);
+                return undefined;
+            }));
+            git('init', '-q');
+            fs.writeFileSync(themeFile(), 'module.exports = 1;\n');
+            git('add', themeFile());
+            git('commit', '-q', '-m', 'initial');
+
+            repository.commit();
+
+            assert.equal(await warning, 'The last commit changed "@acme/theme" without a changeset.');
+        });
+    });
+
+    it('asks which folder to show the status of when several have a .changeset directory', async (t) => {
+        const otherPath = copyFixture('pnpm-monorepo');
+        t.after(() => removeFixture(otherPath));
+        activate([otherPath, rootPath]);
+        ui.respond((items, options) => {
+            assert.equal(options.placeHolder, 'Select the workspace folder to show the status of');
+            return items.find(item => item.description === rootPath);
+        });
+
+        await run('changeset.status');
+
+        assert.equal(ui.webviewPanels.length, 1);
+    });
+
+    it('enters and exits prerelease mode in the folder with a .changeset directory', async () => {
+        activate([fixturePath('lerna-repo'), rootPath]);
+        const preStatePath = path.join(rootPath, '.changeset', 'pre.json');
+
+        ui.respond(tags => tags.find(item => item.label === 'beta'));
+        await run('changeset.enterPre');
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(preStatePath, 'utf-8')), {
+            mode: 'pre',
+            tag: 'beta',
+            initialVersions: {
+                '@acme/core': '1.2.0',
+                '@acme/icons': '1.2.0',
+                '@acme/legacy': '0.9.0',
+                '@acme/theme': '2.0.0',
+                '@acme/ui': '0.3.1',
+                docs: '1.0.0'
+            },
+            changesets: []
+        });
+
+        ui.respond((text, actions) => actions[0]);
+        await run('changeset.exitPre');
+
+        assert.equal(fs.existsSync(preStatePath), false);
+        assert.deepEqual(ui.messages.map(message => message.text), [
+            'Entered prerelease mode with tag "beta". The next versions will be prereleases such as 1.0.0-beta.0.',
+            'Exit prerelease mode "beta"?',
+            'Exited prerelease mode.'
+        ]);
+    });
+});
@@ -0,0 +1,228 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    buildChangesetPrompt,
+    parseAISuggestion,
+    splitChangesetByPackage,
+    splitDiffByFile,
+    groupDiffByPackage,
+    estimateTokens,
+    chunkDiff,
+    summariseLargestDiffs
+} = require('../../src/core/ai');
+const { DEFAULT_CHANGESET_CONFIG } = require('../../src/core/config');
+
+const fileDiff = (filePath, body = '+change') => [
+    `diff --git a/${filePath} b/${filePath}`,
+    'index 1111111..2222222 100644',
+    `--- a/${filePath}`,
+    `+++ b/${filePath}`,
+    '@@ -1 +1 @@',
+    body
+].join('\n');
+
+const packages = [
+    { name: '@acme/core', relativePath: 'packages/core' },
+    { name: '@acme/ui', relativePath: 'packages/ui' }
+];
+
+describe('parseAISuggestion', () => {
+    it('parses per-package suggestions wrapped in a code fence', () => {
+        const text = '```json\n' + JSON.stringify({
+            packages: {
+                '@acme/core': { bump: 'minor', summary: ' Add retries. ' },
+                '@acme/ui': { bump: 'patch', summary: '' }
+            },
+            summary: 'Add retries and fix the button.'
+        }) + '\n```';
+
+        assert.deepEqual(parseAISuggestion(text), {
+            bumps: { '@acme/core': 'minor', '@acme/ui': 'patch' },
+            summary: 'Add retries and fix the button.',
+            packageSummaries: { '@acme/core': 'Add retries.' }
+        });
+    });
+
+    it('still accepts the older bumps format', () => {
+        assert.deepEqual(parseAISuggestion('{"bumps": {"@acme/core": "major"}, "summary": "Drop Node 16."}'), {
+            bumps: { '@acme/core': 'major' },
+            summary: 'Drop Node 16.',
+            packageSummaries: {}
+        });
+    });
+
+    it('rejects malformed responses', () => {
+        assert.throws(() => parseAISuggestion(''), /Invalid response structure/);
+        assert.throws(() => parseAISuggestion('Sure! Here is your changeset.'), /Invalid JSON response/);
+        assert.throws(() => parseAISuggestion('{"summary": "x"}'), /missing bumps or summary/);
+        assert.throws(() => parseAISuggestion('{"bumps": {}}'), /missing bumps or summary/);
+        assert.throws(() => parseAISuggestion('{"bumps": {"../etc": "patch"}, "summary": "x"}'), /Invalid package name/);
+        assert.throws(() => parseAISuggestion('{"packages": {"a": {"bump": "huge"}}, "summary": "x"}'), /Invalid bump type/);
+        assert.throws(() => parseAISuggestion(JSON.stringify({ bumps: {}, summary: 'x'.repeat(10001) })), /too long/);
+    });
+});
+
+describe('buildChangesetPrompt', () => {
+    it('includes the package diffs, fixed groups, commits and instructions', () => {
+        const prompt = buildChangesetPrompt({
+            packages: [...packages, { name: '@acme/icons', relativePath: 'packages/icons' }],
+            packageDiffs: new Map([['@acme/core', fileDiff('packages/core/index.js')], ['', 'summary of root files']]),
+            commitMessages: 'feat: add retries',
+            config: { ...DEFAULT_CHANGESET_CONFIG, fixed: [['@acme/core', '@acme/icons']] },
+            instructions: '  Mention the issue number.  ',
+            summarisedPackages: ['']
+        });
+
+        assert.match(prompt, /### Package @acme\/core \(packages\/core\)\n```diff\ndiff --git a\/packages\/core\/index\.js/);
+        assert.match(prompt, /### Files outside of any package\nThe diff was too large, so here is a summary of it:\nsummary of root files/);
+        assert.match(prompt, /released together with the same bump type: \[@acme\/core, @acme\/icons\]/);
+        assert.match(prompt, /The commit messages for these changes are:\nfeat: add retries/);
+        assert.match(prompt, /additional instructions from the user:\nMention the issue number\.\n/);
+    });
+
+    it('includes the chosen template and the summary rules', () => {
+        const prompt = buildChangesetPrompt({
+            packages,
+            packageDiffs: new Map([['@acme/core', fileDiff('packages/core/index.js')]]),
+            config: DEFAULT_CHANGESET_CONFIG,
+            template: { name: 'Breaking change', description: 'Removes or changes an API', bump: 'major', summary: 'Breaking: <change>', body: '**Migration:** <steps>' },
+            summaryRules: [{ pattern: '\\(#\\d+\\)', flags: '', message: 'Link the issue.' }]
+        });
+
+        assert.match(prompt, /"Breaking change" summary template \(Removes or changes an API\)\. Changes of this kind are usually a major bump\./);
+        assert.match(prompt, /replacing its placeholders:\nBreaking: <change>\n\n\*\*Migration:\*\* <steps>\n/);
+        assert.match(prompt, /Every summary must follow these rules:\n- Link the issue\. \(it must match the regular expression \/\\\(#\\d\+\\\)\/\)/);
+        assert.doesNotMatch(buildChangesetPrompt({ packages, packageDiffs: new Map(), config: DEFAULT_CHANGESET_CONFIG }), /template|rules/);
+    });
+});
+
+describe('diff splitting', () => {
+    it('splits a diff by file, using the old path for deleted files', () => {
+        const deleted = 'diff --git a/old.js b/old.js\ndeleted file mode 100644\n--- a/old.js\n+++ /dev/null\n@@ -1 +0,0 @@\n-gone';
+        const files = splitDiffByFile(`${fileDiff('packages/core/index.js')}\n${deleted}\n`);
+        assert.deepEqual(files.map(file => file.path), ['packages/core/index.js', 'old.js']);
+        assert.equal(files[1].diff, deleted);
+    });
+
+    it('groups file diffs by package', () => {
+        const diff = [fileDiff('packages/core/a.js'), fileDiff('packages/ui/b.js'), fileDiff('packages/core/c.js'), fileDiff('README.md')].join('\n');
+        const grouped = groupDiffByPackage(diff, packages);
+
+        assert.deepEqual([...grouped.keys()], ['@acme/core', '@acme/ui', '']);
+        assert.equal(grouped.get('@acme/core'), `${fileDiff('packages/core/a.js')}\n${fileDiff('packages/core/c.js')}`);
+    });
+
+    it('splits a changeset into one per package', () => {
+        assert.deepEqual(splitChangesetByPackage({ '@acme/core': 'minor', '@acme/icons': 'minor' }, 'Combined', { '@acme/core': 'Core only' }), [
+            { bumps: { '@acme/core': 'minor' }, summary: 'Core only' },
+            { bumps: { '@acme/icons': 'minor' }, summary: 'Combined' }
+        ]);
+    });
+});
+
+describe('chunkDiff', () => {
+    it('packs files into chunks within the token budget', () => {
+        const diff = ['a.js', 'b.js', 'c.js'].map(name => fileDiff(name, '+'.repeat(200))).join('\n');
+        const budget = estimateTokens(fileDiff('a.js', '+'.repeat(200))) * 2 + 1;
+        const { chunks, truncated } = chunkDiff(diff, budget);
+
+        assert.equal(chunks.length, 2);
+        assert.match(chunks[0], /a\.js[\s\S]*b\.js/);
+        assert.match(chunks[1], /c\.js/);
+        assert.deepEqual(truncated, []);
+    });
+
+    it('truncates files larger than the budget', () => {
+        const { chunks, truncated } = chunkDiff(fileDiff('huge.js', '+'.repeat(10000)), 100);
+        assert.deepEqual(truncated, ['huge.js']);
+        assert.equal(chunks[0].length, 400 + '\n[... diff truncated ...]'.length);
+    });
+});
+
+describe('summariseLargestDiffs', () => {
+    const template = { name: 'Feature', description: '', summary: 'Feature: <description>', body: '' };
+    const summaryRules = [{ pattern: '\\(#\\d+\\)', flags: '', message: 'Link the issue.' }];
+    const createRequest = () => ({
+        packageDiffs: new Map([
+            ['@acme/core', fileDiff('packages/core/index.js', '+'.repeat(6000))],
+            ['@acme/ui', fileDiff('packages/ui/index.js', '+'.repeat(400))]
+        ]),
+        commitMessages: '- feat: add retries',
+        preprocessing: { excluded: [], summarised: [], truncated: [] },
+        template,
+        summaryRules
+    });
+    const promptTokens = (request, instructions) => estimateTokens(buildChangesetPrompt({
+        packages,
+        packageDiffs: request.packageDiffs,
+        commitMessages: request.commitMessages,
+        config: DEFAULT_CHANGESET_CONFIG,
+        instructions,
+        summarisedPackages: request.preprocessing.summarised,
+        template,
+        summaryRules
+    }));
+
+    it('keeps the whole prompt, with the instructions, template and rules, within the budget', async () => {
+        const request = createRequest();
+        const instructions = 'Mention the migration. '.repeat(100);
+        const summarised = [];
+        // The diffs alone fit in the budget, but not with the text around them
+        const maxTokens = promptTokens(createRequest(), '') + 100;
+        assert.ok(promptTokens(createRequest(), instructions) > maxTokens);
+
+        const result = await summariseLargestDiffs(request, {
+            packages,
+            config: DEFAULT_CHANGESET_CONFIG,
+            instructions,
+            maxTokens,
+            summarise: async (prompt, { name }) => {
+                summarised.push(name);
+                return '- Adds retries';
+            }
+        });
+
+        assert.deepEqual(summarised, ['@acme/core']);
+        assert.deepEqual(request.preprocessing.summarised, ['@acme/core']);
+        assert.equal(request.packageDiffs.get('@acme/core'), '- Adds retries');
+        assert.ok(promptTokens(request, instructions) <= maxTokens);
+        assert.equal(result.overBudget, false);
+    });
+
+    it('leaves prompts within the budget alone', async () => {
+        const request = createRequest();
+        await summariseLargestDiffs(request, {
+            packages,
+            config: DEFAULT_CHANGESET_CONFIG,
+            maxTokens: promptTokens(request, ''),
+            summarise: async () => assert.fail('nothing should be summarised')
+        });
+        assert.deepEqual(request.preprocessing.summarised, []);
+    });
+
+    it('reports a prompt that is still over the budget once every package is summarised', async () => {
+        const request = createRequest();
+        const maxTokens = promptTokens(request, '') - 100;
+
+        const result = await summariseLargestDiffs(request, {
+            packages,
+            config: DEFAULT_CHANGESET_CONFIG,
+            maxTokens,
+            summarise: async () => '- Adds retries'.repeat(1000)
+        });
+
+        assert.deepEqual(request.preprocessing.summarised, ['@acme/core', '@acme/ui']);
+        assert.deepEqual(result, { tokens: promptTokens(request, ''), overBudget: true });
+        assert.ok(result.tokens > maxTokens);
+    });
+
+    it('fails when the text around the diffs does not fit', async () => {
+        await assert.rejects(summariseLargestDiffs(createRequest(), {
+            packages,
+            config: DEFAULT_CHANGESET_CONFIG,
+            instructions: 'x'.repeat(20000),
+            maxTokens: 2000,
+            summarise: async () => ''
+        }), /alone exceed the prompt token budget/);
+    });
+});
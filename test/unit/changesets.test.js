@@ -0,0 +1,235 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    toYamlString,
+    generateChangesetId,
+    buildChangesetContent,
+    createChangesetFile,
+    parseChangeset,
+    readChangesets,
+    parseChangesetDocument,
+    findClosestMatches,
+    getChangesetProblems,
+    analyzeChangesets,
+    mergeChangesets,
+    replaceChangesetPackage
+} = require('../../src/core/changesets');
+const { compileSummaryRules } = require('../../src/core/templates');
+const { fixturePath, copyFixture, removeFixture } = require('../helpers/fixtures');
+
+describe('buildChangesetContent', () => {
+    it('writes the frontmatter and summary like `changeset add`', () => {
+        assert.equal(
+            buildChangesetContent({ '@acme/core': 'minor', '@acme/ui': 'patch' }, 'Add a `timeout` option.'),
+            '---\n"@acme/core": minor\n"@acme/ui": patch\n---\n\nAdd a `timeout` option.\n'
+        );
+    });
+
+    it('keeps newlines, lists and code blocks in the summary', () => {
+        const summary = 'Rework the client.\r\n\r\n- Adds retries\r\n- Drops callbacks\r\n\r\n```js\nclient.get("a\\nb");\n```';
+        const content = buildChangesetContent({ '@acme/core': 'major' }, summary);
+
+        assert.equal(content.includes('\r'), false);
+        assert.equal(content.endsWith('```js\nclient.get("a\\nb");\n```\n'), true);
+        assert.equal(parseChangeset(content).summary, summary.replace(/\r\n/g, '\n'));
+    });
+
+    it('writes empty changesets', () => {
+        assert.equal(buildChangesetContent({}, ''), '---\n---\n\n\n');
+    });
+
+    it('rejects invalid package names and bump types', () => {
+        assert.throws(() => buildChangesetContent({ 'bad name': 'patch' }, 'x'), /Invalid package name/);
+        assert.throws(() => buildChangesetContent({ '@acme/core': 'huge' }, 'x'), /Invalid bump type/);
+    });
+});
+
+describe('toYamlString', () => {
+    it('double-quotes and escapes values', () => {
+        assert.equal(toYamlString('@acme/core'), '"@acme/core"');
+        assert.equal(toYamlString('a"b'), '"a\\"b"');
+    });
+});
+
+describe('parseChangeset', () => {
+    it('parses quoted and unquoted releases', () => {
+        const parsed = parseChangeset('---\n"@acme/core": minor\n\'@acme/ui\': "patch"\ndocs: major\n---\n\nSummary\n');
+        assert.deepEqual(parsed, {
+            releases: [
+                { name: '@acme/core', type: 'minor' },
+                { name: '@acme/ui', type: 'patch' },
+                { name: 'docs', type: 'major' }
+            ],
+            summary: 'Summary'
+        });
+    });
+
+    it('handles a BOM, CRLF line endings and leading blank lines', () => {
+        assert.deepEqual(parseChangeset('﻿\r\n---\r\n"a": patch\r\n---\r\n\r\nFix\r\n'), {
+            releases: [{ name: 'a', type: 'patch' }],
+            summary: 'Fix'
+        });
+    });
+
+    it('returns null without a valid frontmatter', () => {
+        assert.equal(parseChangeset('Just a summary'), null);
+        assert.equal(parseChangeset('---\n"a": patch\n'), null);
+        assert.equal(parseChangeset('---\nnot an entry\n---\n'), null);
+        assert.equal(parseChangeset(undefined), null);
+    });
+});
+
+describe('generateChangesetId', () => {
+    it('generates adjective-noun-verb names that are not taken', (t) => {
+        const rootPath = copyFixture('pnpm-monorepo');
+        t.after(() => removeFixture(rootPath));
+        const changesetDir = path.join(rootPath, '.changeset');
+
+        for (let i = 0; i < 20; i++) {
+            const id = generateChangesetId(changesetDir);
+            assert.match(id, /^[a-z]+-[a-z]+-[a-z]+$/);
+            assert.equal(fs.existsSync(path.join(changesetDir, `${id}.md`)), false);
+            fs.writeFileSync(path.join(changesetDir, `${id}.md`), '');
+        }
+    });
+});
+
+describe('createChangesetFile', () => {
+    it('writes a new changeset to the .changeset directory', async (t) => {
+        const rootPath = copyFixture('yarn-workspaces');
+        t.after(() => removeFixture(rootPath));
+
+        const filePath = await createChangesetFile(rootPath, { a: 'minor' }, 'Add things');
+
+        assert.equal(path.dirname(filePath), path.join(rootPath, '.changeset'));
+        assert.match(path.basename(filePath), /^[a-z]+-[a-z]+-[a-z]+\.md$/);
+        assert.equal(fs.readFileSync(filePath, 'utf-8'), '---\n"a": minor\n---\n\nAdd things\n');
+    });
+
+    it('rejects an invalid root path', async () => {
+        await assert.rejects(createChangesetFile('', { a: 'minor' }, 'x'), /Invalid root path/);
+    });
+});
+
+describe('readChangesets', () => {
+    it('reads every pending changeset except the README', async () => {
+        const changesets = await readChangesets(fixturePath('pnpm-monorepo'));
+
+        assert.deepEqual(changesets.map(changeset => changeset.id), ['brave-owls-listen', 'quiet-rocks-sing']);
+        assert.deepEqual(changesets[0].releases, [{ name: '@acme/core', type: 'minor' }]);
+        assert.equal(changesets[1].summary, 'Fix the focus ring of `Button`.\n\n- Keeps the outline in high contrast mode\n- Removes the double border in Safari');
+        assert.equal(changesets[0].filePath, path.join(fixturePath('pnpm-monorepo'), '.changeset', 'brave-owls-listen.md'));
+    });
+
+    it('returns nothing without a .changeset directory', async () => {
+        assert.deepEqual(await readChangesets(fixturePath('lerna-repo')), []);
+    });
+});
+
+describe('parseChangesetDocument', () => {
+    it('records the position of every entry', () => {
+        const parsed = parseChangesetDocument('---\n  "@acme/core" :  minor\nbroken\n---\n\nSummary');
+
+        assert.equal(parsed.start, 0);
+        assert.equal(parsed.end, 3);
+        assert.deepEqual(parsed.entries, [{ line: 1, name: '@acme/core', type: 'minor', nameStart: 2, nameEnd: 14, typeStart: 18, typeEnd: 23 }]);
+        assert.deepEqual(parsed.invalidLines, [2]);
+        assert.equal(parsed.summary, 'Summary');
+    });
+});
+
+describe('getChangesetProblems', () => {
+    const packageNames = ['@acme/core', '@acme/ui'];
+    const codes = (text, names = packageNames) => getChangesetProblems(text, names).map(problem => problem.code);
+
+    it('accepts a valid changeset', () => {
+        assert.deepEqual(codes('---\n"@acme/core": minor\n---\n\nAdd things\n'), []);
+    });
+
+    it('reports frontmatter errors', () => {
+        assert.deepEqual(codes('Add things'), ['missing-frontmatter']);
+        assert.deepEqual(codes('---\n"@acme/core": minor\n'), ['unclosed-frontmatter']);
+        assert.deepEqual(codes('---\nnot an entry\n---\n\nx'), ['invalid-entry']);
+    });
+
+    it('reports unknown packages, bad bumps, duplicates and empty summaries', () => {
+        assert.deepEqual(codes('---\n"@acme/cor": minor\n"@acme/ui":\n"@acme/core": huge\n"@acme/core": patch\n---\n'), [
+            'unknown-package',
+            'missing-bump',
+            'invalid-bump',
+            'duplicate-package',
+            'empty-summary'
+        ]);
+    });
+
+    it('skips the unknown package check without a package list', () => {
+        assert.deepEqual(codes('---\n"anything": patch\n---\n\nx', null), []);
+    });
+
+    it('marks the range of the problem', () => {
+        const [problem] = getChangesetProblems('---\n"@acme/core": huge\n---\n\nx', packageNames);
+        assert.deepEqual({ line: problem.line, start: problem.start, end: problem.end, severity: problem.severity }, { line: 1, start: 14, end: 18, severity: 'error' });
+    });
+
+    it('reports summary rule violations on the first summary line', () => {
+        const { rules } = compileSummaryRules([{ pattern: '^Fix: ', message: 'Start with a category.' }]);
+        const text = '---\n"@acme/core": patch\n---\n\nFocus ring\n';
+        assert.deepEqual(getChangesetProblems(text, packageNames, rules), [
+            { line: 4, start: 0, end: 10, severity: 'warning', code: 'summary-rule', message: 'Start with a category.' }
+        ]);
+        assert.deepEqual(getChangesetProblems('---\n"@acme/core": patch\n---\n\nFix: focus ring\n', packageNames, rules), []);
+    });
+});
+
+describe('findClosestMatches', () => {
+    it('suggests close package names, best first', () => {
+        assert.deepEqual(findClosestMatches('@acme/cor', ['@acme/core', '@acme/ui', 'react']), ['@acme/core', '@acme/ui']);
+        assert.deepEqual(findClosestMatches('core', ['@acme/core', '@acme/ui']), ['@acme/core']);
+        assert.deepEqual(findClosestMatches('majr', ['major', 'minor', 'patch']), ['major']);
+        assert.deepEqual(findClosestMatches('something-else', ['@acme/core']), []);
+    });
+});
+
+describe('changeset clean up', () => {
+    const changeset = (id, releases, summary) => ({
+        id,
+        releases: Object.entries(releases).map(([name, type]) => ({ name, type })),
+        summary
+    });
+    const packageNames = ['@acme/core', '@acme/icons', '@acme/ui'];
+
+    it('reports stale references, empty summaries, duplicates and shared packages', () => {
+        const changesets = [
+            changeset('a', { '@acme/core': 'patch' }, 'Fix retries.'),
+            changeset('b', { '@acme/core': 'minor', '@acme/buttons': 'patch' }, 'fix  retries'),
+            changeset('c', { '@acme/ui': 'patch' }, ''),
+            changeset('d', {}, '')
+        ];
+        const report = analyzeChangesets(changesets, packageNames);
+
+        assert.deepEqual(report.unknownPackages.map(problem => [problem.changeset.id, problem.name]), [['b', '@acme/buttons']]);
+        assert.deepEqual(report.emptySummaries.map(item => item.id), ['c']);
+        assert.deepEqual(report.duplicateSummaries.map(group => group.map(item => item.id)), [['a', 'b']]);
+        assert.deepEqual(report.sharedPackages.map(({ name, changesets: group }) => [name, group.map(item => item.id)]), [['@acme/core', ['a', 'b']]]);
+    });
+
+    it('merges changesets keeping the highest bump and every distinct summary', () => {
+        const merged = mergeChangesets([
+            changeset('a', { '@acme/core': 'patch', '@acme/ui': 'minor' }, 'Fix retries.'),
+            changeset('b', { '@acme/core': 'minor' }, 'Add a `timeout` option.\n\n- Defaults to 30s'),
+            changeset('c', { '@acme/core': 'patch' }, 'fix retries'),
+            changeset('d', { '@acme/icons': 'patch' }, '')
+        ]);
+        assert.deepEqual(merged.bumps, { '@acme/core': 'minor', '@acme/ui': 'minor', '@acme/icons': 'patch' });
+        assert.equal(merged.summary, 'Fix retries.\n\nAdd a `timeout` option.\n\n- Defaults to 30s');
+    });
+
+    it('replaces or removes a package reference', () => {
+        const stale = changeset('a', { '@acme/buttons': 'major', '@acme/ui': 'patch' }, 'Rename buttons.');
+        assert.deepEqual(replaceChangesetPackage(stale, '@acme/buttons', '@acme/core'), { '@acme/core': 'major', '@acme/ui': 'patch' });
+        assert.deepEqual(replaceChangesetPackage(stale, '@acme/buttons', '@acme/ui'), { '@acme/ui': 'major' });
+        assert.deepEqual(replaceChangesetPackage(stale, '@acme/buttons'), { '@acme/ui': 'patch' });
+    });
+});
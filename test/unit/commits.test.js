@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseConventionalCommit, draftChangesetFromCommits, getPullRequestNumber } = require('../../src/core/commits');
+
+describe('parseConventionalCommit', () => {
+    it('parses the type, scope and description', () => {
+        assert.deepEqual(parseConventionalCommit('feat(core): add retries'), { type: 'feat', scope: 'core', breaking: false, description: 'add retries' });
+        assert.deepEqual(parseConventionalCommit('Fix: typo'), { type: 'fix', scope: undefined, breaking: false, description: 'typo' });
+    });
+
+    it('detects breaking changes from ! and the footer', () => {
+        assert.equal(parseConventionalCommit('feat(api)!: drop Node 16').breaking, true);
+        assert.equal(parseConventionalCommit('refactor: rename options', 'Some text\n\nBREAKING CHANGE: `timeout` is now in ms').breaking, true);
+        assert.equal(parseConventionalCommit('fix: handle BREAKING CHANGE: in subjects').breaking, false);
+    });
+
+    it('returns null for other commit messages', () => {
+        assert.equal(parseConventionalCommit('Merge branch main'), null);
+        assert.equal(parseConventionalCommit('feat:missing space'), null);
+    });
+});
+
+describe('draftChangesetFromCommits', () => {
+    const packages = [
+        { name: '@acme/core', relativePath: 'packages/core' },
+        { name: '@acme/ui', relativePath: 'packages/ui' }
+    ];
+
+    it('bumps the packages each commit touched and lists the descriptions', () => {
+        const draft = draftChangesetFromCommits([
+            { hash: 'a1', subject: 'fix(ui): focus ring', body: '', files: ['packages/ui/Button.js'] },
+            { hash: 'b2', subject: 'feat: add retries', body: '', files: ['packages/core/client.js', 'packages/ui/Retry.js'] },
+            { hash: 'c3', subject: 'docs: readme', body: '', files: ['packages/core/README.md'] },
+            { hash: 'd4', subject: 'feat!: drop callbacks', body: '', files: ['packages/core/client.js', '.changeset/brave-owls-listen.md'] },
+            { hash: 'e5', subject: 'fix: root config', body: '', files: ['tsconfig.json'] }
+        ], packages);
+
+        assert.deepEqual(draft.bumps, { '@acme/ui': 'minor', '@acme/core': 'major' });
+        assert.equal(draft.summary, '- focus ring\n- add retries\n- **BREAKING:** drop callbacks');
+        assert.deepEqual(draft.packageSummaries, {
+            '@acme/ui': '- focus ring\n- add retries',
+            '@acme/core': '- add retries\n- **BREAKING:** drop callbacks'
+        });
+        assert.deepEqual(draft.commits.map(commit => `${commit.hash} ${commit.bump} ${commit.packages.join(',')}`), [
+            'a1 patch @acme/ui',
+            'b2 minor @acme/core,@acme/ui',
+            'd4 major @acme/core'
+        ]);
+        assert.equal(draft.skipped, 2);
+    });
+});
+
+describe('getPullRequestNumber', () => {
+    it('reads squash and merge commit subjects', () => {
+        assert.equal(getPullRequestNumber('feat(ui): add a dark theme (#142)'), 142);
+        assert.equal(getPullRequestNumber('Merge pull request #87 from acme/fix-retries'), 87);
+    });
+
+    it('ignores issue references elsewhere in the subject', () => {
+        assert.equal(getPullRequestNumber('fix: close #12 when the client stops'), undefined);
+        assert.equal(getPullRequestNumber('docs: update README'), undefined);
+    });
+});
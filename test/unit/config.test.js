@@ -0,0 +1,148 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    DEFAULT_CHANGESET_CONFIG,
+    globToRegExp,
+    matchesAnyGlob,
+    readChangesetConfig,
+    expandPackageGroup,
+    maxBumpType,
+    applyFixedGroups,
+    getLinkedGroupWarnings,
+    readPreState,
+    writePreState
+} = require('../../src/core/config');
+const { fixturePath, copyFixture, removeFixture } = require('../helpers/fixtures');
+
+describe('globToRegExp', () => {
+    it('matches single segments with * and ?', () => {
+        assert.equal(globToRegExp('@acme/*').test('@acme/core'), true);
+        assert.equal(globToRegExp('@acme/*').test('@acme/core/extra'), false);
+        assert.equal(globToRegExp('pkg-?').test('pkg-a'), true);
+    });
+
+    it('matches any depth with **', () => {
+        const regex = globToRegExp('**/dist/**');
+        assert.equal(regex.test('dist/index.js'), true);
+        assert.equal(regex.test('packages/core/dist/index.js'), true);
+        assert.equal(regex.test('packages/core/src/index.js'), false);
+        assert.equal(regex.test('packages/core/dist'), true);
+        assert.equal(regex.test('packages/core/distribution'), false);
+    });
+
+    it('supports {a,b} alternatives and escapes regex characters', () => {
+        assert.equal(globToRegExp('*.{js,ts}').test('index.ts'), true);
+        assert.equal(globToRegExp('*.{js,ts}').test('index.css'), false);
+        assert.equal(globToRegExp('a.b').test('axb'), false);
+    });
+});
+
+describe('matchesAnyGlob', () => {
+    it('checks every pattern', () => {
+        assert.equal(matchesAnyGlob('docs', ['@acme/*', 'docs']), true);
+        assert.equal(matchesAnyGlob('demo', ['@acme/*', 'docs']), false);
+        assert.equal(matchesAnyGlob('demo', []), false);
+    });
+});
+
+describe('readChangesetConfig', () => {
+    it('reads and normalizes .changeset/config.json', () => {
+        const config = readChangesetConfig(fixturePath('pnpm-monorepo'));
+        assert.equal(config.baseBranch, 'develop');
+        assert.deepEqual(config.fixed, [['@acme/core', '@acme/icons']]);
+        assert.deepEqual(config.linked, []);
+        assert.deepEqual(config.ignore, ['@acme/legacy']);
+        assert.equal(config.updateInternalDependencies, 'patch');
+        assert.equal(config.access, 'public');
+        assert.deepEqual(config.privatePackages, { version: true, tag: false });
+    });
+
+    it('returns the defaults when there is no config', () => {
+        assert.deepEqual(readChangesetConfig(fixturePath('yarn-workspaces')), DEFAULT_CHANGESET_CONFIG);
+    });
+
+    it('drops malformed options', (t) => {
+        const rootPath = copyFixture('pnpm-monorepo');
+        t.after(() => removeFixture(rootPath));
+        fs.writeFileSync(path.join(rootPath, '.changeset', 'config.json'), JSON.stringify({
+            baseBranch: '',
+            fixed: [['a', 1], 'b'],
+            ignore: 'a',
+            updateInternalDependencies: 'major',
+            privatePackages: { version: 'no', tag: true }
+        }));
+
+        const config = readChangesetConfig(rootPath);
+        assert.equal(config.baseBranch, 'main');
+        assert.deepEqual(config.fixed, [['a']]);
+        assert.deepEqual(config.ignore, []);
+        assert.equal(config.updateInternalDependencies, 'patch');
+        assert.deepEqual(config.privatePackages, { version: true, tag: true });
+    });
+
+    it('turns privatePackages: false into disabled versioning and tagging', (t) => {
+        const rootPath = copyFixture('pnpm-monorepo');
+        t.after(() => removeFixture(rootPath));
+        fs.writeFileSync(path.join(rootPath, '.changeset', 'config.json'), JSON.stringify({ privatePackages: false }));
+
+        assert.deepEqual(readChangesetConfig(rootPath).privatePackages, { version: false, tag: false });
+    });
+
+    it('reports invalid JSON', (t) => {
+        const rootPath = copyFixture('pnpm-monorepo');
+        t.after(() => removeFixture(rootPath));
+        fs.writeFileSync(path.join(rootPath, '.changeset', 'config.json'), '{ "fixed": [');
+
+        assert.throws(() => readChangesetConfig(rootPath), /Could not parse \.changeset\/config\.json/);
+    });
+});
+
+describe('bump helpers', () => {
+    const packages = ['@acme/core', '@acme/icons', '@acme/ui'].map(name => ({ name }));
+
+    it('expands package globs in groups', () => {
+        assert.deepEqual(expandPackageGroup(['@acme/{core,icons}'], packages.map(p => p.name)), ['@acme/core', '@acme/icons']);
+    });
+
+    it('picks the higher bump type', () => {
+        assert.equal(maxBumpType('patch', 'minor'), 'minor');
+        assert.equal(maxBumpType('major', 'minor'), 'major');
+        assert.equal(maxBumpType(undefined, 'patch'), 'patch');
+    });
+
+    it('bumps every member of a fixed group with the highest bump', () => {
+        const config = { ...DEFAULT_CHANGESET_CONFIG, fixed: [['@acme/core', '@acme/icons']] };
+        assert.deepEqual(applyFixedGroups({ '@acme/core': 'minor', '@acme/ui': 'patch' }, config, packages), {
+            bumps: { '@acme/core': 'minor', '@acme/ui': 'patch', '@acme/icons': 'minor' },
+            added: ['@acme/icons']
+        });
+        assert.deepEqual(applyFixedGroups({ '@acme/ui': 'patch' }, config, packages).added, []);
+    });
+
+    it('warns about linked packages with different bumps', () => {
+        const config = { ...DEFAULT_CHANGESET_CONFIG, linked: [['@acme/*']] };
+        const [warning] = getLinkedGroupWarnings({ '@acme/core': 'major', '@acme/ui': 'patch' }, config, packages);
+        assert.match(warning, /@acme\/core, @acme\/ui/);
+        assert.match(warning, /\(major\)/);
+        assert.deepEqual(getLinkedGroupWarnings({ '@acme/core': 'patch', '@acme/ui': 'patch' }, config, packages), []);
+    });
+});
+
+describe('prerelease state', () => {
+    it('is undefined outside of prerelease mode', () => {
+        assert.equal(readPreState(fixturePath('pnpm-monorepo')), undefined);
+    });
+
+    it('round-trips pre.json in the format of the CLI', async (t) => {
+        const rootPath = copyFixture('pnpm-monorepo');
+        t.after(() => removeFixture(rootPath));
+        const preState = { mode: 'pre', tag: 'beta', initialVersions: { '@acme/core': '1.2.0' }, changesets: ['brave-owls-listen'] };
+
+        await writePreState(rootPath, preState);
+
+        assert.equal(fs.readFileSync(path.join(rootPath, '.changeset', 'pre.json'), 'utf-8'), `${JSON.stringify(preState, null, 2)}\n`);
+        assert.deepEqual(readPreState(rootPath), preState);
+    });
+});
@@ -0,0 +1,190 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    parsePnpmWorkspacePackages,
+    readWorkspaceDefinition,
+    findFiles,
+    findPackages,
+    findReferenceablePackages,
+    getPackageForFile,
+    getPackagesMissingChangesets
+} = require('../../src/core/packages');
+const { DEFAULT_CHANGESET_CONFIG } = require('../../src/core/config');
+const { fixturePath, copyFixture, removeFixture } = require('../helpers/fixtures');
+
+const summarize = (packages) => packages.map(pkg => `${pkg.name}@${pkg.version} (${pkg.relativePath})`);
+
+describe('parsePnpmWorkspacePackages', () => {
+    it('parses block lists with quotes and comments', () => {
+        assert.deepEqual(parsePnpmWorkspacePackages(fs.readFileSync(path.join(fixturePath('pnpm-monorepo'), 'pnpm-workspace.yaml'), 'utf-8')), [
+            'packages/*',
+            'apps/*',
+            '!packages/internal-*'
+        ]);
+    });
+
+    it('parses flow lists and stops at the next key', () => {
+        assert.deepEqual(parsePnpmWorkspacePackages("packages: ['a/*', \"b\"]\n"), ['a/*', 'b']);
+        assert.deepEqual(parsePnpmWorkspacePackages('packages:\n  - a/*\ncatalog:\n  react: ^18\n'), ['a/*']);
+        assert.deepEqual(parsePnpmWorkspacePackages('catalog:\n  react: ^18\n'), []);
+    });
+});
+
+describe('readWorkspaceDefinition', () => {
+    it('reads pnpm, package.json and lerna workspaces', () => {
+        assert.deepEqual(readWorkspaceDefinition(fixturePath('pnpm-monorepo')).source, 'pnpm-workspace.yaml');
+        assert.deepEqual(readWorkspaceDefinition(fixturePath('yarn-workspaces')), { source: 'package.json', patterns: ['packages/*', '!packages/legacy'] });
+        assert.deepEqual(readWorkspaceDefinition(fixturePath('lerna-repo')), { source: 'lerna.json', patterns: ['modules/*'] });
+    });
+
+    it('returns null for projects without a workspace', () => {
+        assert.equal(readWorkspaceDefinition(fixturePath('single-package')), null);
+    });
+});
+
+describe('findFiles', () => {
+    it('only matches files at the depth of the glob', async () => {
+        const rootPath = fixturePath('pnpm-monorepo');
+        const files = await findFiles(rootPath, 'packages/*/package.json');
+        assert.deepEqual(files.map(file => path.relative(rootPath, file).split(path.sep).join('/')), [
+            'packages/core/package.json',
+            'packages/icons/package.json',
+            'packages/internal-scripts/package.json',
+            'packages/legacy/package.json',
+            'packages/theme/package.json',
+            'packages/ui/package.json'
+        ]);
+    });
+
+    it('searches every directory except node_modules for **', async (t) => {
+        const rootPath = copyFixture('single-package');
+        t.after(() => removeFixture(rootPath));
+        fs.mkdirSync(path.join(rootPath, 'node_modules', 'dep'), { recursive: true });
+        fs.writeFileSync(path.join(rootPath, 'node_modules', 'dep', 'package.json'), '{"name": "dep"}');
+
+        const files = await findFiles(rootPath, '**/package.json');
+        assert.deepEqual(files.map(file => path.relative(rootPath, file).split(path.sep).join('/')), ['lib/helper/package.json', 'package.json']);
+    });
+
+    it('returns nothing for missing directories', async () => {
+        assert.deepEqual(await findFiles(fixturePath('pnpm-monorepo'), 'missing/*/package.json'), []);
+    });
+});
+
+describe('findPackages', () => {
+    it('discovers pnpm workspace packages, honouring negated globs, private packages and ignore', async () => {
+        const packages = await findPackages(fixturePath('pnpm-monorepo'));
+        assert.deepEqual(summarize(packages), [
+            'docs@1.0.0 (apps/docs)',
+            '@acme/core@1.2.0 (packages/core)',
+            '@acme/icons@1.2.0 (packages/icons)',
+            '@acme/theme@2.0.0 (packages/theme)',
+            '@acme/ui@0.3.1 (packages/ui)'
+        ]);
+        assert.equal(packages[0].private, true);
+        assert.equal(packages[1].path, path.join(fixturePath('pnpm-monorepo'), 'packages', 'core'));
+        assert.deepEqual(packages[4].packageJson.dependencies, { '@acme/core': 'workspace:^1.2.0' });
+    });
+
+    it('excludes the directory a negated glob ending in /** names', async (t) => {
+        const rootPath = copyFixture('pnpm-monorepo');
+        t.after(() => removeFixture(rootPath));
+        fs.writeFileSync(path.join(rootPath, 'pnpm-workspace.yaml'), "packages:\n  - 'packages/**'\n  - '!**/test/**'\n");
+        fs.mkdirSync(path.join(rootPath, 'packages', 'core', 'test'));
+        fs.writeFileSync(path.join(rootPath, 'packages', 'core', 'test', 'package.json'), '{"name": "core-test", "version": "1.0.0"}');
+
+        assert.equal((await findPackages(rootPath)).some(pkg => pkg.name === 'core-test'), false);
+    });
+
+    it('uses the config passed in instead of reading it', async () => {
+        const packages = await findPackages(fixturePath('pnpm-monorepo'), { ...DEFAULT_CHANGESET_CONFIG, ignore: ['@acme/{core,icons}'] });
+        assert.deepEqual(packages.map(pkg => pkg.name), ['docs', '@acme/legacy', '@acme/theme', '@acme/ui']);
+    });
+
+    it('leaves private packages out when privatePackages.version is disabled', async () => {
+        const config = { ...DEFAULT_CHANGESET_CONFIG, privatePackages: { version: false, tag: false } };
+        const packages = await findPackages(fixturePath('pnpm-monorepo'), config);
+        assert.deepEqual(packages.map(pkg => pkg.name), ['@acme/core', '@acme/icons', '@acme/legacy', '@acme/theme', '@acme/ui']);
+    });
+
+    it('discovers yarn and lerna workspace packages', async () => {
+        assert.deepEqual(summarize(await findPackages(fixturePath('yarn-workspaces'))), ['a@1.0.0 (packages/a)']);
+        assert.deepEqual(summarize(await findPackages(fixturePath('lerna-repo'))), ['server@3.1.4 (modules/server)']);
+    });
+
+    it('falls back to every package.json and keeps a private root without a workspace', async () => {
+        assert.deepEqual(summarize(await findPackages(fixturePath('single-package'))), [
+            'single-package@0.1.0 (.)',
+            'helper@1.0.0 (lib/helper)'
+        ]);
+    });
+
+    it('leaves out a private single-package root when private packages are not versioned', async () => {
+        for (const privatePackages of [false, { version: false, tag: false }]) {
+            const packages = await findPackages(fixturePath('single-package'), { ...DEFAULT_CHANGESET_CONFIG, privatePackages });
+            assert.deepEqual(summarize(packages), ['helper@1.0.0 (lib/helper)']);
+        }
+    });
+
+    it('skips unreadable package.json files', async (t) => {
+        const rootPath = copyFixture('yarn-workspaces');
+        t.after(() => removeFixture(rootPath));
+        fs.mkdirSync(path.join(rootPath, 'packages', 'broken'));
+        fs.writeFileSync(path.join(rootPath, 'packages', 'broken', 'package.json'), '{ nope');
+        t.mock.method(console, 'error', () => {});
+
+        assert.deepEqual((await findPackages(rootPath)).map(pkg => pkg.name), ['a']);
+    });
+
+    it('rejects an invalid root path', async () => {
+        await assert.rejects(findPackages(undefined), /Invalid root path/);
+    });
+});
+
+describe('findReferenceablePackages', () => {
+    it('keeps ignored packages and private packages that are not versioned', async () => {
+        const config = { ...DEFAULT_CHANGESET_CONFIG, ignore: ['@acme/legacy'], privatePackages: { version: false, tag: false } };
+        const packages = await findReferenceablePackages(fixturePath('pnpm-monorepo'), config);
+        assert.deepEqual(packages.map(pkg => pkg.name), ['docs', '@acme/core', '@acme/icons', '@acme/legacy', '@acme/theme', '@acme/ui']);
+    });
+});
+
+describe('getPackageForFile', () => {
+    const packages = [
+        { name: 'root', relativePath: '.' },
+        { name: '@acme/core', relativePath: 'packages/core' },
+        { name: '@acme/core-utils', relativePath: 'packages/core/utils' }
+    ];
+
+    it('attributes files to the deepest package containing them', () => {
+        assert.equal(getPackageForFile('packages/core/src/index.js', packages).name, '@acme/core');
+        assert.equal(getPackageForFile('packages/core/utils/index.js', packages).name, '@acme/core-utils');
+        assert.equal(getPackageForFile('packages/core-legacy/index.js', packages).name, 'root');
+        assert.equal(getPackageForFile('README.md', packages).name, 'root');
+    });
+
+    it('returns undefined for files outside every package', () => {
+        assert.equal(getPackageForFile('README.md', packages.slice(1)), undefined);
+    });
+});
+
+describe('getPackagesMissingChangesets', () => {
+    const packages = [
+        { name: '@acme/core', relativePath: 'packages/core' },
+        { name: '@acme/ui', relativePath: 'packages/ui' },
+        { name: '@acme/theme', relativePath: 'packages/theme' }
+    ];
+    const changesets = [{ releases: [{ name: '@acme/ui', type: 'patch' }] }];
+    const changedFiles = ['packages/core/src/index.js', 'packages/ui/src/Button.js', 'packages/theme/README.md', '.changeset/brave-owls-listen.md', 'README.md'];
+
+    it('lists changed packages without a changeset', () => {
+        assert.deepEqual(getPackagesMissingChangesets(changedFiles, packages, changesets, DEFAULT_CHANGESET_CONFIG), ['@acme/core', '@acme/theme']);
+    });
+
+    it('only counts files matching changedFilePatterns', () => {
+        const config = { ...DEFAULT_CHANGESET_CONFIG, changedFilePatterns: ['src/**'] };
+        assert.deepEqual(getPackagesMissingChangesets(changedFiles, packages, changesets, config), ['@acme/core']);
+    });
+});
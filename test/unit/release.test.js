@@ -0,0 +1,224 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    compareVersions,
+    incrementVersion,
+    getPreVersion,
+    satisfiesRange,
+    getDependentsGraph,
+    getReleasePlan,
+    getDependentBumps,
+    updateDependencyRange,
+    getDependencyUpdates,
+    getChangelogSections,
+    buildChangelogEntry,
+    prependChangelogEntry
+} = require('../../src/core/release');
+const { readChangesetConfig } = require('../../src/core/config');
+const { readChangesets } = require('../../src/core/changesets');
+const { findPackages } = require('../../src/core/packages');
+const { fixturePath } = require('../helpers/fixtures');
+
+const summarize = (plan) => plan.releases.map(release => `${release.name} ${release.type} ${release.oldVersion} -> ${release.newVersion}`);
+
+describe('versions', () => {
+    it('increments versions like semver.inc', () => {
+        assert.equal(incrementVersion('1.2.3', 'patch'), '1.2.4');
+        assert.equal(incrementVersion('1.2.3', 'minor'), '1.3.0');
+        assert.equal(incrementVersion('1.2.3', 'major'), '2.0.0');
+        assert.equal(incrementVersion('2.0.0-beta.3', 'major'), '2.0.0');
+        assert.equal(incrementVersion('1.3.0-rc.0', 'patch'), '1.3.0');
+        assert.equal(incrementVersion('not a version', 'patch'), null);
+    });
+
+    it('orders versions by precedence', () => {
+        const versions = ['1.0.0', '1.0.0-beta.11', '1.0.0-alpha', '1.0.0-beta.2', '0.9.9', '1.0.0-alpha.1'];
+        assert.deepEqual(versions.sort(compareVersions), ['0.9.9', '1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0']);
+    });
+
+    it('works out the next prerelease number', () => {
+        assert.equal(getPreVersion('1.0.0'), 0);
+        assert.equal(getPreVersion('2.0.0-beta.3'), 4);
+    });
+
+    it('checks dependency ranges', () => {
+        const cases = [
+            ['1.3.0', '^1.2.0', true],
+            ['2.0.0', '^1.2.0', false],
+            ['0.3.2', '^0.3.1', true],
+            ['0.4.0', '^0.3.1', false],
+            ['1.2.9', '~1.2.0', true],
+            ['1.3.0', '~1.2.0', false],
+            ['2.0.0', '>=1.0.0 <3', true],
+            ['3.0.0', '1.x || 2.x', false],
+            ['2.0.0', 'workspace:*', true],
+            ['2.0.0', 'workspace:^1.2.0', false],
+            ['2.0.0-beta.0', '^1.2.0', false]
+        ];
+        for (const [version, range, expected] of cases) {
+            assert.equal(satisfiesRange(version, range), expected, `${version} ${range}`);
+        }
+    });
+});
+
+describe('getReleasePlan', () => {
+    let config;
+    let packages;
+    let changesets;
+
+    before(async () => {
+        const rootPath = fixturePath('pnpm-monorepo');
+        config = readChangesetConfig(rootPath);
+        packages = await findPackages(rootPath, config);
+        changesets = await readChangesets(rootPath);
+    });
+
+    it('releases the pending changesets and aligns fixed groups', () => {
+        const plan = getReleasePlan(changesets, packages, config);
+        assert.deepEqual(summarize(plan), [
+            '@acme/core minor 1.2.0 -> 1.3.0',
+            '@acme/icons minor 1.2.0 -> 1.3.0',
+            '@acme/ui patch 0.3.1 -> 0.3.2'
+        ]);
+        assert.deepEqual(plan.releases[0].changesets, ['brave-owls-listen']);
+        assert.deepEqual(plan.releases[1].reasons, ['fixed group']);
+        assert.deepEqual(plan.unknownPackages, []);
+    });
+
+    it('releases dependents whose ranges the new versions leave', () => {
+        const plan = getReleasePlan([{ id: 'major', releases: [{ name: '@acme/core', type: 'major' }] }], packages, config);
+        assert.deepEqual(summarize(plan), [
+            '@acme/core major 1.2.0 -> 2.0.0',
+            '@acme/icons major 1.2.0 -> 2.0.0',
+            '@acme/theme major 2.0.0 -> 3.0.0',
+            '@acme/ui patch 0.3.1 -> 0.3.2'
+        ]);
+        assert.deepEqual(plan.releases[2].reasons, ['depends on @acme/core']);
+    });
+
+    it('reports packages that do not exist', () => {
+        const plan = getReleasePlan([{ id: 'typo', releases: [{ name: '@acme/legacy', type: 'patch' }] }], packages, config);
+        assert.deepEqual(plan.releases, []);
+        assert.deepEqual(plan.unknownPackages, ['@acme/legacy']);
+    });
+
+    it('gives linked packages the highest version of the group', () => {
+        const linkedConfig = { ...config, fixed: [], linked: [['@acme/core', '@acme/theme']] };
+        const plan = getReleasePlan([{ id: 'a', releases: [{ name: '@acme/core', type: 'minor' }, { name: '@acme/theme', type: 'patch' }] }], packages, linkedConfig);
+        assert.deepEqual(summarize(plan), [
+            '@acme/core minor 1.2.0 -> 2.1.0',
+            '@acme/theme minor 2.0.0 -> 2.1.0'
+        ]);
+    });
+
+    it('releases prereleases in pre mode, skipping changesets already released', () => {
+        const preState = { mode: 'pre', tag: 'beta', initialVersions: {}, changesets: ['quiet-rocks-sing'] };
+        const plan = getReleasePlan(changesets, packages, config, preState);
+        // Prereleases satisfy no regular range, so every dependent is released too
+        assert.deepEqual(summarize(plan), [
+            '@acme/theme major 2.0.0 -> 3.0.0-beta.0',
+            '@acme/core minor 1.2.0 -> 1.3.0-beta.0',
+            '@acme/icons minor 1.2.0 -> 1.3.0-beta.0',
+            '@acme/ui patch 0.3.1 -> 0.3.2-beta.0'
+        ]);
+        assert.deepEqual(plan.releases.find(release => release.name === '@acme/ui').changesets, []);
+    });
+});
+
+describe('dependent releases', () => {
+    let config;
+    let packages;
+
+    before(async () => {
+        const rootPath = fixturePath('pnpm-monorepo');
+        config = readChangesetConfig(rootPath);
+        packages = await findPackages(rootPath, config);
+    });
+
+    it('maps each package to the internal packages depending on it', () => {
+        const graph = getDependentsGraph(packages);
+        assert.deepEqual(graph.get('@acme/core'), [
+            { name: '@acme/theme', dependencyType: 'peerDependencies', range: '^1.0.0' },
+            { name: '@acme/ui', dependencyType: 'dependencies', range: 'workspace:^1.2.0' }
+        ]);
+        assert.deepEqual(graph.get('@acme/ui'), []);
+    });
+
+    it('lists the dependents a new changeset releases and flags peer majors', () => {
+        const bumps = getDependentBumps({ '@acme/core': 'major', '@acme/icons': 'major' }, packages, config);
+        assert.deepEqual(bumps.map(bump => [bump.name, bump.type, bump.isPeerMajor]), [
+            ['@acme/theme', 'major', true],
+            ['@acme/ui', 'patch', false]
+        ]);
+        assert.deepEqual(bumps[0].reasons, ['depends on @acme/core']);
+    });
+
+    it('reports listed packages whose bump is raised', () => {
+        const bumps = getDependentBumps({ '@acme/core': 'major', '@acme/icons': 'major', '@acme/theme': 'minor' }, packages, config);
+        assert.deepEqual(bumps.map(bump => [bump.name, bump.listedType, bump.type]), [
+            ['@acme/theme', 'minor', 'major'],
+            ['@acme/ui', undefined, 'patch']
+        ]);
+    });
+
+    it('returns nothing when every range is still satisfied', () => {
+        assert.deepEqual(getDependentBumps({ '@acme/core': 'minor', '@acme/icons': 'minor' }, packages, config), []);
+    });
+
+    it('ignores releases prerelease mode makes anyway', () => {
+        const prereleased = packages.map(p => (p.name === '@acme/ui' ? { ...p, version: '0.4.0-beta.0' } : p));
+        const preState = { mode: 'pre', tag: 'beta', initialVersions: {}, changesets: [] };
+        const bumps = getDependentBumps({ '@acme/core': 'patch', '@acme/icons': 'patch' }, prereleased, config, preState);
+        // Prereleases satisfy no regular range; @acme/ui is prereleased regardless
+        assert.deepEqual(bumps.map(bump => [bump.name, bump.type, bump.newVersion]), [
+            ['@acme/theme', 'major', '3.0.0-beta.0']
+        ]);
+    });
+});
+
+describe('changelog', () => {
+    const changesets = new Map([
+        ['brave-owls-listen', { id: 'brave-owls-listen', releases: [{ name: '@acme/core', type: 'minor' }], summary: 'Add a `timeout` option.\n\nDefaults to 30 seconds.' }],
+        ['quiet-rocks-sing', { id: 'quiet-rocks-sing', releases: [{ name: '@acme/core', type: 'patch' }], summary: 'Fix retries.' }]
+    ]);
+    const commits = new Map([['brave-owls-listen', '0123456789abcdef']]);
+    const core = { name: '@acme/core', type: 'minor', newVersion: '1.3.0', changesets: ['brave-owls-listen', 'quiet-rocks-sing'] };
+    const icons = { name: '@acme/icons', type: 'minor', newVersion: '1.3.0', changesets: ['brave-owls-listen'] };
+    const releasesByName = new Map([['@acme/core', core], ['@acme/icons', icons]]);
+
+    it('updates internal dependency ranges', () => {
+        assert.equal(updateDependencyRange('^1.2.0', '1.3.0'), '^1.3.0');
+        assert.equal(updateDependencyRange('workspace:~1.2.0', '1.3.0'), 'workspace:~1.3.0');
+        assert.equal(updateDependencyRange('workspace:*', '1.3.0'), 'workspace:*');
+        assert.equal(updateDependencyRange('>=1', '1.3.0'), '>=1');
+
+        const ui = { name: '@acme/ui', packageJson: { dependencies: { '@acme/core': '^1.2.0' }, peerDependencies: { '@acme/core': '^1.0.0' } } };
+        assert.deepEqual(getDependencyUpdates(ui, releasesByName, { updateInternalDependencies: 'patch' }), [
+            { dependencyType: 'dependencies', name: '@acme/core', range: '^1.2.0', newRange: '^1.3.0', newVersion: '1.3.0' }
+        ]);
+    });
+
+    it('builds the changelog section like @changesets/cli/changelog', () => {
+        const sections = getChangelogSections(core, changesets, commits, [{ name: '@acme/icons', newVersion: '1.3.0' }], releasesByName);
+        assert.equal(buildChangelogEntry(core, sections), [
+            '## 1.3.0',
+            '',
+            '### Minor Changes',
+            '',
+            '- 0123456: Add a `timeout` option.',
+            '  ',
+            '  Defaults to 30 seconds.',
+            '',
+            '### Patch Changes',
+            '',
+            '- Fix retries.',
+            '- Updated dependencies [0123456]',
+            '  - @acme/icons@1.3.0'
+        ].join('\n'));
+    });
+
+    it('inserts the section below the changelog heading', () => {
+        assert.equal(prependChangelogEntry('# @acme/core\n\n## 1.2.0\n', '@acme/core', '## 1.3.0\n\n- Fix'), '# @acme/core\n\n## 1.3.0\n\n- Fix\n\n## 1.2.0\n');
+        assert.equal(prependChangelogEntry(undefined, '@acme/core', '## 1.3.0\n\n- Fix'), '# @acme/core\n\n## 1.3.0\n\n- Fix\n');
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    compileSummaryRules,
+    normalizeSummaryTemplates,
+    applyTemplateBody,
+    applyTemplateToDraft,
+    getSummaryRuleViolations
+} = require('../../src/core/templates');
+
+describe('compileSummaryRules', () => {
+    it('compiles patterns and fills in a default message', () => {
+        const { rules, errors } = compileSummaryRules([
+            { pattern: '^(Feature|Fix): ', message: 'Start with a category.' },
+            { pattern: '#\\d+', flags: 'gi' }
+        ]);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(rules.map(rule => [rule.message, rule.regex.flags]), [
+            ['Start with a category.', ''],
+            ['Summary must match /#\\d+/i.', 'i']
+        ]);
+    });
+
+    it('reports rules without a pattern or with an invalid one', () => {
+        const { rules, errors } = compileSummaryRules([{ message: 'x' }, { pattern: '(' }, 'nope']);
+        assert.deepEqual(rules, []);
+        assert.equal(errors.length, 3);
+        assert.match(errors[1], /^Invalid summary rule \/\(\/: /);
+        assert.deepEqual(compileSummaryRules(undefined), { rules: [], errors: [] });
+    });
+});
+
+describe('normalizeSummaryTemplates', () => {
+    it('normalizes templates and their rules', () => {
+        const { templates, errors } = normalizeSummaryTemplates([
+            { name: ' Breaking change ', bump: 'major', summary: 'Breaking: <change>', body: '**Migration:**\n\n- \n', rules: [{ pattern: 'Migration' }] },
+            { name: 'Docs', bump: 'huge' }
+        ]);
+        assert.deepEqual(templates.map(({ rules, ...template }) => template), [
+            { name: 'Breaking change', description: '', bump: 'major', summary: 'Breaking: <change>', body: '**Migration:**\n\n-' },
+            { name: 'Docs', description: '', bump: undefined, summary: '', body: '' }
+        ]);
+        assert.equal(templates[0].rules[0].regex.source, 'Migration');
+        assert.deepEqual(errors, ['Summary template "Docs" has an invalid bump type "huge".']);
+    });
+
+    it('leaves out templates without a name and duplicates', () => {
+        const { templates, errors } = normalizeSummaryTemplates([{ summary: 'x' }, { name: 'Fix' }, { name: 'Fix' }]);
+        assert.deepEqual(templates.map(template => template.name), ['Fix']);
+        assert.deepEqual(errors, ['Summary templates need a "name".', 'Summary template "Fix" is defined more than once.']);
+    });
+});
+
+describe('summary rules', () => {
+    it('lists the rules a summary breaks', () => {
+        const { rules } = compileSummaryRules([
+            { pattern: '^(Feature|Fix): ', message: 'Start with a category.' },
+            { pattern: '\\(#\\d+\\)', message: 'Link the issue.' }
+        ]);
+        assert.deepEqual(getSummaryRuleViolations('Fix: focus ring (#12)', rules), []);
+        assert.deepEqual(getSummaryRuleViolations('focus ring', rules), ['Start with a category.', 'Link the issue.']);
+    });
+
+    it('adds the template body below the summary', () => {
+        assert.equal(applyTemplateBody('Breaking: drop Node 16 ', { body: '**Migration:**' }), 'Breaking: drop Node 16\n\n**Migration:**');
+        assert.equal(applyTemplateBody('Fix: x', { body: '' }), 'Fix: x');
+        assert.equal(applyTemplateBody('Fix: x', null), 'Fix: x');
+    });
+
+    it('wraps drafted summaries in the template', () => {
+        const draft = { bumps: { '@acme/ui': 'minor' }, summary: '- add dark mode', packageSummaries: { '@acme/ui': '- add dark mode' } };
+        const template = { summary: 'Feature: <description> ', body: '**Docs:**' };
+        assert.deepEqual(applyTemplateToDraft(draft, template), {
+            bumps: { '@acme/ui': 'minor' },
+            summary: 'Feature: <description>\n\n- add dark mode\n\n**Docs:**',
+            packageSummaries: { '@acme/ui': 'Feature: <description>\n\n- add dark mode\n\n**Docs:**' }
+        });
+        assert.equal(applyTemplateToDraft(draft, null), draft);
+    });
+});
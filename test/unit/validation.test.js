@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+    validateAndSanitizePath,
+    generateSecureRandomId,
+    isValidPackageName,
+    isValidApiKey,
+    isValidBumpType
+} = require('../../src/core/validation');
+
+describe('validateAndSanitizePath', () => {
+    const basePath = path.resolve('/projects/acme');
+
+    it('resolves paths inside the base path', () => {
+        assert.equal(validateAndSanitizePath('.changeset/config.json', basePath), path.join(basePath, '.changeset', 'config.json'));
+        assert.equal(validateAndSanitizePath(path.join(basePath, 'packages'), basePath), path.join(basePath, 'packages'));
+    });
+
+    it('rejects paths escaping the base path', () => {
+        assert.equal(validateAndSanitizePath('../other/package.json', basePath), null);
+        assert.equal(validateAndSanitizePath('/etc/passwd', basePath), null);
+    });
+
+    it('rejects missing and non-string paths', () => {
+        assert.equal(validateAndSanitizePath('', basePath), null);
+        assert.equal(validateAndSanitizePath(undefined, basePath), null);
+        assert.equal(validateAndSanitizePath(42, basePath), null);
+    });
+});
+
+describe('generateSecureRandomId', () => {
+    it('returns alphanumeric ids of the requested length', () => {
+        assert.match(generateSecureRandomId(), /^[A-Za-z0-9]{1,5}$/);
+        assert.match(generateSecureRandomId(12), /^[A-Za-z0-9]{1,12}$/);
+    });
+});
+
+describe('isValidPackageName', () => {
+    it('accepts plain and scoped names', () => {
+        for (const name of ['react', 'lodash.merge', 'my_package', '@acme/core', '@acme/ui-kit', '-leading-dash']) {
+            assert.equal(isValidPackageName(name), true, name);
+        }
+    });
+
+    it('accepts legacy names npm still permits', () => {
+        for (const name of ['JSONStream', 'Base64', '@Acme/Core', 'hello!', "d'oh", 'm(*)']) {
+            assert.equal(isValidPackageName(name), true, name);
+        }
+    });
+
+    it('rejects malformed names', () => {
+        for (const name of ['', '@acme', '@acme/', '@acme/a/b', '@../escape', 'has space', ' padded', '../escape', '.hidden', '_private', 'node_modules', 'café', 'a'.repeat(215), null]) {
+            assert.equal(isValidPackageName(name), false, String(name));
+        }
+    });
+});
+
+describe('isValidApiKey', () => {
+    it('accepts alphanumeric keys of a plausible length', () => {
+        assert.equal(isValidApiKey('AIzaSyA1234567890abcdefGHIJ'), true);
+        assert.equal(isValidApiKey('  AIzaSyA1234567890abcdefGHIJ  '), true);
+    });
+
+    it('rejects short keys and keys with other characters', () => {
+        assert.equal(isValidApiKey('short'), false);
+        assert.equal(isValidApiKey('AIzaSyA1234567890abcdef GHIJ'), false);
+        assert.equal(isValidApiKey(undefined), false);
+    });
+});
+
+describe('isValidBumpType', () => {
+    it('only accepts major, minor and patch', () => {
+        assert.equal(isValidBumpType('major'), true);
+        assert.equal(isValidBumpType('minor'), true);
+        assert.equal(isValidBumpType('patch'), true);
+        assert.equal(isValidBumpType('none'), false);
+        assert.equal(isValidBumpType('Major'), false);
+    });
+});